@@ -0,0 +1,39 @@
+const logger = require('../utils/logs/logger');
+
+/**
+ * Tarefas longas dos comandos (ex.: envios e remoções em lotes) executadas fora da fila do chat
+ * Assim o comando responde na hora e os próximos comandos do chat não ficam esperando as pausas entre os lotes
+ */
+
+const running = new Set();
+
+/**
+ * Inicia uma tarefa em segundo plano; apenas uma tarefa por chave roda ao mesmo tempo
+ * @param {string} key Identificador da tarefa (ex.: comando e grupo)
+ * @param {function(): Promise} task Tarefa a executar
+ * @returns {boolean} false se já existe uma tarefa com a mesma chave em andamento
+ */
+function runInBackground(key, task) {
+  if (running.has(key)) {
+    return false;
+  }
+
+  running.add(key);
+  Promise.resolve()
+    .then(task)
+    .catch((error) => {
+      logger.error(`Erro na tarefa em segundo plano '${key}': ${error.message}`, {
+        label: 'Background.runInBackground',
+        key,
+        error: error.message,
+        stack: error.stack,
+      });
+    })
+    .finally(() => running.delete(key));
+
+  return true;
+}
+
+module.exports = {
+  runInBackground,
+};
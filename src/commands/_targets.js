@@ -0,0 +1,58 @@
+const { normalizeUserJid } = require('../services/PermissionManager');
+
+/**
+ * Utilitários compartilhados pelos comandos que agem sobre participantes
+ */
+
+function formatJid(jid) {
+  return `@${jid.split('@')[0]}`;
+}
+
+function parsePhoneNumber(value) {
+  const digits = value.replace(/[\s()+-]/g, '');
+  return /^\d{8,15}$/.test(digits) ? digits : null;
+}
+
+/**
+ * Reúne os alvos do comando: menções, autor da mensagem citada e números digitados
+ */
+function resolveTargets(args) {
+  const values = [...args.mentions];
+
+  if (args.quoted?.participant) {
+    values.push(args.quoted.participant);
+  }
+
+  for (const value of args.list) {
+    const number = parsePhoneNumber(value);
+    if (number) {
+      values.push(number);
+    }
+  }
+
+  return [...new Set(values.map(normalizeUserJid).filter(Boolean))];
+}
+
+/**
+ * Separa um único alvo do restante do texto (ex.: o motivo de uma advertência)
+ * O alvo pode ser a primeira menção ou número digitado, ou o autor da mensagem respondida
+ * @returns {{target: string|null, rest: string}} JID do alvo e texto restante
+ */
+function resolveTargetAndText(args) {
+  const [first = ''] = args.list;
+  const firstIsTarget = /^@\d+$/.test(first) || Boolean(parsePhoneNumber(first));
+  const rest = (firstIsTarget ? args.raw.trim().replace(/^\S+\s*/, '') : args.raw).trim();
+
+  if (firstIsTarget) {
+    return { target: normalizeUserJid(args.mentions[0] || parsePhoneNumber(first) || first.slice(1)), rest };
+  }
+
+  return { target: args.quoted?.participant ? normalizeUserJid(args.quoted.participant) : null, rest };
+}
+
+module.exports = {
+  formatJid,
+  parsePhoneNumber,
+  resolveTargets,
+  resolveTargetAndText,
+};
@@ -0,0 +1,11 @@
+/**
+ * Pausa usada pelos comandos que enviam ou alteram em lotes
+ * @param {number} ms Tempo de espera
+ */
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  wait,
+};
@@ -0,0 +1,144 @@
+const { normalizeUserJid } = require('../services/PermissionManager');
+const { formatJid, resolveTargetAndText } = require('./_targets');
+
+/**
+ * Advertências de participantes: registro, remoção e consulta
+ * As advertências ficam salvas em disco e expiram após moderation.warningTTL; ao atingir o limite do grupo o participante é removido
+ */
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleString('pt-BR', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' });
+}
+
+function formatIssuer(issuer) {
+  return issuer === 'moderation' ? 'moderação automática' : formatJid(issuer);
+}
+
+function formatWarnings(user, warnings, limit) {
+  if (warnings.length === 0) {
+    return `✅ ${formatJid(user)} não tem advertências.`;
+  }
+
+  const lines = warnings.map((warning, index) => `${index + 1}. \`${warning.id}\` ${formatDate(warning.timestamp)} por ${formatIssuer(warning.issuer)}${warning.reason ? `\n    ${warning.reason}` : ''}`);
+  return [`⚠️ *Advertências de ${formatJid(user)}* (${warnings.length}/${limit})`, '', ...lines].join('\n');
+}
+
+/**
+ * Menções da resposta: o participante e os autores das advertências
+ */
+function collectMentions(user, warnings) {
+  return [...new Set([user, ...warnings.map((warning) => warning.issuer).filter((issuer) => issuer && issuer !== 'moderation')])];
+}
+
+module.exports = [
+  {
+    name: 'warn',
+    aliases: ['advertir', 'adv'],
+    description: 'Adverte um participante; ao atingir o limite do grupo ele é removido.',
+    usage: 'warn <@usuario|número> [motivo] (ou respondendo a uma mensagem)',
+    examples: ['warn @fulano spam de links', 'warn 5511999999999 ofensas'],
+    category: 'administração',
+    permission: 'admin',
+    groupOnly: true,
+
+    async handler({ args, from, sender, prefix, client, services, reply }) {
+      const { target, rest: reason } = resolveTargetAndText(args);
+      if (!target) {
+        await reply(`❌ Mencione, responda ou informe o número de quem deseja advertir. Ex.: ${prefix}warn @usuario motivo`);
+        return;
+      }
+
+      const botJids = services.getBotJids().map(normalizeUserJid);
+      if (botJids.includes(target)) {
+        await reply('❌ Não é possível advertir o próprio bot.');
+        return;
+      }
+      if (services.permissions.hasLevel(await services.permissions.resolveLevel(target, from), 'admin')) {
+        await reply('❌ Não é possível advertir administradores do grupo ou donos do bot.');
+        return;
+      }
+      if (reason.length > 500) {
+        await reply('❌ O motivo deve ter no máximo 500 caracteres.');
+        return;
+      }
+
+      const result = await services.moderation.issueWarning(from, target, { reason: reason || null, issuer: normalizeUserJid(sender), source: 'manual' }, client);
+      const lines = [`⚠️ ${formatJid(target)} recebeu uma advertência (${result.count}/${result.limit}).`];
+      if (reason) {
+        lines.push(`*Motivo:* ${reason}`);
+      }
+      if (result.removed) {
+        lines.push('🚫 Limite de advertências atingido: participante removido do grupo.');
+      } else if (result.removalError) {
+        lines.push(`⚠️ Limite de advertências atingido, mas não foi possível remover o participante (${result.removalError}).`);
+      } else if (result.count >= result.limit) {
+        lines.push('⚠️ Limite de advertências atingido, mas preciso ser administrador do grupo para remover o participante.');
+      }
+
+      await reply({ text: lines.join('\n'), mentions: [target] });
+    },
+  },
+  {
+    name: 'unwarn',
+    aliases: ['desadvertir', 'perdoar'],
+    description: 'Remove a advertência mais recente, uma advertência específica ou todas as advertências de um participante.',
+    usage: 'unwarn <@usuario|número> [id | todas]',
+    examples: ['unwarn @fulano', 'unwarn @fulano a1b2c3', 'unwarn @fulano todas'],
+    category: 'administração',
+    permission: 'admin',
+    groupOnly: true,
+
+    async handler({ args, from, prefix, services, reply }) {
+      const { target, rest } = resolveTargetAndText(args);
+      if (!target) {
+        await reply(`❌ Mencione, responda ou informe o número do participante. Ex.: ${prefix}unwarn @usuario`);
+        return;
+      }
+
+      const option = rest.toLowerCase();
+      if (['todas', 'tudo', 'all'].includes(option)) {
+        const count = services.warnings.clear(from, target);
+        await reply({ text: count > 0 ? `✅ ${count} advertência(s) de ${formatJid(target)} removida(s).` : `✅ ${formatJid(target)} não tem advertências.`, mentions: [target] });
+        return;
+      }
+
+      const removed = services.warnings.remove(from, target, option || null);
+      if (!removed) {
+        await reply({ text: option ? `❌ Advertência \`${option}\` não encontrada para ${formatJid(target)}.` : `✅ ${formatJid(target)} não tem advertências.`, mentions: [target] });
+        return;
+      }
+
+      const remaining = services.warnings.list(from, target).length;
+      await reply({ text: `✅ Advertência \`${removed.id}\` de ${formatJid(target)} removida. Restam ${remaining}.`, mentions: [target] });
+    },
+  },
+  {
+    name: 'warns',
+    aliases: ['advertencias', 'advs'],
+    description: 'Mostra as advertências de um participante (ou as suas) e, com "todos", os participantes advertidos do grupo.',
+    usage: 'warns [@usuario|número | todos]',
+    examples: ['warns', 'warns @fulano', 'warns todos'],
+    category: 'administração',
+    groupOnly: true,
+
+    async handler({ args, from, sender, services, reply }) {
+      const limit = services.moderation.getConfig(from).maxWarnings;
+
+      if (['todos', 'all'].includes((args.list[0] || '').toLowerCase())) {
+        const entries = services.warnings.listGroup(from);
+        if (entries.length === 0) {
+          await reply('✅ Nenhum participante com advertências neste grupo.');
+          return;
+        }
+
+        const lines = entries.map(({ user, warnings }) => `• ${formatJid(user)}: ${warnings.length}/${limit}`);
+        await reply({ text: ['⚠️ *Participantes advertidos*', '', ...lines].join('\n'), mentions: entries.map(({ user }) => user) });
+        return;
+      }
+
+      const user = resolveTargetAndText(args).target || normalizeUserJid(sender);
+      const warnings = services.warnings.list(from, user);
+      await reply({ text: formatWarnings(user, warnings, limit), mentions: collectMentions(user, warnings) });
+    },
+  },
+];
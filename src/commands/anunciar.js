@@ -0,0 +1,121 @@
+const { parseWhen, formatDateTime } = require('../utils/schedule');
+
+/**
+ * Anúncios agendados do dono do bot para grupos
+ */
+
+/**
+ * Lista os grupos em que o bot participa, em ordem alfabética
+ */
+async function fetchGroups(client) {
+  const groups = Object.values(await client.groupFetchAllParticipating());
+  return groups.sort((a, b) => (a.subject || '').localeCompare(b.subject || ''));
+}
+
+/**
+ * Resolve o grupo de destino: "aqui", um JID de grupo ou o número exibido em /anunciar grupos
+ * @returns {Promise<string|null>} JID do grupo
+ */
+async function resolveTarget(target, { from, client }) {
+  if (['aqui', 'here'].includes(target.toLowerCase())) {
+    return from;
+  }
+  if (target.endsWith('@g.us')) {
+    return target;
+  }
+  if (/^\d{1,4}$/.test(target)) {
+    const groups = await fetchGroups(client);
+    return groups[Number(target) - 1]?.id || null;
+  }
+  return null;
+}
+
+module.exports = {
+  name: 'anunciar',
+  aliases: ['agendar', 'announce'],
+  description: 'Agenda anúncios (únicos ou recorrentes) para grupos.',
+  usage: 'anunciar grupos | anunciar <aqui|nº do grupo|jid> <quando> <mensagem> | anunciar lista | anunciar cancelar <id>',
+  examples: ['anunciar grupos', 'anunciar 2 amanha 10:00 Reunião geral hoje às 20h!', 'anunciar aqui cron "0 9 * * 1" Bom dia! Nova semana começando.', 'anunciar lista', 'anunciar cancelar a1b2c3'],
+  category: 'dono',
+  permission: 'owner',
+
+  async handler({ args, from, sender, prefix, client, services, reply }) {
+    const { scheduler } = services;
+    const [option = 'lista'] = args.list;
+
+    switch (option.toLowerCase()) {
+      case 'grupos':
+      case 'groups': {
+        const groups = await fetchGroups(client);
+        const lines = groups.map((group, index) => `${index + 1}. ${group.subject || group.id}`);
+        await reply(groups.length > 0 ? ['👥 *Grupos disponíveis*', '', ...lines, '', `Use ${prefix}anunciar <nº> <quando> <mensagem>`].join('\n') : '👥 O bot não participa de nenhum grupo.');
+        return;
+      }
+
+      case 'lista':
+      case 'list': {
+        const jobs = scheduler.list((job) => job.kind === 'announcement');
+        const lines = jobs.map((job) => `\`${job.id}\` ${formatDateTime(job.runAt)}${job.cron ? ` (recorrente: ${job.cron})` : ''} → ${job.chatId}\n    ${job.description}`);
+        await reply(jobs.length > 0 ? ['📢 *Anúncios agendados*', '', ...lines].join('\n') : '📢 Nenhum anúncio agendado.');
+        return;
+      }
+
+      case 'cancelar':
+      case 'cancel':
+      case 'remover': {
+        const job = args.list[1] ? scheduler.get(args.list[1]) : null;
+        if (!job || job.kind !== 'announcement') {
+          await reply(`❌ Anúncio não encontrado. Use ${prefix}anunciar lista para ver os ids.`);
+          return;
+        }
+
+        scheduler.cancel(job.id);
+        await reply(`✅ Anúncio \`${job.id}\` cancelado.`);
+        return;
+      }
+
+      default:
+        break;
+    }
+
+    const chatId = await resolveTarget(option, { from, client });
+    if (!chatId || !chatId.endsWith('@g.us')) {
+      await reply(`❌ Grupo inválido. Use aqui (em um grupo), o número exibido em ${prefix}anunciar grupos ou o JID do grupo.`);
+      return;
+    }
+
+    let when;
+    try {
+      when = parseWhen(args.list.slice(1));
+    } catch (error) {
+      await reply(`❌ ${error.message}.`);
+      return;
+    }
+
+    if (!when || (!when.cron && when.runAt <= Date.now())) {
+      await reply('❌ Não entendi quando anunciar. Use, por exemplo: 30m, 14:30, amanha 10:00, 25/12 10:00, diario 08:00 ou cron "0 9 * * 1".');
+      return;
+    }
+
+    const text = args.list
+      .slice(1 + when.consumed)
+      .join(' ')
+      .trim();
+    if (!text) {
+      await reply(`❌ Informe a mensagem do anúncio. Ex.: ${prefix}anunciar aqui amanha 10:00 Reunião às 20h`);
+      return;
+    }
+
+    const job = scheduler.schedule({
+      chatId,
+      content: { text: `📢 ${text}` },
+      runAt: when.runAt,
+      cron: when.cron,
+      kind: 'announcement',
+      createdBy: sender,
+      description: text.length > 50 ? `${text.slice(0, 50)}…` : text,
+    });
+
+    await reply(`✅ Anúncio \`${job.id}\` agendado para ${formatDateTime(job.runAt)}${job.cron ? ` e repetido conforme \`${job.cron}\`` : ''}.`);
+  },
+};
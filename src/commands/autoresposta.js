@@ -0,0 +1,139 @@
+const batchConfig = require('../config/batchConfig');
+const { GLOBAL_KEY } = require('../services/SettingsManager');
+const { MediaError } = require('../services/MediaService');
+
+/**
+ * Gerencia as respostas automáticas por palavra-chave do chat (ou globais, para o dono do bot)
+ */
+
+const MATCH_LABELS = {
+  exact: 'exata',
+  contains: 'contém',
+  regex: 'regex',
+};
+
+const FLAG_PATTERN = /(^|\s)--(contem|contém|regex|global)(?=\s|$)/gi;
+
+function resolveMatch(flags) {
+  if (flags.regex) return 'regex';
+  if (flags.contem || flags['contém']) return 'contains';
+  return 'exact';
+}
+
+function describeResponse(response) {
+  if (response.media) {
+    return `[${response.media.kind}]${response.caption ? ` ${response.caption}` : ''}`;
+  }
+  return response.text.length > 60 ? `${response.text.slice(0, 60)}…` : response.text;
+}
+
+function formatRules(rules, title) {
+  if (rules.length === 0) {
+    return `${title}\n\nNenhuma resposta automática cadastrada.`;
+  }
+
+  const lines = rules.map((rule) => `\`${rule.id}\` *${rule.trigger}* (${MATCH_LABELS[rule.match]})\n    ↳ ${describeResponse(rule.response)}`);
+  return [title, '', ...lines].join('\n');
+}
+
+/**
+ * Baixa a mídia enviada ou respondida para usar como resposta
+ * @returns {Promise<object|null>} Dados da mídia ou null se a mensagem não tiver mídia
+ */
+async function downloadResponseMedia(normalized, downloadMedia) {
+  if (!normalized?.media && !normalized?.quoted?.media) {
+    return null;
+  }
+
+  const media = await downloadMedia({ allowedKinds: ['image', 'video', 'audio', 'sticker', 'document'], maxFileSize: batchConfig.autoResponder.maxMediaSize });
+  return { kind: media.kind, path: media.path, mimetype: media.mimetype, fileName: media.fileName || null };
+}
+
+module.exports = {
+  name: 'autoresposta',
+  aliases: ['ar', 'gatilho'],
+  description: 'Cadastra respostas automáticas para palavras-chave ou expressões regulares (sem diferenciar maiúsculas e acentos).',
+  usage: 'autoresposta [lista | add <gatilho> | <resposta> [--contem|--regex] | remover <id>] [--global]',
+  examples: ['autoresposta', 'autoresposta add horario | Funcionamos das 8h às 18h', 'autoresposta add pix | Chave PIX: contato@exemplo.com --contem', 'autoresposta add ^regras?$ | Leia a descrição do grupo --regex', 'autoresposta remover a1b2c3'],
+  category: 'administração',
+  permission: 'admin',
+
+  async handler({ args, from, sender, prefix, normalized, services, downloadMedia, reply }) {
+    const { autoResponder, permissions } = services;
+    const global = Boolean(args.flags.global);
+    const [option = 'lista'] = args.list.map((value) => value.toLowerCase());
+
+    if (global && !permissions.isOwner(sender)) {
+      await reply('🚫 Apenas o dono do bot pode gerenciar respostas automáticas globais.');
+      return;
+    }
+
+    const scope = global ? GLOBAL_KEY : from;
+    const scopeLabel = global ? 'globais' : 'deste chat';
+
+    switch (option) {
+      case 'lista':
+      case 'list':
+        await reply(formatRules(autoResponder.list(scope), `🤖 *Respostas automáticas ${scopeLabel}*`));
+        return;
+
+      case 'add':
+      case 'adicionar': {
+        const body = args.raw
+          .replace(FLAG_PATTERN, ' ')
+          .trim()
+          .replace(/^\S+\s*/, '');
+        const separatorIndex = body.indexOf('|');
+        const trigger = (separatorIndex >= 0 ? body.slice(0, separatorIndex) : body).trim();
+        const text = separatorIndex >= 0 ? body.slice(separatorIndex + 1).trim() : '';
+
+        let media;
+        try {
+          media = await downloadResponseMedia(normalized, downloadMedia);
+        } catch (error) {
+          if (!(error instanceof MediaError)) throw error;
+          await reply(error.code === 'TOO_LARGE' ? `❌ A mídia deve ter no máximo ${Math.round(batchConfig.autoResponder.maxMediaSize / (1024 * 1024))} MB.` : '❌ Não foi possível baixar a mídia da resposta.');
+          return;
+        }
+
+        if (!trigger || (!text && !media)) {
+          await reply(`❌ Uso: ${prefix}autoresposta add <gatilho> | <resposta> (ou envie/responda a uma mídia)`);
+          return;
+        }
+
+        let rule;
+        try {
+          rule = autoResponder.add(scope, {
+            trigger,
+            match: resolveMatch(args.flags),
+            response: media ? { media, caption: text || null } : { text },
+            createdBy: sender,
+          });
+        } catch (error) {
+          await reply(`❌ ${error instanceof SyntaxError ? 'Expressão regular inválida' : error.message}.`);
+          return;
+        }
+
+        await reply(`✅ Resposta automática \`${rule.id}\` criada para *${rule.trigger}* (${MATCH_LABELS[rule.match]}).`);
+        return;
+      }
+
+      case 'remover':
+      case 'remove':
+      case 'del': {
+        const id = args.list[1];
+        if (!id) {
+          await reply(`❌ Informe o id da resposta. Use ${prefix}autoresposta lista para ver os ids.`);
+          return;
+        }
+
+        const removed = autoResponder.remove(scope, id);
+        await reply(removed ? `✅ Resposta automática para *${removed.trigger}* removida.` : `❌ Resposta \`${id}\` não encontrada entre as respostas ${scopeLabel}.`);
+        return;
+      }
+
+      default:
+        await reply(`❌ Opção inválida. Uso: ${prefix}autoresposta [lista | add <gatilho> | <resposta> | remover <id>] [--global]`);
+    }
+  },
+};
@@ -0,0 +1,98 @@
+const { parseToggle } = require('../utils/commandParser');
+
+/**
+ * Configura as mensagens automáticas enviadas quando participantes entram, saem, são promovidos ou rebaixados
+ */
+
+const TYPE_NAMES = {
+  entrada: 'welcome',
+  welcome: 'welcome',
+  saida: 'farewell',
+  saída: 'farewell',
+  farewell: 'farewell',
+  promocao: 'promote',
+  promoção: 'promote',
+  promote: 'promote',
+  rebaixamento: 'demote',
+  demote: 'demote',
+};
+
+const TYPE_LABELS = {
+  welcome: 'entrada',
+  farewell: 'saida',
+  promote: 'promocao',
+  demote: 'rebaixamento',
+};
+
+function formatStatus(groupMessages, from, prefix) {
+  const lines = Object.entries(TYPE_LABELS).map(([type, label]) => {
+    const config = groupMessages.getConfig(from, type);
+    return `*${label}:* ${config.enabled ? 'on' : 'off'}${config.custom ? ' (personalizada)' : ''}`;
+  });
+
+  return ['📣 *Mensagens automáticas do grupo*', '', ...lines, '', `Marcadores: {nome}, {mencao}, {grupo}, {membros}, {descricao}`, `Use ${prefix}boasvindas <tipo> <on|off|ver|padrao|texto>`].join('\n');
+}
+
+module.exports = {
+  name: 'boasvindas',
+  aliases: ['welcome', 'recepcao'],
+  description: 'Configura mensagens de entrada, saída, promoção e rebaixamento de participantes.',
+  usage: 'boasvindas [<entrada|saida|promocao|rebaixamento> <on|off|ver|padrao|texto do modelo>]',
+  examples: ['boasvindas', 'boasvindas entrada on', 'boasvindas entrada Olá {mencao}, bem-vindo ao {grupo}!', 'boasvindas saida ver', 'boasvindas promocao padrao'],
+  category: 'administração',
+  permission: 'admin',
+  groupOnly: true,
+
+  async handler({ args, from, sender, prefix, message, services, reply }) {
+    const { groupMessages, settings: settingsManager } = services;
+    const [typeName, option] = args.list;
+
+    if (!typeName) {
+      await reply(formatStatus(groupMessages, from, prefix));
+      return;
+    }
+
+    const type = TYPE_NAMES[typeName.toLowerCase()];
+    if (!type) {
+      await reply(`❌ Tipo inválido. Use: ${Object.values(TYPE_LABELS).join(', ')}`);
+      return;
+    }
+
+    const label = TYPE_LABELS[type];
+
+    if (!option) {
+      const config = groupMessages.getConfig(from, type);
+      await reply(`📣 *Mensagem de ${label}* (${config.enabled ? 'on' : 'off'})\n\n${config.template}`);
+      return;
+    }
+
+    const normalizedOption = option.toLowerCase();
+    const enabled = args.list.length === 2 ? parseToggle(normalizedOption) : null;
+
+    if (enabled !== null) {
+      settingsManager.setGroupMessage(from, type, { enabled });
+      await reply(`✅ Mensagem de ${label} ${enabled ? 'ativada' : 'desativada'}.`);
+      return;
+    }
+
+    if (args.list.length === 2 && ['ver', 'preview', 'testar'].includes(normalizedOption)) {
+      await reply(await groupMessages.render(from, type, sender, { name: message?.pushName }));
+      return;
+    }
+
+    if (args.list.length === 2 && ['padrao', 'padrão', 'default'].includes(normalizedOption)) {
+      settingsManager.setGroupMessage(from, type, { template: null });
+      await reply(`✅ Mensagem de ${label} restaurada para o modelo padrão.`);
+      return;
+    }
+
+    const template = args.raw.replace(/^\S+\s*/, '').trim();
+    if (template.length > 1000) {
+      await reply('❌ O modelo deve ter no máximo 1000 caracteres.');
+      return;
+    }
+
+    settingsManager.setGroupMessage(from, type, { template, enabled: true });
+    await reply(`✅ Mensagem de ${label} definida e ativada. Use ${prefix}boasvindas ${label} ver para visualizar.`);
+  },
+};
@@ -0,0 +1,114 @@
+const { parseToggle } = require('../utils/commandParser');
+const { SUPPORTED_LANGUAGES } = require('../services/SettingsManager');
+
+/**
+ * Configurações do chat atual, editáveis por administradores
+ */
+
+function formatSettings(settings) {
+  const features = Object.entries(settings.features);
+
+  return ['⚙️ *Configurações deste chat*', '', `*Prefixos:* ${settings.prefixes.join('  ')}`, `*Sem prefixo (privado):* ${settings.prefixless ? 'on' : 'off'}`, `*Idioma:* ${settings.language}`, `*Comandos desativados:* ${settings.disabledCommands.length > 0 ? settings.disabledCommands.join(', ') : 'nenhum'}`, `*Recursos:* ${features.length > 0 ? features.map(([name, enabled]) => `${name} (${enabled ? 'on' : 'off'})`).join(', ') : 'padrão'}`].join('\n');
+}
+
+module.exports = {
+  name: 'config',
+  aliases: ['configurar', 'settings'],
+  description: 'Mostra ou altera as configurações do chat (prefixo, idioma, comandos e recursos).',
+  usage: 'config [prefixo <valores...|padrao> | semprefixo <on|off> | idioma <pt|en> | comando <nome> <on|off> | recurso <nome> <on|off> | resetar]',
+  examples: ['config', 'config prefixo ! .', 'config idioma en', 'config comando ping off', 'config resetar'],
+  category: 'administração',
+  permission: 'admin',
+  alwaysEnabled: true,
+
+  async handler({ args, from, prefix, registry, services, reply }) {
+    const { settings: settingsManager } = services;
+    const [option, ...values] = args.list;
+
+    switch ((option || '').toLowerCase()) {
+      case '':
+        await reply(formatSettings(settingsManager.get(from)));
+        return;
+
+      case 'prefixo':
+      case 'prefix': {
+        if (values.length === 0) {
+          await reply(`❌ Informe o(s) novo(s) prefixo(s). Ex.: ${prefix}config prefixo ! .`);
+          return;
+        }
+        const reset = ['padrao', 'padrão', 'default'].includes(values[0].toLowerCase());
+        if (!reset && values.some((value) => value.length > 3)) {
+          await reply('❌ Cada prefixo deve ter no máximo 3 caracteres.');
+          return;
+        }
+        const updated = settingsManager.setPrefixes(from, reset ? [] : values);
+        await reply(`✅ Prefixo(s) definido(s): *${updated.prefixes.join('  ')}*`);
+        return;
+      }
+
+      case 'semprefixo':
+      case 'prefixless': {
+        const enabled = parseToggle(values[0]);
+        if (enabled === null) {
+          await reply(`❌ Uso: ${prefix}config semprefixo <on|off>`);
+          return;
+        }
+        settingsManager.setPrefixless(from, enabled);
+        await reply(`✅ Comandos sem prefixo em conversas privadas ${enabled ? 'ativados' : 'desativados'}.`);
+        return;
+      }
+
+      case 'idioma':
+      case 'language': {
+        const [language] = values;
+        if (!language || !SUPPORTED_LANGUAGES.includes(language.toLowerCase())) {
+          await reply(`❌ Idiomas disponíveis: ${SUPPORTED_LANGUAGES.join(', ')}`);
+          return;
+        }
+        settingsManager.setLanguage(from, language.toLowerCase());
+        await reply(`✅ Idioma definido como *${language.toLowerCase()}*`);
+        return;
+      }
+
+      case 'comando':
+      case 'command': {
+        const [name, state] = values;
+        const command = registry.resolve(name);
+        const enabled = parseToggle(state);
+        if (!command || enabled === null) {
+          await reply(`❌ Uso: ${prefix}config comando <nome> <on|off>`);
+          return;
+        }
+        if (command.alwaysEnabled) {
+          await reply(`❌ O comando ${prefix}${command.name} não pode ser desativado.`);
+          return;
+        }
+        settingsManager.setCommandEnabled(from, command.name, enabled);
+        await reply(`✅ Comando ${prefix}${command.name} ${enabled ? 'ativado' : 'desativado'}.`);
+        return;
+      }
+
+      case 'recurso':
+      case 'feature': {
+        const [feature, state] = values;
+        const enabled = parseToggle(state);
+        if (!feature || enabled === null) {
+          await reply(`❌ Uso: ${prefix}config recurso <nome> <on|off>`);
+          return;
+        }
+        settingsManager.setFeature(from, feature.toLowerCase(), enabled);
+        await reply(`✅ Recurso *${feature.toLowerCase()}* ${enabled ? 'ativado' : 'desativado'}.`);
+        return;
+      }
+
+      case 'resetar':
+      case 'reset':
+        settingsManager.reset(from);
+        await reply('✅ Configurações restauradas para o padrão.');
+        return;
+
+      default:
+        await reply(`❌ Opção desconhecida: ${option}. Use ${prefix}help config.`);
+    }
+  },
+};
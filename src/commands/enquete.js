@@ -0,0 +1,109 @@
+const batchConfig = require('../config/batchConfig');
+const { formatJid } = require('./_targets');
+
+/**
+ * Enquetes nativas do WhatsApp e apuração dos votos
+ * Os votos chegam cifrados; o DataManager guarda a mensagem de criação para que o Baileys consiga decifrá-los
+ */
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 12;
+const MAX_QUESTION_LENGTH = 255;
+const MAX_OPTION_LENGTH = 100;
+const BAR_SIZE = 10;
+const POLL_DAYS = Math.round(batchConfig.dataManager.pollTTL / (24 * 60 * 60 * 1000));
+
+const FLAG_PATTERN = /(^|\s)--(multipla|múltipla)(?=\s|$)/gi;
+
+function buildBar(ratio) {
+  const filled = Math.round(ratio * BAR_SIZE);
+  return '▰'.repeat(filled) + '▱'.repeat(BAR_SIZE - filled);
+}
+
+/**
+ * Formata a apuração de uma enquete, opcionalmente listando quem votou em cada opção
+ */
+function formatResults(results, showVoters) {
+  const mode = results.selectableCount === 1 ? 'Escolha única' : 'Múltipla escolha';
+  const lines = [`📊 *${results.name}*`, `${mode} · ${results.totalVoters} votante(s)`, ''];
+
+  for (const option of results.options) {
+    const ratio = results.totalVoters > 0 ? option.count / results.totalVoters : 0;
+    lines.push(`*${option.name}* — ${option.count} (${Math.round(ratio * 100)}%)`, buildBar(ratio));
+    if (showVoters && option.voters.length > 0) {
+      lines.push(`    ${option.voters.map(formatJid).join(', ')}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = [
+  {
+    name: 'enquete',
+    aliases: ['poll', 'votacao'],
+    description: 'Cria uma enquete nativa do WhatsApp; use --multipla para permitir mais de uma opção.',
+    usage: 'enquete <pergunta> | <opção 1> | <opção 2> [| ...] [--multipla]',
+    examples: ['enquete Melhor dia para o encontro? | Sábado | Domingo', 'enquete Quais jogos? | Futebol | Vôlei | Basquete --multipla'],
+    category: 'utilidades',
+
+    async handler({ args, client, from, sender, prefix, services, reply }) {
+      const [question = '', ...options] = args.raw
+        .replace(FLAG_PATTERN, ' ')
+        .split('|')
+        .map((part) => part.trim());
+      const values = [...new Set(options.filter(Boolean))];
+
+      if (!question || values.length < MIN_OPTIONS) {
+        await reply(`❌ Uso: ${prefix}enquete <pergunta> | <opção 1> | <opção 2> (de ${MIN_OPTIONS} a ${MAX_OPTIONS} opções diferentes)`);
+        return;
+      }
+      if (values.length > MAX_OPTIONS) {
+        await reply(`❌ A enquete pode ter no máximo ${MAX_OPTIONS} opções.`);
+        return;
+      }
+      if (question.length > MAX_QUESTION_LENGTH || values.some((value) => value.length > MAX_OPTION_LENGTH)) {
+        await reply(`❌ A pergunta deve ter no máximo ${MAX_QUESTION_LENGTH} caracteres e cada opção no máximo ${MAX_OPTION_LENGTH}.`);
+        return;
+      }
+
+      const multiple = Boolean(args.flags.multipla || args.flags['múltipla']);
+      const sent = await client.sendMessage(from, { poll: { name: question, values, selectableCount: multiple ? values.length : 1 } });
+
+      // Registra na hora: os primeiros votos podem chegar antes do lote de mensagens ser processado
+      if (sent) {
+        services.getDataManager()?.addPoll(sent, { createdBy: sender });
+      }
+    },
+  },
+  {
+    name: 'resultado',
+    aliases: ['apuracao', 'votos'],
+    description: 'Mostra a apuração da enquete respondida (ou da mais recente do chat); use --votantes para listar quem votou.',
+    usage: 'resultado [--votantes] (respondendo a uma enquete ou não)',
+    examples: ['resultado', 'resultado --votantes'],
+    category: 'utilidades',
+
+    async handler({ args, from, normalized, services, reply }) {
+      const dataManager = services.getDataManager();
+      const quoted = normalized?.quoted;
+
+      if (quoted && quoted.type !== 'poll') {
+        await reply('❌ A mensagem respondida não é uma enquete.');
+        return;
+      }
+
+      const poll = quoted ? dataManager?.getPoll(quoted.chatId || from, quoted.id) : dataManager?.getLatestPoll(from);
+      if (!poll) {
+        await reply(quoted ? `❌ Não tenho os votos dessa enquete. Só consigo apurar enquetes recebidas pelo bot nos últimos ${POLL_DAYS} dia(s).` : '❌ Nenhuma enquete encontrada neste chat.');
+        return;
+      }
+
+      const results = dataManager.getPollResults(poll.key.remoteJid, poll.key.id, services.getBotJids()[0]);
+      const showVoters = Boolean(args.flags.votantes);
+      const mentions = showVoters ? [...new Set(results.options.flatMap((option) => option.voters))] : [];
+
+      await reply({ text: formatResults(results, showVoters), mentions });
+    },
+  },
+];
@@ -0,0 +1,195 @@
+const batchConfig = require('../config/batchConfig');
+const { formatJid, parsePhoneNumber, resolveTargets } = require('./_targets');
+
+/**
+ * Estatísticas de atividade do grupo: resumo geral e ranking de participantes
+ * Os dados vêm das contagens diárias salvas pelo ActivityTracker (ou das mensagens em memória, na falta delas)
+ */
+
+const TYPE_LABELS = {
+  text: 'texto',
+  image: 'imagem',
+  video: 'vídeo',
+  audio: 'áudio',
+  sticker: 'figurinha',
+  document: 'documento',
+  location: 'localização',
+  contact: 'contato',
+  poll: 'enquete',
+  interactiveResponse: 'resposta interativa',
+};
+
+const WEEKDAYS = ['domingo', 'segunda', 'terça', 'quarta', 'quinta', 'sexta', 'sábado'];
+
+const PERIOD_ALIASES = {
+  hoje: 1,
+  today: 1,
+  semana: 7,
+  week: 7,
+  mes: 30,
+  mês: 30,
+  month: 30,
+};
+
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+/**
+ * Interpreta o período em dias: hoje, semana, mes, tudo ou Nd (ex.: 15d)
+ * @returns {number|null} Quantidade de dias ou null se o valor não for um período
+ */
+function parsePeriod(value) {
+  const option = String(value || '').toLowerCase();
+  if (PERIOD_ALIASES[option]) return PERIOD_ALIASES[option];
+  if (['tudo', 'all'].includes(option)) return batchConfig.activity.retentionDays;
+
+  const match = option.match(/^(\d{1,3})d$/);
+  return match && Number(match[1]) > 0 ? Math.min(Number(match[1]), batchConfig.activity.retentionDays) : null;
+}
+
+function describePeriod(days) {
+  return days === 1 ? 'hoje' : `últimos ${days} dias`;
+}
+
+function formatNumber(value) {
+  return value.toLocaleString('pt-BR');
+}
+
+function formatPercent(count, total) {
+  return `${total > 0 ? ((count / total) * 100).toLocaleString('pt-BR', { maximumFractionDigits: 1 }) : 0}%`;
+}
+
+/**
+ * Lista os maiores valores de um histograma (horas ou dias da semana)
+ */
+function topEntries(counts, label, limit = 3) {
+  return counts
+    .map((count, index) => ({ label: label(index), count }))
+    .filter((entry) => entry.count > 0)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit)
+    .map((entry) => `${entry.label} (${formatNumber(entry.count)})`)
+    .join(' · ');
+}
+
+function getReport({ from, services }, days) {
+  return services.activity.getReport(from, { days, messages: services.getDataManager()?.getChatMessages(from) || [] });
+}
+
+function formatGroupReport(report) {
+  const lines = [`📊 *Atividade do grupo* (${describePeriod(report.days)})`, ''];
+  lines.push(`💬 Mensagens: ${formatNumber(report.total)} · 👥 Participantes ativos: ${formatNumber(report.members.length)}`);
+  lines.push(`📅 Média por dia: ${(report.total / report.days).toLocaleString('pt-BR', { maximumFractionDigits: 1 })}`);
+
+  lines.push('', '*Mais ativos*');
+  report.members.slice(0, 5).forEach((member, index) => {
+    lines.push(`${index + 1}. ${formatJid(member.jid)} — ${formatNumber(member.count)} (${formatPercent(member.count, report.total)})`);
+  });
+
+  lines.push('', '*Tipos de mensagem*', report.types.map((entry) => `${TYPE_LABELS[entry.type] || entry.type} ${formatNumber(entry.count)}`).join(' · '));
+  lines.push(
+    '',
+    '*Horários de pico*',
+    topEntries(report.hours, (hour) => `${String(hour).padStart(2, '0')}h`),
+  );
+  if (report.days > 1) {
+    lines.push(
+      '',
+      '*Dias mais movimentados*',
+      topEntries(report.weekdays, (day) => WEEKDAYS[day]),
+    );
+  }
+  if (report.source === 'memory') {
+    lines.push('', '_Parte dos dados veio das mensagens recentes em memória, sem histórico salvo._');
+  }
+
+  return lines.join('\n');
+}
+
+function formatMemberReport(report, jid) {
+  const position = report.members.findIndex((member) => member.jid === jid);
+  if (position < 0) {
+    return `📊 ${formatJid(jid)} não enviou mensagens no período (${describePeriod(report.days)}).`;
+  }
+
+  const { count } = report.members[position];
+  return [`📊 *Atividade de ${formatJid(jid)}* (${describePeriod(report.days)})`, '', `💬 ${formatNumber(count)} mensagem(ns) · ${formatPercent(count, report.total)} do grupo`, `🏅 Posição ${position + 1} de ${report.members.length}`].join('\n');
+}
+
+module.exports = [
+  {
+    name: 'stats',
+    aliases: ['estatisticas', 'atividade'],
+    description: 'Mostra a atividade do grupo (ou de um participante) no período: mensagens por membro, por tipo, horários e dias de pico.',
+    usage: 'stats [hoje | semana | mes | tudo | <N>d] [@usuario|número]',
+    examples: ['stats', 'stats hoje', 'stats 30d', 'stats @fulano mes'],
+    category: 'administração',
+    groupOnly: true,
+
+    async handler(context) {
+      const { args, prefix, reply } = context;
+      const [target = null] = resolveTargets(args);
+      let days = batchConfig.activity.defaultDays;
+
+      for (const value of args.list) {
+        if (parsePeriod(value)) {
+          days = parsePeriod(value);
+        } else if (!/^@\d+$/.test(value) && !parsePhoneNumber(value)) {
+          await reply(`❌ Período inválido. Use hoje, semana, mes, tudo ou um número de dias (ex.: ${prefix}stats 15d).`);
+          return;
+        }
+      }
+
+      const report = getReport(context, days);
+      if (target) {
+        await reply({ text: formatMemberReport(report, target), mentions: [target] });
+        return;
+      }
+      if (report.total === 0) {
+        await reply(`📊 Nenhuma mensagem registrada no período (${describePeriod(report.days)}).`);
+        return;
+      }
+
+      await reply({ text: formatGroupReport(report), mentions: report.members.slice(0, 5).map((member) => member.jid) });
+    },
+  },
+  {
+    name: 'rank',
+    aliases: ['ranking', 'top'],
+    description: 'Ranking dos participantes que mais enviaram mensagens no período.',
+    usage: 'rank [hoje | semana | mes | tudo | <N>d] [quantidade]',
+    examples: ['rank', 'rank mes', 'rank 30d 20'],
+    category: 'administração',
+    groupOnly: true,
+
+    async handler(context) {
+      const { args, prefix, reply } = context;
+      let days = batchConfig.activity.defaultDays;
+      let size = 10;
+
+      for (const value of args.list) {
+        if (/^\d+$/.test(value)) {
+          size = Math.min(Math.max(Number(value), 1), batchConfig.activity.maxRankSize);
+        } else if (parsePeriod(value)) {
+          days = parsePeriod(value);
+        } else {
+          await reply(`❌ Uso: ${prefix}rank [hoje | semana | mes | tudo | <N>d] [quantidade]`);
+          return;
+        }
+      }
+
+      const report = getReport(context, days);
+      if (report.total === 0) {
+        await reply(`🏆 Nenhuma mensagem registrada no período (${describePeriod(report.days)}).`);
+        return;
+      }
+
+      const ranked = report.members.slice(0, size);
+      const lines = ranked.map((member, index) => `${MEDALS[index] || `${index + 1}.`} ${formatJid(member.jid)} — ${formatNumber(member.count)} (${formatPercent(member.count, report.total)})`);
+
+      await reply({
+        text: [`🏆 *Ranking de mensagens* (${describePeriod(report.days)})`, `${formatNumber(report.total)} mensagens de ${formatNumber(report.members.length)} participante(s)`, '', ...lines].join('\n'),
+        mentions: ranked.map((member) => member.jid),
+      });
+    },
+  },
+];
@@ -0,0 +1,265 @@
+const { normalizeUserJid } = require('../services/PermissionManager');
+const { MediaError } = require('../services/MediaService');
+const { formatJid, resolveTargets } = require('./_targets');
+
+/**
+ * Comandos de administração de grupos
+ * Todos exigem que o autor e o bot sejam administradores do grupo
+ */
+
+const PARTICIPANT_STATUS_MESSAGES = {
+  401: 'sem permissão para esta ação',
+  403: 'não permitido (privacidade do usuário ou convite necessário)',
+  404: 'número não encontrado no WhatsApp',
+  408: 'saiu recentemente do grupo',
+  409: 'já está no grupo',
+  500: 'o grupo está cheio',
+};
+
+const PARTICIPANT_ACTIONS = {
+  remove: 'removido',
+  add: 'adicionado',
+  promote: 'promovido a administrador',
+  demote: 'rebaixado a membro',
+};
+
+const GROUP_SETTINGS = {
+  abrir: { setting: 'not_announcement', message: '🔓 Grupo aberto: todos podem enviar mensagens.' },
+  fechar: { setting: 'announcement', message: '🔒 Grupo fechado: apenas administradores podem enviar mensagens.' },
+  destravar: { setting: 'unlocked', message: '✏️ Todos os participantes podem editar os dados do grupo.' },
+  travar: { setting: 'locked', message: '🛡️ Apenas administradores podem editar os dados do grupo.' },
+};
+
+/**
+ * Valida um alvo antes de enviar a ação ao WhatsApp
+ * @returns {string|null} Motivo da recusa ou null se o alvo for válido
+ */
+function validateTarget(action, jid, participant, { services, botJids }) {
+  if (action !== 'add' && botJids.includes(jid)) {
+    return 'é o próprio bot';
+  }
+  if ((action === 'remove' || action === 'demote') && participant?.admin === 'superadmin') {
+    return 'é o criador do grupo';
+  }
+  if ((action === 'remove' || action === 'demote') && services.permissions.isOwner(jid)) {
+    return 'é dono do bot';
+  }
+  if (action === 'add') {
+    return participant ? 'já está no grupo' : null;
+  }
+  if (!participant) {
+    return 'não está no grupo';
+  }
+  if (action === 'promote' && participant.admin) {
+    return 'já é administrador';
+  }
+  if (action === 'demote' && !participant.admin) {
+    return 'não é administrador';
+  }
+  return null;
+}
+
+/**
+ * Aplica uma ação a vários participantes e responde com o resultado de cada um
+ */
+async function updateParticipants(action, { args, from, prefix, command, client, services, reply }) {
+  const targets = resolveTargets(args);
+  if (targets.length === 0) {
+    await reply(`❌ Mencione, responda ou informe o número de quem deseja afetar. Ex.: ${prefix}${command} @usuario`);
+    return;
+  }
+
+  const metadata = await services.getGroupMetadata(from);
+  const botJids = services.getBotJids().map(normalizeUserJid);
+  const results = [];
+  const pending = [];
+
+  for (const jid of targets) {
+    const reason = validateTarget(action, jid, services.permissions.findParticipant(metadata, jid), { services, botJids });
+    if (reason) {
+      results.push({ jid, success: false, reason });
+    } else {
+      pending.push(jid);
+    }
+  }
+
+  if (pending.length > 0) {
+    try {
+      const response = await client.groupParticipantsUpdate(from, pending, action);
+      for (const jid of pending) {
+        const entry = (response || []).find((item) => normalizeUserJid(item.jid) === jid);
+        const status = Number(entry?.status || 200);
+        results.push({ jid, success: status === 200, reason: PARTICIPANT_STATUS_MESSAGES[status] || `erro ${status}` });
+      }
+    } catch (error) {
+      for (const jid of pending) {
+        results.push({ jid, success: false, reason: error.message });
+      }
+    }
+  }
+
+  const lines = results.map((result) => (result.success ? `✅ ${formatJid(result.jid)} ${PARTICIPANT_ACTIONS[action]}` : `❌ ${formatJid(result.jid)}: ${result.reason}`));
+  await reply({ text: lines.join('\n'), mentions: results.map((result) => result.jid) });
+}
+
+function createParticipantCommand(action, definition) {
+  return {
+    category: 'administração',
+    permission: 'admin',
+    groupOnly: true,
+    botAdmin: true,
+    ...definition,
+    handler: (context) => updateParticipants(action, context),
+  };
+}
+
+module.exports = [
+  createParticipantCommand('remove', {
+    name: 'ban',
+    aliases: ['kick', 'remover'],
+    description: 'Remove participantes do grupo.',
+    usage: 'ban <@usuario...|número...> (ou respondendo a uma mensagem)',
+    examples: ['ban @fulano', 'ban 5511999999999'],
+  }),
+  createParticipantCommand('add', {
+    name: 'add',
+    aliases: ['adicionar'],
+    description: 'Adiciona participantes ao grupo.',
+    usage: 'add <número...>',
+    examples: ['add 5511999999999', 'add 5511999999999 5521988888888'],
+  }),
+  createParticipantCommand('promote', {
+    name: 'promover',
+    aliases: ['promote'],
+    description: 'Promove participantes a administradores.',
+    usage: 'promover <@usuario...|número...>',
+    examples: ['promover @fulano'],
+  }),
+  createParticipantCommand('demote', {
+    name: 'rebaixar',
+    aliases: ['demote'],
+    description: 'Remove o cargo de administrador de participantes.',
+    usage: 'rebaixar <@usuario...|número...>',
+    examples: ['rebaixar @fulano'],
+  }),
+  {
+    name: 'nome',
+    aliases: ['subject', 'setname'],
+    description: 'Altera o nome do grupo.',
+    usage: 'nome <novo nome>',
+    examples: ['nome Amigos do Futebol'],
+    category: 'administração',
+    permission: 'admin',
+    groupOnly: true,
+    botAdmin: true,
+
+    async handler({ args, from, prefix, client, reply }) {
+      const subject = args.raw.trim();
+      if (!subject) {
+        await reply(`❌ Informe o novo nome. Ex.: ${prefix}nome Amigos do Futebol`);
+        return;
+      }
+      if (subject.length > 100) {
+        await reply('❌ O nome do grupo deve ter no máximo 100 caracteres.');
+        return;
+      }
+
+      await client.groupUpdateSubject(from, subject);
+      await reply(`✅ Nome do grupo alterado para *${subject}*`);
+    },
+  },
+  {
+    name: 'descricao',
+    aliases: ['desc', 'setdesc'],
+    description: 'Altera ou remove a descrição do grupo.',
+    usage: 'descricao [nova descrição]',
+    examples: ['descricao Regras: sem spam', 'descricao'],
+    category: 'administração',
+    permission: 'admin',
+    groupOnly: true,
+    botAdmin: true,
+
+    async handler({ args, from, client, reply }) {
+      const description = args.raw.trim();
+      if (description.length > 2048) {
+        await reply('❌ A descrição deve ter no máximo 2048 caracteres.');
+        return;
+      }
+
+      await client.groupUpdateDescription(from, description || undefined);
+      await reply(description ? '✅ Descrição do grupo atualizada.' : '✅ Descrição do grupo removida.');
+    },
+  },
+  {
+    name: 'fotogrupo',
+    aliases: ['setpic', 'foto'],
+    description: 'Altera a foto do grupo com a imagem enviada ou respondida.',
+    usage: 'fotogrupo (com ou respondendo a uma imagem)',
+    examples: ['fotogrupo'],
+    category: 'administração',
+    permission: 'admin',
+    groupOnly: true,
+    botAdmin: true,
+    timeout: 60000,
+
+    async handler({ from, prefix, client, downloadMedia, reply }) {
+      let media;
+      try {
+        media = await downloadMedia({ allowedKinds: ['image'], maxFileSize: 5 * 1024 * 1024 });
+      } catch (error) {
+        if (!(error instanceof MediaError)) throw error;
+        await reply(error.code === 'TOO_LARGE' ? '❌ A imagem deve ter no máximo 5 MB.' : `❌ Envie ou responda a uma imagem com ${prefix}fotogrupo`);
+        return;
+      }
+
+      await client.updateProfilePicture(from, { url: media.path });
+      await reply('✅ Foto do grupo atualizada.');
+    },
+  },
+  {
+    name: 'grupo',
+    aliases: ['group'],
+    description: 'Abre ou fecha o grupo para mensagens e trava ou destrava a edição dos dados.',
+    usage: 'grupo [abrir | fechar | travar | destravar]',
+    examples: ['grupo', 'grupo fechar', 'grupo travar'],
+    category: 'administração',
+    permission: 'admin',
+    groupOnly: true,
+    botAdmin: true,
+
+    async handler({ args, from, prefix, client, services, reply }) {
+      const option = (args.list[0] || '').toLowerCase();
+
+      if (!option) {
+        const metadata = await services.getGroupMetadata(from);
+        await reply([`👥 *${metadata?.subject || 'Grupo'}*`, '', `*Mensagens:* ${metadata?.announce ? 'somente administradores' : 'todos'}`, `*Editar dados:* ${metadata?.restrict ? 'somente administradores' : 'todos'}`, '', `Use ${prefix}grupo <abrir|fechar|travar|destravar> para alterar.`].join('\n'));
+        return;
+      }
+
+      const groupSetting = GROUP_SETTINGS[option];
+      if (!groupSetting) {
+        await reply(`❌ Uso: ${prefix}grupo <abrir|fechar|travar|destravar>`);
+        return;
+      }
+
+      await client.groupSettingUpdate(from, groupSetting.setting);
+      await reply(groupSetting.message);
+    },
+  },
+  {
+    name: 'resetlink',
+    aliases: ['revogar', 'novolink'],
+    description: 'Revoga o link de convite atual e gera um novo.',
+    usage: 'resetlink',
+    examples: ['resetlink'],
+    category: 'administração',
+    permission: 'admin',
+    groupOnly: true,
+    botAdmin: true,
+
+    async handler({ from, client, reply }) {
+      const code = await client.groupRevokeInvite(from);
+      await reply(`🔗 Link de convite redefinido:\nhttps://chat.whatsapp.com/${code}`);
+    },
+  },
+];
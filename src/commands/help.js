@@ -0,0 +1,77 @@
+/**
+ * Gera a ajuda dos comandos a partir dos metadados do CommandRegistry
+ */
+
+function formatCommandHelp(command, prefix) {
+  const lines = [`*${prefix}${command.name}*`];
+
+  if (command.description) {
+    lines.push(command.description);
+  }
+
+  lines.push('', `*Uso:* ${prefix}${command.usage || command.name}`);
+
+  if (command.aliases.length > 0) {
+    lines.push(`*Aliases:* ${command.aliases.map((alias) => `${prefix}${alias}`).join(', ')}`);
+  }
+
+  if (Array.isArray(command.examples) && command.examples.length > 0) {
+    lines.push('', '*Exemplos:*', ...command.examples.map((example) => `• ${prefix}${example}`));
+  }
+
+  return lines.join('\n');
+}
+
+function formatCommandList(commands, prefix) {
+  const categories = new Map();
+
+  for (const command of commands) {
+    if (!categories.has(command.category)) {
+      categories.set(command.category, []);
+    }
+    categories.get(command.category).push(command);
+  }
+
+  const sections = [...categories.keys()].sort().map((category) => {
+    const entries = categories
+      .get(category)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map((command) => `• ${prefix}${command.name}${command.description ? ` — ${command.description}` : ''}`);
+
+    return [`*${category.toUpperCase()}*`, ...entries].join('\n');
+  });
+
+  return ['📖 *Comandos disponíveis*', '', sections.join('\n\n'), '', `Use ${prefix}help <comando> para mais detalhes.`].join('\n');
+}
+
+module.exports = {
+  name: 'help',
+  aliases: ['ajuda', 'menu'],
+  description: 'Lista os comandos disponíveis ou mostra detalhes de um comando.',
+  usage: 'help [comando]',
+  examples: ['help', 'help ping'],
+  category: 'utilidades',
+
+  async handler({ args, registry, prefix, reply }) {
+    const [target] = args.list;
+
+    if (target) {
+      const command = registry.resolve(target.startsWith(prefix) ? target.substring(prefix.length) : target);
+
+      if (!command || command.hidden) {
+        await reply(`❌ Comando '${target}' não encontrado. Use ${prefix}help para ver a lista.`);
+        return;
+      }
+
+      await reply(formatCommandHelp(command, prefix));
+      return;
+    }
+
+    await reply(
+      formatCommandList(
+        registry.list().filter((command) => !command.hidden),
+        prefix,
+      ),
+    );
+  },
+};
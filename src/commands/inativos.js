@@ -0,0 +1,158 @@
+const batchConfig = require('../config/batchConfig');
+const { normalizeUserJid } = require('../services/PermissionManager');
+const { formatJid } = require('./_targets');
+const { wait } = require('./_wait');
+const { runInBackground } = require('./_background');
+
+/**
+ * Relatório de participantes sem mensagens no período, com remoção opcional em lotes
+ * A atividade vem do ActivityTracker (e das mensagens em memória); administradores, donos e o bot nunca entram na lista
+ */
+
+const { defaultDays, removeBatchSize, removeDelay, maxRemovals } = batchConfig.inactive;
+const MAX_LISTED = 100;
+
+function formatDay(key) {
+  const [, month, day] = key.split('-');
+  return `${day}/${month}`;
+}
+
+/**
+ * Lista os participantes comuns sem mensagens no período
+ * @returns {Promise<{inactive: string[], total: number, report: object}>} JIDs inativos, total de participantes e relatório de atividade
+ */
+async function findInactive({ from, services }, days) {
+  const metadata = await services.getGroupMetadata(from);
+  const participants = metadata?.participants || [];
+  const report = services.activity.getReport(from, { days, messages: services.getDataManager()?.getChatMessages(from) || [] });
+  const active = new Set(report.members.map((member) => member.jid));
+  const botJids = services.getBotJids().map(normalizeUserJid);
+
+  const inactive = participants
+    .filter((participant) => !participant.admin)
+    .map((participant) => ({ id: normalizeUserJid(participant.id), aliases: [participant.id, participant.jid].filter(Boolean).map(normalizeUserJid) }))
+    .filter(({ aliases }) => !aliases.some((jid) => active.has(jid) || botJids.includes(jid) || services.permissions.isOwner(jid)))
+    .map(({ id }) => id);
+
+  return { inactive, total: participants.length, report };
+}
+
+/**
+ * Remove os participantes em lotes com pausa entre eles
+ * @returns {Promise<{removed: string[], failed: string[]}>} Resultado da remoção
+ */
+async function removeInBatches(client, chatId, jids) {
+  const removed = [];
+  const failed = [];
+
+  for (let index = 0; index < jids.length; index += removeBatchSize) {
+    if (index > 0) {
+      await wait(removeDelay);
+    }
+
+    const batch = jids.slice(index, index + removeBatchSize);
+    try {
+      const response = await client.groupParticipantsUpdate(chatId, batch, 'remove');
+      for (const jid of batch) {
+        const entry = (response || []).find((item) => normalizeUserJid(item.jid) === jid);
+        (Number(entry?.status || 200) === 200 ? removed : failed).push(jid);
+      }
+    } catch {
+      failed.push(...batch);
+    }
+  }
+
+  return { removed, failed };
+}
+
+module.exports = {
+  name: 'inativos',
+  aliases: ['inativo', 'fantasmas'],
+  description: 'Lista os participantes sem mensagens no período e oferece removê-los em lotes.',
+  usage: 'inativos [dias]',
+  examples: ['inativos', 'inativos 60'],
+  category: 'administração',
+  permission: 'admin',
+  groupOnly: true,
+
+  async handler(context) {
+    const { args, from, prefix, services, interactive, reply } = context;
+    const days = args.list[0] ? Number(args.list[0]) : defaultDays;
+
+    if (!Number.isInteger(days) || days < 1 || days > batchConfig.activity.retentionDays) {
+      await reply(`❌ Informe o período em dias, de 1 a ${batchConfig.activity.retentionDays}. Ex.: ${prefix}inativos 30`);
+      return;
+    }
+
+    const { inactive, total, report } = await findInactive(context, days);
+    const lines = [`👻 *Participantes inativos* (sem mensagens há ${days} dia(s))`, `${inactive.length} de ${total} participante(s)`];
+
+    if (!report.firstDay || report.firstDay > report.since) {
+      lines.push(`⚠️ O histórico de mensagens começa ${report.firstDay ? `em ${formatDay(report.firstDay)}` : 'agora'}; quem falou só antes disso aparece como inativo.`);
+    }
+
+    if (inactive.length === 0) {
+      await reply([...lines, '', '✅ Nenhum participante inativo no período.'].join('\n'));
+      return;
+    }
+
+    const listed = inactive.slice(0, MAX_LISTED);
+    lines.push('', ...listed.map((jid, index) => `${index + 1}. ${formatJid(jid)}`));
+    if (inactive.length > listed.length) {
+      lines.push(`… e mais ${inactive.length - listed.length}.`);
+    }
+
+    await reply({ text: lines.join('\n'), mentions: listed });
+
+    if (!(await services.permissions.isBotAdmin(from))) {
+      return;
+    }
+
+    const count = Math.min(inactive.length, maxRemovals);
+    await interactive.sendButtons(`Remover ${count} participante(s) inativo(s)?${inactive.length > count ? ` (limite de ${maxRemovals} por vez)` : ''}`, [
+      { text: `Remover ${count}`, action: 'remover', payload: { days } },
+      { text: 'Cancelar', action: 'cancelar' },
+    ]);
+  },
+
+  async onInteractive(context) {
+    const { interaction, client, from, services, reply } = context;
+
+    if (interaction.action !== 'remover') {
+      await reply('❌ Remoção de inativos cancelada.');
+      return;
+    }
+    if (!(await services.permissions.isBotAdmin(from))) {
+      await reply('❌ Preciso ser administrador do grupo para remover participantes.');
+      return;
+    }
+
+    // Recalcula na confirmação: quem falou ou saiu desde o relatório fica de fora
+    const { inactive } = await findInactive(context, interaction.payload.days);
+    const targets = inactive.slice(0, maxRemovals);
+    if (targets.length === 0) {
+      await reply('✅ Nenhum participante inativo para remover.');
+      return;
+    }
+
+    // Os lotes rodam em segundo plano: o resultado é enviado ao grupo quando terminarem
+    const started = runInBackground(`inativos:${from}`, async () => {
+      await reply(`⏳ Removendo ${targets.length} participante(s) em lotes de ${removeBatchSize}...`);
+      const { removed, failed } = await removeInBatches(client, from, targets);
+
+      const lines = [`✅ ${removed.length} participante(s) inativo(s) removido(s).`];
+      if (failed.length > 0) {
+        lines.push(`❌ Não foi possível remover ${failed.length}: ${failed.map(formatJid).join(', ')}`);
+      }
+      if (inactive.length > targets.length) {
+        lines.push(`Restam ${inactive.length - targets.length} inativo(s); use o comando novamente para continuar.`);
+      }
+
+      await client.sendMessage(from, { text: lines.join('\n'), mentions: failed });
+    });
+
+    if (!started) {
+      await reply('⏳ Já existe uma remoção de inativos em andamento neste grupo.');
+    }
+  },
+};
@@ -0,0 +1,99 @@
+const batchConfig = require('../config/batchConfig');
+const { parseWhen, getMinCronInterval, formatDateTime } = require('../utils/schedule');
+
+/**
+ * Lembretes pessoais enviados no chat em que foram criados
+ */
+
+const MIN_DELAY = 60 * 1000;
+const MAX_DELAY = 366 * 24 * 60 * 60 * 1000;
+// Lembretes recorrentes são abertos a qualquer usuário: execuções muito próximas virariam spam no chat
+const MIN_CRON_INTERVAL = 60 * 60 * 1000;
+
+function summarize(text) {
+  return text.length > 50 ? `${text.slice(0, 50)}…` : text;
+}
+
+function formatJob(job) {
+  return `\`${job.id}\` ${formatDateTime(job.runAt)}${job.cron ? ` (recorrente: ${job.cron})` : ''}\n    ${job.description}`;
+}
+
+module.exports = {
+  name: 'lembrete',
+  aliases: ['lembrar', 'remind'],
+  description: 'Agenda um lembrete para você neste chat (único ou recorrente).',
+  usage: 'lembrete <quando> <mensagem> | lembrete lista | lembrete cancelar <id>',
+  examples: ['lembrete 30m tirar o bolo do forno', 'lembrete 14:30 reunião', 'lembrete amanha 08:00 pagar a conta', 'lembrete 25/12 comprar presentes', 'lembrete diario 07:00 tomar remédio', 'lembrete cron "0 9 * * 1" enviar relatório'],
+  category: 'utilidades',
+
+  async handler({ args, from, sender, prefix, services, reply }) {
+    const { scheduler, permissions } = services;
+    const [option = ''] = args.list.map((value) => value.toLowerCase());
+    const ownJobs = () => scheduler.list((job) => job.kind === 'reminder' && job.createdBy === sender);
+
+    if (!option || ['lista', 'list'].includes(option)) {
+      const jobs = ownJobs();
+      await reply(jobs.length > 0 ? ['⏰ *Seus lembretes*', '', ...jobs.map(formatJob)].join('\n') : `⏰ Você não tem lembretes. Ex.: ${prefix}lembrete 30m tirar o bolo do forno`);
+      return;
+    }
+
+    if (['cancelar', 'cancel', 'remover'].includes(option)) {
+      const job = args.list[1] ? scheduler.get(args.list[1]) : null;
+      if (!job || job.kind !== 'reminder' || (job.createdBy !== sender && !permissions.isOwner(sender))) {
+        await reply(`❌ Lembrete não encontrado. Use ${prefix}lembrete lista para ver os ids.`);
+        return;
+      }
+
+      scheduler.cancel(job.id);
+      await reply(`✅ Lembrete \`${job.id}\` cancelado.`);
+      return;
+    }
+
+    const now = Date.now();
+    let when;
+    try {
+      when = parseWhen(args.list, now);
+    } catch (error) {
+      await reply(`❌ ${error.message}.`);
+      return;
+    }
+
+    if (!when) {
+      await reply(`❌ Não entendi quando lembrar. Use, por exemplo: 30m, 2h, 14:30, amanha 08:00, 25/12 10:00, diario 07:00 ou cron "0 9 * * 1".`);
+      return;
+    }
+
+    const delay = when.runAt - now;
+    if (!when.cron && (delay < MIN_DELAY || delay > MAX_DELAY)) {
+      await reply('❌ O lembrete deve ser para daqui a pelo menos 1 minuto e no máximo 1 ano.');
+      return;
+    }
+    if (when.cron && getMinCronInterval(when.cron) < MIN_CRON_INTERVAL) {
+      await reply('❌ Lembretes recorrentes devem ter pelo menos 1 hora entre duas execuções.');
+      return;
+    }
+
+    const text = args.list.slice(when.consumed).join(' ').trim() || args.quoted?.text?.trim();
+    if (!text) {
+      await reply(`❌ Informe a mensagem do lembrete. Ex.: ${prefix}lembrete 30m tirar o bolo do forno`);
+      return;
+    }
+
+    if (ownJobs().length >= batchConfig.scheduler.maxJobsPerUser) {
+      await reply(`❌ Você já tem ${batchConfig.scheduler.maxJobsPerUser} lembretes ativos. Cancele algum com ${prefix}lembrete cancelar <id>.`);
+      return;
+    }
+
+    const job = scheduler.schedule({
+      chatId: from,
+      content: { text: `⏰ *Lembrete* para @${sender.split('@')[0]}\n\n${text}`, mentions: [sender] },
+      runAt: when.runAt,
+      cron: when.cron,
+      kind: 'reminder',
+      createdBy: sender,
+      description: summarize(text),
+    });
+
+    await reply(`✅ Lembrete \`${job.id}\` agendado para ${formatDateTime(job.runAt)}${job.cron ? ` e repetido conforme \`${job.cron}\`` : ''}.`);
+  },
+};
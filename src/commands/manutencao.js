@@ -0,0 +1,36 @@
+const batchConfig = require('../config/batchConfig');
+const { parseToggle } = require('../utils/commandParser');
+const { GLOBAL_KEY } = require('../services/SettingsManager');
+
+/**
+ * Liga ou desliga o modo manutenção, que bloqueia comandos de todos exceto do dono
+ */
+module.exports = {
+  name: 'manutencao',
+  aliases: ['maintenance'],
+  description: 'Ativa ou desativa o modo manutenção do bot.',
+  usage: 'manutencao [on|off]',
+  examples: ['manutencao', 'manutencao on'],
+  category: 'dono',
+  permission: 'owner',
+  alwaysEnabled: true,
+
+  async handler({ args, prefix, services, reply }) {
+    const [state] = args.list;
+    const current = services.settings.isFeatureEnabled(GLOBAL_KEY, 'maintenance', batchConfig.maintenance.defaultEnabled);
+
+    if (!state) {
+      await reply(`🛠️ Modo manutenção está *${current ? 'ativado' : 'desativado'}*.\nUse ${prefix}manutencao <on|off> para alterar.`);
+      return;
+    }
+
+    const enabled = parseToggle(state);
+    if (enabled === null) {
+      await reply(`❌ Uso: ${prefix}manutencao <on|off>`);
+      return;
+    }
+
+    services.settings.setFeature(GLOBAL_KEY, 'maintenance', enabled);
+    await reply(`✅ Modo manutenção ${enabled ? 'ativado' : 'desativado'}.`);
+  },
+};
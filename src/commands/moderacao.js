@@ -0,0 +1,145 @@
+const { parseToggle } = require('../utils/commandParser');
+
+/**
+ * Configura as regras de moderação do grupo (anti-link e anti-spam)
+ */
+
+const RULE_NAMES = {
+  convites: 'inviteLinks',
+  convite: 'inviteLinks',
+  links: 'links',
+  link: 'links',
+  encaminhadas: 'forwarded',
+  encaminhada: 'forwarded',
+  repetidas: 'repeated',
+  repetida: 'repeated',
+  mencoes: 'massMentions',
+  menções: 'massMentions',
+  flood: 'flood',
+};
+
+const RULE_LABELS = {
+  inviteLinks: 'convites',
+  links: 'links',
+  forwarded: 'encaminhadas',
+  repeated: 'repetidas',
+  massMentions: 'mencoes',
+  flood: 'flood',
+};
+
+const ACTION_NAMES = {
+  apagar: 'delete',
+  avisar: 'warn',
+  remover: 'kick',
+};
+
+const ACTION_LABELS = {
+  delete: 'apagar',
+  warn: 'avisar',
+  kick: 'remover',
+};
+
+function normalizeDomain(value) {
+  return value
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .split(/[/?#:]/)[0];
+}
+
+function formatStatus(config, prefix) {
+  const rules = Object.entries(RULE_LABELS).map(([rule, label]) => `*${label}:* ${config.rules[rule] ? 'on' : 'off'}${rule === 'flood' ? ` (${config.flood.maxMessages} mensagens em ${config.flood.window / 1000}s)` : ''}`);
+
+  return ['🛡️ *Moderação do grupo*', '', ...rules, '', `*Ação:* ${ACTION_LABELS[config.action]}${config.action === 'warn' ? ` (remove após ${config.maxWarnings} avisos)` : ''}`, `*Domínios permitidos:* ${config.whitelist.length > 0 ? config.whitelist.join(', ') : 'nenhum'}`, '', `Use ${prefix}moderacao <regra> <on|off>, ${prefix}moderacao acao <apagar|avisar|remover>, ${prefix}moderacao avisos <n>, ${prefix}moderacao flood <mensagens> <segundos> ou ${prefix}moderacao <permitir|negar> <domínio...>`].join('\n');
+}
+
+module.exports = {
+  name: 'moderacao',
+  aliases: ['mod', 'antilink'],
+  description: 'Configura a moderação automática do grupo: links, convites, encaminhamentos, repetições, menções em massa e flood.',
+  usage: 'moderacao [<convites|links|encaminhadas|repetidas|mencoes|flood> <on|off> | flood <mensagens> <segundos> | acao <apagar|avisar|remover> | avisos <n> | permitir <domínio...> | negar <domínio...>]',
+  examples: ['moderacao', 'moderacao convites on', 'moderacao acao remover', 'moderacao avisos 5', 'moderacao flood 15 10', 'moderacao permitir youtube.com github.com'],
+  category: 'administração',
+  permission: 'admin',
+  groupOnly: true,
+
+  async handler({ args, from, prefix, services, reply }) {
+    const { moderation, settings: settingsManager } = services;
+    const [option, ...values] = args.list.map((value) => value.toLowerCase());
+
+    if (!option) {
+      const config = moderation.getConfig(from);
+      const botAdmin = await services.permissions.isBotAdmin(from);
+      await reply(formatStatus(config, prefix) + (botAdmin || !moderation.isActive(config) ? '' : '\n\n⚠️ Preciso ser administrador do grupo para aplicar as regras.'));
+      return;
+    }
+
+    if (option === 'flood' && /^\d+$/.test(values[0] || '')) {
+      const maxMessages = Number.parseInt(values[0], 10);
+      const seconds = Number.parseInt(values[1], 10);
+      if (maxMessages < 3 || maxMessages > 100 || !Number.isInteger(seconds) || seconds < 1 || seconds > 300) {
+        await reply(`❌ Informe de 3 a 100 mensagens em 1 a 300 segundos. Ex.: ${prefix}moderacao flood 20 10`);
+        return;
+      }
+
+      const rules = { ...moderation.getConfig(from).rules, flood: true };
+      settingsManager.setModeration(from, { rules, flood: { maxMessages, window: seconds * 1000 } });
+      await reply(`✅ Flood ativado: ${maxMessages} mensagens em ${seconds} segundos.`);
+      return;
+    }
+
+    const rule = RULE_NAMES[option];
+    if (rule) {
+      const enabled = parseToggle(values[0]);
+      if (enabled === null) {
+        await reply(`❌ Uso: ${prefix}moderacao ${RULE_LABELS[rule]} <on|off>`);
+        return;
+      }
+
+      const rules = { ...moderation.getConfig(from).rules, [rule]: enabled };
+      settingsManager.setModeration(from, { rules });
+      await reply(`✅ Regra *${RULE_LABELS[rule]}* ${enabled ? 'ativada' : 'desativada'}.`);
+      return;
+    }
+
+    if (['acao', 'ação', 'action'].includes(option)) {
+      const action = ACTION_NAMES[values[0]];
+      if (!action) {
+        await reply(`❌ Uso: ${prefix}moderacao acao <apagar|avisar|remover>`);
+        return;
+      }
+
+      settingsManager.setModeration(from, { action });
+      await reply(`✅ Ação da moderação definida para *${values[0]}*.`);
+      return;
+    }
+
+    if (['avisos', 'warnings'].includes(option)) {
+      const maxWarnings = Number.parseInt(values[0], 10);
+      if (!Number.isInteger(maxWarnings) || maxWarnings < 1 || maxWarnings > 20) {
+        await reply(`❌ Informe um número de avisos entre 1 e 20. Ex.: ${prefix}moderacao avisos 3`);
+        return;
+      }
+
+      settingsManager.setModeration(from, { maxWarnings });
+      await reply(`✅ Participantes serão removidos após ${maxWarnings} aviso(s).`);
+      return;
+    }
+
+    if (['permitir', 'negar'].includes(option)) {
+      const domains = values.map(normalizeDomain).filter((domain) => domain.includes('.'));
+      if (domains.length === 0) {
+        await reply(`❌ Informe ao menos um domínio. Ex.: ${prefix}moderacao ${option} youtube.com`);
+        return;
+      }
+
+      const current = moderation.getConfig(from).whitelist;
+      const whitelist = option === 'permitir' ? [...new Set([...current, ...domains])] : current.filter((domain) => !domains.includes(domain));
+      settingsManager.setModeration(from, { whitelist });
+      await reply(`✅ Domínios permitidos: ${whitelist.length > 0 ? whitelist.join(', ') : 'nenhum'}`);
+      return;
+    }
+
+    await reply(`❌ Opção inválida. Use ${prefix}moderacao para ver as opções.`);
+  },
+};
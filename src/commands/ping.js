@@ -0,0 +1,28 @@
+/**
+ * Comando de diagnóstico que responde com os dados da mensagem recebida
+ */
+module.exports = {
+  name: 'ping',
+  aliases: [],
+  description: 'Verifica se o bot está respondendo.',
+  usage: 'ping',
+  category: 'utilidades',
+
+  async handler({ reply, command, from, messageId, message, prefix }) {
+    await reply(
+      JSON.stringify(
+        {
+          message: 'Pong!',
+          command,
+          from,
+          messageId,
+          originalMessage: message,
+          timestamp: new Date().toISOString(),
+          prefix,
+        },
+        null,
+        2,
+      ),
+    );
+  },
+};
@@ -0,0 +1,110 @@
+const fsPromises = require('fs').promises;
+const batchConfig = require('../config/batchConfig');
+const { MediaError } = require('../services/MediaService');
+const { imageToSticker, videoToSticker, addStickerMetadata, stickerToImage } = require('../utils/stickerConverter');
+
+/**
+ * Conversão entre imagens/vídeos e figurinhas
+ */
+
+function describeMediaError(error, hint) {
+  if (!(error instanceof MediaError)) {
+    throw error;
+  }
+
+  switch (error.code) {
+    case 'NO_MEDIA':
+    case 'NOT_FOUND':
+      return `❌ ${hint}`;
+    case 'TYPE_NOT_ALLOWED':
+      return '❌ Formato de mídia não suportado por este comando.';
+    case 'TOO_LARGE':
+      return `❌ Arquivo muito grande. O limite é de ${Math.round(batchConfig.sticker.maxInputSize / (1024 * 1024))} MB.`;
+    default:
+      return '❌ Não foi possível baixar a mídia. Tente novamente.';
+  }
+}
+
+async function createSticker(media, { mode, signal }) {
+  switch (media.kind) {
+    case 'image':
+      return imageToSticker(media.path, { mode, signal });
+    case 'video':
+      return videoToSticker(media.path, { mode, signal, maxDuration: batchConfig.sticker.maxVideoDuration, maxSize: batchConfig.sticker.maxAnimatedSize });
+    default:
+      return fsPromises.readFile(media.path);
+  }
+}
+
+module.exports = [
+  {
+    name: 'sticker',
+    aliases: ['s', 'fig', 'figurinha'],
+    description: 'Cria uma figurinha a partir da imagem ou vídeo enviado ou respondido.',
+    usage: 'sticker [pacote | autor] [--crop]',
+    examples: ['sticker', 'sticker Meu Pacote | Fulano', 'sticker --crop'],
+    category: 'figurinhas',
+    cooldown: 5000,
+    timeout: 60000,
+
+    async handler({ args, prefix, message, downloadMedia, signal, reply }) {
+      let media;
+      try {
+        media = await downloadMedia({ allowedKinds: ['image', 'video', 'sticker'], maxFileSize: batchConfig.sticker.maxInputSize });
+      } catch (error) {
+        await reply(describeMediaError(error, `Envie ou responda a uma imagem ou vídeo com ${prefix}sticker`));
+        return;
+      }
+
+      const [packName, author] = args.list
+        .join(' ')
+        .split('|')
+        .map((value) => value.trim());
+      const mode = args.flags.crop ? 'crop' : 'fit';
+
+      let sticker;
+      try {
+        sticker = await createSticker(media, { mode, signal });
+        sticker = await addStickerMetadata(sticker, {
+          packName: packName || batchConfig.sticker.packName,
+          author: author || message?.pushName || batchConfig.sticker.author,
+        });
+      } catch (error) {
+        await reply('❌ Não foi possível criar a figurinha.');
+        throw error;
+      }
+
+      await reply({ sticker });
+    },
+  },
+  {
+    name: 'toimg',
+    aliases: ['img', 'paraimagem'],
+    description: 'Converte a figurinha respondida em imagem.',
+    usage: 'toimg (respondendo a uma figurinha)',
+    examples: ['toimg'],
+    category: 'figurinhas',
+    cooldown: 5000,
+    timeout: 30000,
+
+    async handler({ prefix, downloadMedia, signal, reply }) {
+      let media;
+      try {
+        media = await downloadMedia({ allowedKinds: ['sticker'], maxFileSize: batchConfig.sticker.maxInputSize });
+      } catch (error) {
+        await reply(describeMediaError(error, `Responda a uma figurinha com ${prefix}toimg`));
+        return;
+      }
+
+      let image;
+      try {
+        image = await stickerToImage(media.path, { signal });
+      } catch (error) {
+        await reply('❌ Não foi possível converter a figurinha.');
+        throw error;
+      }
+
+      await reply({ image });
+    },
+  },
+];
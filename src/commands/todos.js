@@ -0,0 +1,67 @@
+const batchConfig = require('../config/batchConfig');
+const { normalizeUserJid } = require('../services/PermissionManager');
+const { formatJid } = require('./_targets');
+const { wait } = require('./_wait');
+const { runInBackground } = require('./_background');
+
+/**
+ * Menciona todos os participantes do grupo
+ * Grupos grandes recebem várias mensagens, com pausa entre elas, para o bot não ser sinalizado por envio em massa
+ */
+
+const { chunkSize, chunkDelay, cooldown } = batchConfig.mentionAll;
+const FLAG_PATTERN = /(^|\s)--(oculto|oculta|ocultas)(?=\s|$)/gi;
+
+function chunk(list, size) {
+  const chunks = [];
+  for (let index = 0; index < list.length; index += size) {
+    chunks.push(list.slice(index, index + size));
+  }
+  return chunks;
+}
+
+module.exports = {
+  name: 'todos',
+  aliases: ['marcartodos', 'everyone'],
+  description: 'Menciona todos os participantes do grupo; com --oculto as menções não aparecem no texto.',
+  usage: 'todos [mensagem] [--oculto] (ou respondendo a uma mensagem)',
+  examples: ['todos', 'todos Reunião hoje às 20h', 'todos Atualizem o app --oculto'],
+  category: 'administração',
+  permission: 'admin',
+  groupOnly: true,
+  cooldown,
+
+  async handler({ args, client, from, normalized, services, reply }) {
+    const hidden = Boolean(args.flags.oculto || args.flags.oculta || args.flags.ocultas);
+    const text = args.raw.replace(FLAG_PATTERN, ' ').trim() || normalized?.quoted?.text?.trim() || '';
+
+    const metadata = await services.getGroupMetadata(from);
+    const botJids = services.getBotJids().map(normalizeUserJid);
+    const participants = [...new Set((metadata?.participants || []).map((participant) => normalizeUserJid(participant.id)))].filter((jid) => jid && !botJids.includes(jid));
+
+    if (participants.length === 0) {
+      await reply('❌ Não foi possível obter os participantes do grupo.');
+      return;
+    }
+
+    const chunks = chunk(participants, chunkSize);
+    const header = text || '📢 Atenção, pessoal!';
+
+    // As partes seguem em segundo plano para as pausas não prenderem os outros comandos do chat
+    const started = runInBackground(`todos:${from}`, async () => {
+      for (const [index, mentions] of chunks.entries()) {
+        if (index > 0) {
+          await wait(chunkDelay);
+        }
+
+        const part = chunks.length > 1 ? ` (${index + 1}/${chunks.length})` : '';
+        const body = hidden ? `${header}${part}` : [`${header}${part}`, '', mentions.map(formatJid).join(' ')].join('\n');
+        await client.sendMessage(from, { text: body, mentions });
+      }
+    });
+
+    if (!started) {
+      await reply('⏳ As menções anteriores ainda estão sendo enviadas neste grupo.');
+    }
+  },
+};
@@ -0,0 +1,199 @@
+const batchConfig = require('../config/batchConfig');
+
+/**
+ * Transmissões do dono do bot para vários chats
+ * Os envios ficam na fila do BroadcastManager, com pausa entre eles, e continuam após reinícios
+ */
+
+const { maxTargets } = batchConfig.broadcast;
+const FLAG_PATTERN = /(^|\s)--(min|max)=\S*(?=\s|$)/gi;
+const STATUS_LABELS = {
+  queued: 'na fila',
+  running: 'em andamento',
+  completed: 'concluída',
+  cancelled: 'cancelada',
+};
+
+function parseSize(value) {
+  if (value === undefined) return null;
+  // Flag sem valor (--min) chega como true e --min= como texto vazio
+  return typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : NaN;
+}
+
+/**
+ * Resolve os chats de destino conforme o filtro
+ * @param {object} filter Filtro da transmissão (scope, tag, min, max)
+ * @returns {Promise<string[]>} JIDs dos chats
+ */
+async function resolveTargets({ scope, tag, min, max }, { client, services }) {
+  if (scope === 'tag') {
+    return services.settings.getChatsByTag(tag);
+  }
+
+  const targets = [];
+  if (scope === 'grupos' || scope === 'todos') {
+    const groups = Object.values(await client.groupFetchAllParticipating());
+    targets.push(
+      ...groups
+        .filter((group) => {
+          const size = group.size ?? group.participants?.length ?? 0;
+          return (min === null || size >= min) && (max === null || size <= max);
+        })
+        .map((group) => group.id),
+    );
+  }
+  if (scope === 'privados' || scope === 'todos') {
+    targets.push(...(services.getDataManager()?.getChatIds() || []).filter((chatId) => chatId.endsWith('@s.whatsapp.net')));
+  }
+
+  return [...new Set(targets)];
+}
+
+function describeFilter({ scope, tag, min, max }) {
+  if (scope === 'tag') return `etiqueta "${tag}"`;
+
+  const size = [min !== null ? `mín. ${min}` : null, max !== null ? `máx. ${max}` : null].filter(Boolean).join(', ');
+  const label = { grupos: 'grupos', privados: 'conversas privadas', todos: 'grupos e conversas privadas' }[scope];
+  return size ? `${label} (participantes: ${size})` : label;
+}
+
+function formatReport(job, report) {
+  return [`📣 *Transmissão \`${job.id}\`* — ${STATUS_LABELS[job.status] || job.status}`, job.description ? `🎯 ${job.description}` : null, `📤 Enviadas: ${report.sent}/${report.total} · 📬 Entregues: ${report.delivered} · 👀 Lidas: ${report.read} · ❌ Falhas: ${report.failed}`].filter(Boolean).join('\n');
+}
+
+module.exports = {
+  name: 'transmissao',
+  aliases: ['transmitir', 'broadcast', 'bc'],
+  description: 'Envia uma mensagem a vários chats com pausa entre os envios, progresso e relatório de entrega.',
+  usage: 'transmissao <grupos|privados|todos> <mensagem> [--min=N] [--max=N] | transmissao tag <etiqueta> <mensagem> | transmissao lista | transmissao status <id> | transmissao cancelar <id> | transmissao marcar|desmarcar <etiqueta> | transmissao tags',
+  examples: ['transmissao grupos Manutenção do bot hoje às 22h.', 'transmissao grupos Novidades! --min=50', 'transmissao tag clientes Promoção de fim de semana', 'transmissao marcar clientes', 'transmissao status a1b2c3'],
+  category: 'dono',
+  permission: 'owner',
+
+  async handler(context) {
+    const { args, from, prefix, services, interactive, normalized, reply } = context;
+    const { broadcast, settings } = services;
+    const [option = 'lista', value] = args.list;
+
+    switch (option.toLowerCase()) {
+      case 'lista':
+      case 'list': {
+        const jobs = broadcast.list().slice(-10);
+        const lines = jobs.map((job) => {
+          const report = broadcast.getReport(job);
+          return `\`${job.id}\` ${STATUS_LABELS[job.status] || job.status} — ${report.done}/${report.total}${job.description ? ` · ${job.description}` : ''}`;
+        });
+        await reply(jobs.length > 0 ? ['📣 *Transmissões*', '', ...lines].join('\n') : '📣 Nenhuma transmissão registrada.');
+        return;
+      }
+
+      case 'status': {
+        const job = value ? broadcast.get(value) : null;
+        await reply(job ? formatReport(job, broadcast.getReport(job)) : `❌ Transmissão não encontrada. Use ${prefix}transmissao lista para ver os ids.`);
+        return;
+      }
+
+      case 'cancelar':
+      case 'cancel': {
+        const job = value ? broadcast.cancel(value) : null;
+        await reply(job ? `✅ Transmissão \`${job.id}\` cancelada após ${job.cursor} de ${job.targets.length} envio(s).` : '❌ Transmissão não encontrada ou já encerrada.');
+        return;
+      }
+
+      case 'marcar':
+      case 'desmarcar': {
+        if (!value) {
+          await reply(`❌ Informe a etiqueta. Ex.: ${prefix}transmissao ${option.toLowerCase()} clientes`);
+          return;
+        }
+
+        const enabled = option.toLowerCase() === 'marcar';
+        settings.setTag(from, value, enabled);
+        await reply(enabled ? `🏷️ Este chat agora tem a etiqueta "${value.toLowerCase()}".` : `🏷️ Etiqueta "${value.toLowerCase()}" removida deste chat.`);
+        return;
+      }
+
+      case 'tags':
+      case 'etiquetas': {
+        const counts = Object.entries(settings.getTagCounts()).sort(([a], [b]) => a.localeCompare(b));
+        const current = settings.get(from).tags;
+        const lines = counts.map(([tag, count]) => `• ${tag} — ${count} chat(s)`);
+        await reply([counts.length > 0 ? ['🏷️ *Etiquetas*', '', ...lines].join('\n') : '🏷️ Nenhuma etiqueta cadastrada.', '', `Neste chat: ${current.length > 0 ? current.join(', ') : 'nenhuma'}`].join('\n'));
+        return;
+      }
+
+      default:
+        break;
+    }
+
+    const scope = option.toLowerCase();
+    if (!['grupos', 'privados', 'todos', 'tag'].includes(scope)) {
+      await reply(`❌ Uso: ${prefix}transmissao <grupos|privados|todos> <mensagem> ou ${prefix}transmissao tag <etiqueta> <mensagem>. Veja também lista, status, cancelar, marcar, desmarcar e tags.`);
+      return;
+    }
+
+    const filter = { scope, tag: scope === 'tag' ? value?.toLowerCase() : null, min: parseSize(args.flags.min), max: parseSize(args.flags.max) };
+    if (Number.isNaN(filter.min) || Number.isNaN(filter.max)) {
+      await reply('❌ Use números inteiros em --min e --max. Ex.: --min=50');
+      return;
+    }
+    if (scope === 'tag' && !filter.tag) {
+      await reply(`❌ Informe a etiqueta. Ex.: ${prefix}transmissao tag clientes <mensagem>`);
+      return;
+    }
+
+    const skipped = scope === 'tag' ? 2 : 1;
+    let text = args.raw.replace(FLAG_PATTERN, ' ').trim();
+    for (let index = 0; index < skipped; index++) {
+      text = text.replace(/^\S+\s*/, '');
+    }
+    text = text.trim() || normalized?.quoted?.text?.trim() || '';
+    if (!text) {
+      await reply(`❌ Informe a mensagem da transmissão (ou responda a uma mensagem). Ex.: ${prefix}transmissao grupos Olá a todos!`);
+      return;
+    }
+
+    const targets = await resolveTargets(filter, context);
+    if (targets.length === 0) {
+      await reply(`❌ Nenhum chat encontrado para ${describeFilter(filter)}.`);
+      return;
+    }
+    if (targets.length > maxTargets) {
+      await reply(`❌ ${targets.length} chats encontrados para ${describeFilter(filter)}; o limite por transmissão é ${maxTargets}. Refine o filtro.`);
+      return;
+    }
+
+    await interactive.sendButtons([`📣 Enviar para ${targets.length} chat(s) (${describeFilter(filter)})?`, '', text].join('\n'), [
+      { text: 'Enviar', action: 'enviar', payload: { filter, text } },
+      { text: 'Cancelar', action: 'cancelar' },
+    ]);
+  },
+
+  async onInteractive(context) {
+    const { interaction, from, sender, prefix, services, reply } = context;
+
+    if (interaction.action !== 'enviar') {
+      await reply('❌ Transmissão cancelada.');
+      return;
+    }
+
+    // Recalcula os destinos na confirmação: grupos e etiquetas podem ter mudado desde a prévia
+    const { filter, text } = interaction.payload;
+    const targets = (await resolveTargets(filter, context)).slice(0, maxTargets);
+    if (targets.length === 0) {
+      await reply(`❌ Nenhum chat encontrado para ${describeFilter(filter)}.`);
+      return;
+    }
+
+    const preview = text.replace(/\s+/g, ' ');
+    const job = services.broadcast.enqueue({
+      targets,
+      content: { text },
+      createdBy: sender,
+      reportTo: from,
+      description: `${describeFilter(filter)}: ${preview.length > 40 ? `${preview.slice(0, 40)}…` : preview}`,
+    });
+
+    await reply(`✅ Transmissão \`${job.id}\` criada para ${targets.length} chat(s). Acompanhe com ${prefix}transmissao status ${job.id}.`);
+  },
+};
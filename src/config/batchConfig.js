@@ -3,6 +3,8 @@
  * Valores ajustados para máxima eficiência sem usar database
  */
 
+require('dotenv').config();
+
 const batchConfig = {
   // Configurações do BatchManager principal
   batchManager: {
@@ -19,6 +21,7 @@ const batchConfig = {
     cacheTTL: 300000, // TTL do cache (5 minutos)
     cacheMaxSize: 10000, // Máximo de entradas no cache
     cleanupInterval: 60000, // Intervalo de limpeza do cache (1 minuto)
+    pollTTL: 7 * 24 * 60 * 60 * 1000, // Tempo que as enquetes ficam guardadas para apurar os votos (7 dias)
   },
 
   // Configurações do MessageController
@@ -28,6 +31,122 @@ const batchConfig = {
     maxConcurrentCommands: 5, // Máximo de comandos simultâneos
   },
 
+  // Modo manutenção (/manutencao)
+  maintenance: {
+    defaultEnabled: process.env.MAINTENANCE_MODE === 'true', // Estado enquanto o dono não usar /manutencao
+  },
+
+  // Limites de uso de comandos (token bucket)
+  rateLimit: {
+    defaultCooldown: 3000, // Intervalo mínimo entre usos do mesmo comando por usuário (ms)
+    user: {
+      capacity: 5, // Comandos permitidos em rajada por usuário
+      refillInterval: 30000, // Tempo para recarregar todos os tokens do usuário (ms)
+    },
+    group: {
+      capacity: 20, // Comandos permitidos em rajada por grupo
+      refillInterval: 30000, // Tempo para recarregar todos os tokens do grupo (ms)
+    },
+  },
+
+  // Sessões de conversa (aguardando respostas do usuário)
+  sessions: {
+    timeout: 120000, // Tempo padrão de espera por uma resposta (2 min)
+    cancelKeywords: ['cancelar', 'cancel', 'sair'], // Palavras que encerram a sessão
+  },
+
+  // Download de mídias
+  media: {
+    maxFileSize: 50 * 1024 * 1024, // Tamanho máximo de um anexo (50 MB)
+    allowedKinds: ['image', 'video', 'audio', 'sticker', 'document'], // Tipos de mídia aceitos
+    allowedMimetypes: null, // Lista de mimetypes aceitos (ex.: ['image/*']); null aceita todos
+  },
+
+  // Criação de figurinhas
+  sticker: {
+    packName: 'OmniZap', // Nome padrão do pacote
+    author: 'OmniZap', // Autor padrão (usado quando o remetente não tem nome)
+    maxInputSize: 10 * 1024 * 1024, // Tamanho máximo da imagem ou vídeo de origem (10 MB)
+    maxVideoDuration: 10, // Duração máxima das figurinhas animadas (segundos)
+    maxAnimatedSize: 1024 * 1024, // Tamanho máximo do WebP animado (1 MB)
+  },
+
+  // Configurações de respostas interativas (botões e listas)
+  interactive: {
+    ttl: 3600000, // Validade dos callbacks registrados (1 hora)
+  },
+
+  // Moderação de grupos (as regras são ativadas por grupo com /moderacao)
+  moderation: {
+    action: 'warn', // Ação padrão: delete, warn ou kick
+    maxWarnings: 3, // Advertências antes da remoção automática (alterável por grupo com /moderacao avisos)
+    warningTTL: 7 * 24 * 60 * 60 * 1000, // Validade das advertências (7 dias); as mais antigas são descartadas
+    mentionLimit: 5, // Menções em uma mensagem para caracterizar menção em massa
+    forwardingScore: 5, // Encaminhamentos para caracterizar mensagem "encaminhada com frequência"
+    repeatLimit: 3, // Mensagens idênticas seguidas para caracterizar repetição
+    repeatWindow: 60000, // Janela de contagem das mensagens repetidas (1 min)
+    adminExempt: true, // Administradores do grupo não são moderados
+    flood: {
+      maxMessages: 20, // Mensagens de um mesmo participante na janela para caracterizar flood
+      window: 10000, // Janela deslizante de contagem (10 s)
+      responses: ['warn', 'mute', 'kick'], // Resposta a cada reincidência: aviso, grupo fechado temporariamente e remoção
+      muteDuration: 5 * 60 * 1000, // Tempo em que o grupo fica fechado após um flood (5 min)
+      incidentTTL: 60 * 60 * 1000, // Tempo até um incidente deixar de contar para a escalada (1 hora)
+    },
+  },
+
+  // Respostas automáticas por palavra-chave (/autoresposta)
+  autoResponder: {
+    cooldown: 10000, // Intervalo mínimo entre duas respostas da mesma regra no mesmo chat (10 s)
+    maxRulesPerChat: 50, // Máximo de regras por chat (e de regras globais)
+    maxPatternLength: 200, // Tamanho máximo do gatilho
+    maxRegexTextLength: 300, // Trecho inicial da mensagem testado pelas regras com expressão regular
+    maxMediaSize: 5 * 1024 * 1024, // Tamanho máximo da mídia usada como resposta (5 MB)
+  },
+
+  // Mensagens agendadas e lembretes (/lembrete e /anunciar)
+  scheduler: {
+    maxTimerDelay: 60000, // Intervalo máximo entre verificações dos agendamentos (1 min)
+    maxLateness: 6 * 60 * 60 * 1000, // Atraso máximo para ainda enviar um agendamento perdido (ex.: bot desligado); 6 horas
+    retryDelay: 60000, // Espera antes de tentar novamente um envio com erro (1 min)
+    maxAttempts: 3, // Tentativas de envio antes de desistir da execução
+    maxJobsPerUser: 10, // Lembretes ativos por usuário
+  },
+
+  // Estatísticas de atividade dos grupos (/stats e /rank)
+  activity: {
+    retentionDays: 90, // Dias de histórico mantidos em disco
+    defaultDays: 7, // Período padrão dos relatórios
+    saveDelay: 10000, // Agrupa as gravações em disco (ms), já que toda mensagem de grupo altera as estatísticas
+    maxRankSize: 50, // Máximo de participantes exibidos no /rank
+  },
+
+  // Detecção e remoção de participantes inativos (/inativos)
+  inactive: {
+    defaultDays: 30, // Período padrão sem mensagens para considerar inativo
+    removeBatchSize: 5, // Participantes removidos por requisição
+    removeDelay: 3000, // Pausa entre os lotes de remoção (ms)
+    maxRemovals: 50, // Máximo de remoções por confirmação
+  },
+
+  // Menção a todos os participantes (/todos)
+  mentionAll: {
+    chunkSize: 100, // Participantes mencionados por mensagem
+    chunkDelay: 3000, // Pausa entre as mensagens de grupos grandes (ms)
+    cooldown: 60000, // Intervalo mínimo entre usos por administrador (ms)
+  },
+
+  // Transmissões do dono para vários chats (/transmissao)
+  broadcast: {
+    delay: 5000, // Pausa mínima entre os envios (ms)
+    jitter: 3000, // Variação aleatória somada à pausa, para os envios não terem ritmo fixo (ms)
+    retryDelay: 30000, // Espera antes de retomar quando o bot está desconectado (ms)
+    progressEvery: 25, // Envia um aviso de progresso a cada N destinos
+    reportDelay: 5 * 60 * 1000, // Espera pelos recibos de entrega e leitura antes do relatório final (5 min)
+    retention: 7 * 24 * 60 * 60 * 1000, // Tempo que transmissões encerradas ficam salvas (7 dias)
+    maxTargets: 500, // Máximo de destinos por transmissão
+  },
+
   // Configurações de performance
   performance: {
     enableBatchProcessing: true, // Habilita processamento em lote
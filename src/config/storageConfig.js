@@ -0,0 +1,25 @@
+/**
+ * Caminhos de armazenamento em disco dos dados persistentes do bot
+ * O diretório base pode ser alterado pela variável DATA_PATH e o de mídias por MEDIA_PATH
+ */
+
+const path = require('path');
+require('dotenv').config();
+
+const dataPath = process.env.DATA_PATH || path.join(__dirname, '..', '..', 'temp', 'data');
+
+const storageConfig = {
+  dataPath,
+  mediaPath: process.env.MEDIA_PATH || path.join(dataPath, 'media'), // Mídias baixadas (nomeadas pelo hash do conteúdo)
+  files: {
+    settings: path.join(dataPath, 'settings.json'), // Configurações por chat
+    warnings: path.join(dataPath, 'warnings.json'), // Advertências por participante em cada grupo
+    autoResponses: path.join(dataPath, 'autoresponses.json'), // Regras de resposta automática por chat
+    schedules: path.join(dataPath, 'schedules.json'), // Mensagens agendadas e lembretes
+    activity: path.join(dataPath, 'activity.json'), // Estatísticas diárias de atividade dos grupos
+    broadcasts: path.join(dataPath, 'broadcasts.json'), // Fila e resultados das transmissões
+    polls: path.join(dataPath, 'polls.json'), // Enquetes e votos recebidos (mantidos por dataManager.pollTTL)
+  },
+};
+
+module.exports = storageConfig;
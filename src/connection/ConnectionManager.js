@@ -11,6 +11,8 @@ const logger = require('../utils/logs/logger');
 const DataManager = require('../services/DataManager');
 const BatchManager = require('../services/BatchManager');
 const batchConfig = require('../config/batchConfig');
+const storageConfig = require('../config/storageConfig');
+const { normalizeMessage } = require('../utils/messageNormalizer');
 require('dotenv').config();
 
 const env = cleanEnv(process.env, {
@@ -26,6 +28,7 @@ const STATUS = {
 };
 
 let client = null;
+let connectionStatus = STATUS.DISCONNECTED;
 let authState = null;
 let reconnectionAttempts = 0;
 const maxReconnectionAttempts = 10;
@@ -76,6 +79,26 @@ function getClient() {
   return client;
 }
 
+/**
+ * Indica se a conexão com o WhatsApp está aberta
+ */
+function isConnected() {
+  return connectionStatus === STATUS.CONNECTED;
+}
+
+function getDataManager() {
+  return dataManager;
+}
+
+/**
+ * Devolve ao Baileys o conteúdo de uma mensagem já armazenada
+ * Usado para reenvios e para decifrar votos de enquetes, que dependem da mensagem de criação
+ */
+async function getStoredMessage(key) {
+  const stored = dataManager?.getPoll(key.remoteJid, key.id) || dataManager?.getMessage(key.remoteJid, key.id);
+  return stored?.message || undefined;
+}
+
 async function loadAuthState() {
   const logMeta = { label: 'ConnectionManager.loadAuthState', instanceId };
 
@@ -169,6 +192,7 @@ async function connect() {
       syncFullHistory: true,
       markOnlineOnConnect: false,
       printQRInTerminal: false,
+      getMessage: getStoredMessage,
     };
 
     client = makeWASocket(socketConfig);
@@ -204,6 +228,8 @@ async function initialize() {
       flushInterval: batchConfig.dataManager.flushInterval,
       cacheTTL: batchConfig.dataManager.cacheTTL,
       cacheMaxSize: batchConfig.dataManager.cacheMaxSize,
+      pollTTL: batchConfig.dataManager.pollTTL,
+      pollsFilePath: storageConfig.files.polls,
     });
 
     batchManager.registerProcessor('messages', async (messages) => {
@@ -347,6 +373,10 @@ function handleIrrecoverableDisconnect(statusCode) {
 async function handleConnectionUpdate(update) {
   const { connection, lastDisconnect, qr: qrCodeValue } = update;
 
+  if (connection) {
+    connectionStatus = connection;
+  }
+
   if (qrCodeValue) {
     logger.info('QR Code recebido. Exibindo no terminal...', { label: 'ConnectionManager.handleQRCode', instanceId });
     qrcode.generate(qrCodeValue, { small: true });
@@ -473,6 +503,7 @@ async function handleMessagesUpsert(data) {
       const enrichedMessage = {
         ...msg,
         messageContentType,
+        normalized: normalizeMessage(msg),
         instanceId,
       };
 
@@ -582,7 +613,13 @@ async function handleGroupParticipantsUpdate(event) {
     participants,
     instanceId,
   });
-  await updateGroupMetadata(jid, null, 'group-participants.update');
+  const metadata = await updateGroupMetadata(jid, null, 'group-participants.update');
+
+  if (metadata && batchManager) {
+    batchManager.addToBuffer('groups', metadata);
+  }
+
+  emitEvent('group:participants:updated', { ...event, metadata, instanceId }, 'group-participants.update');
 }
 
 async function handleGroupsUpsert(groupsMetadata) {
@@ -651,7 +688,7 @@ async function handleMessagingHistorySet(data) {
     logger.debug(`Mensagem do histórico recebida: ${msg.key?.id} de ${msg.key?.remoteJid}.`, { label: 'ConnectionManager.handleMessagingHistorySet', messageKey: msg.key, instanceId });
     if (msg.key && msg.key.remoteJid && msg.key.id) {
       const messageContentType = msg.message ? getContentType(msg.message) : null;
-      const messageToEmit = { ...msg, receipts: msg.receipts || {}, messageContentType, instanceId };
+      const messageToEmit = { ...msg, receipts: msg.receipts || {}, messageContentType, normalized: normalizeMessage(msg), instanceId };
       emitEvent('history:message:set', messageToEmit, 'messaging-history.set.message');
     } else {
       logger.warn('Mensagem do histórico recebida sem chave completa.', { label: 'ConnectionManager.handleMessagingHistorySet', message: msg, instanceId });
@@ -674,9 +711,30 @@ function handleMessagesUpdate(updates) {
       instanceId,
     });
     emitEvent('message:updated', { ...update, instanceId }, 'messages.update');
+
+    if (update.update?.pollUpdates && update.key?.remoteJid) {
+      handlePollUpdates(update.key, update.update.pollUpdates);
+    }
   });
 }
 
+/**
+ * Registra os votos decifrados de uma enquete e emite a apuração atualizada
+ */
+function handlePollUpdates(key, pollUpdates) {
+  const results = dataManager?.applyPollUpdates(key, pollUpdates, client?.user?.id);
+  if (!results) {
+    logger.debug(`Votos recebidos para a enquete ${key.id}, que não está armazenada.`, {
+      label: 'ConnectionManager.handlePollUpdates',
+      messageKey: key,
+      instanceId,
+    });
+    return;
+  }
+
+  emitEvent('poll:updated', { chatId: key.remoteJid, pollId: key.id, ...results, instanceId }, 'messages.update.poll');
+}
+
 function handleMessagesDelete(deletion) {
   logger.info(` Evento 'messages.delete' recebido.`, {
     label: 'ConnectionManager.handleMessagesDelete',
@@ -715,7 +773,8 @@ async function handleMessageReceiptUpdate(receipts) {
     const { key, receipt } = receiptUpdate;
     if (key && key.remoteJid && key.id && receipt && receipt.userJid) {
       const timestamp = receipt.receiptTimestamp || receipt.readTimestamp || receipt.playedTimestamp;
-      const emittedReceipt = { key, userJid: receipt.userJid, type: receipt.type, timestamp, instanceId };
+      const status = receipt.readTimestamp || receipt.playedTimestamp ? 'read' : 'delivered';
+      const emittedReceipt = { key, userJid: receipt.userJid, type: receipt.type, status, timestamp, instanceId };
       emitEvent('message:receipt:updated', emittedReceipt, 'message-receipt.update');
     }
     logger.debug(`Detalhes do Recibo: ChaveMsg=${key?.id}, JID=${key?.remoteJid}, Status=${receipt?.type}, UserJid=${receipt?.userJid}.`, { label: 'ConnectionManager.handleMessageReceiptUpdate', receipt: receiptUpdate, instanceId });
@@ -882,4 +941,6 @@ module.exports = {
   initialize,
   getEventEmitter,
   getClient,
+  isConnected,
+  getDataManager,
 };
@@ -84,6 +84,55 @@ async function start() {
       });
     });
 
+    messageEmitter.on('group:participants:updated', (event) => {
+      messageController.groupMessageService.handleParticipantsUpdate(event, waClient).catch((error) => {
+        logger.error(`[Application] Erro ao processar alteração de participantes do grupo ${event.id}: ${error.message}`, {
+          label: 'Application.groupParticipants',
+          groupId: event.id,
+          error: error.message,
+          stack: error.stack,
+        });
+      });
+    });
+
+    messageEmitter.on('group:metadata:updated', (event) => {
+      messageController.moderationService.handleGroupUpdate(event);
+    });
+
+    messageEmitter.on('connection:opened', () => {
+      messageController.scheduler.run().catch((error) => {
+        logger.error(`[Application] Erro ao enviar agendamentos pendentes: ${error.message}`, {
+          label: 'Application.scheduler',
+          error: error.message,
+          stack: error.stack,
+        });
+      });
+    });
+
+    messageEmitter.on('connection:opened', () => {
+      messageController.broadcastManager.tick();
+    });
+
+    messageEmitter.on('message:updated', (update) => {
+      messageController.broadcastManager.handleMessageUpdate(update);
+    });
+
+    messageEmitter.on('message:receipt:updated', (receipt) => {
+      messageController.broadcastManager.handleReceipt(receipt);
+    });
+
+    messageEmitter.on('blocklist:set', (data) => {
+      messageController.permissionManager.setBlocklist(data.blocklist);
+    });
+
+    messageEmitter.on('blocklist:update', (data) => {
+      messageController.permissionManager.updateBlocklist(data.action, data.jids);
+    });
+
+    messageController.scheduler.start();
+    messageController.broadcastManager.start();
+    messageController.moderationService.restoreMutes();
+
     logger.info('Aplicação Omnizap iniciada e pronta.', { label: 'Application.start' });
   } catch (error) {
     logger.error('Falha ao iniciar a aplicação Omnizap:', { label: 'Application.start', message: error.message, stack: error.stack });
@@ -91,4 +140,27 @@ async function start() {
   }
 }
 
+let shuttingDown = false;
+
+/**
+ * Grava os dados pendentes antes de encerrar (pm2 stop/restart envia SIGINT)
+ */
+function shutdown(signal) {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+
+  logger.info(`Sinal ${signal} recebido. Gravando dados pendentes antes de encerrar...`, { label: 'Application.shutdown' });
+  try {
+    messageController.shutdown();
+  } catch (error) {
+    logger.error(`Erro ao gravar dados no encerramento: ${error.message}`, { label: 'Application.shutdown', error: error.message, stack: error.stack });
+  }
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
 start();
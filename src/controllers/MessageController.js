@@ -1,59 +1,204 @@
+const path = require('path');
 const logger = require('../utils/logs/logger');
+const CommandRegistry = require('../services/CommandRegistry');
+const CommandExecutor = require('../services/CommandExecutor');
+const RateLimiter = require('../services/RateLimiter');
+const MemoryCache = require('../services/MemoryCache');
+const PermissionManager = require('../services/PermissionManager');
+const MiddlewarePipeline = require('../services/MiddlewarePipeline');
+const SessionManager = require('../services/SessionManager');
+const InteractiveRouter = require('../services/InteractiveRouter');
+const MediaService = require('../services/MediaService');
+const GroupMessageService = require('../services/GroupMessageService');
+const ModerationService = require('../services/ModerationService');
+const WarningManager = require('../services/WarningManager');
+const AutoResponder = require('../services/AutoResponder');
+const Scheduler = require('../services/Scheduler');
+const ActivityTracker = require('../services/ActivityTracker');
+const BroadcastManager = require('../services/BroadcastManager');
+const createLoggingMiddleware = require('../middlewares/logging');
+const createBlocklistMiddleware = require('../middlewares/blocklist');
+const createCommandToggleMiddleware = require('../middlewares/commandToggle');
+const createMaintenanceMiddleware = require('../middlewares/maintenance');
+const createPermissionMiddleware = require('../middlewares/permission');
+const createGroupRequirementsMiddleware = require('../middlewares/groupRequirements');
+const createRateLimitMiddleware = require('../middlewares/rateLimit');
+const createMetricsMiddleware = require('../middlewares/metrics');
+const SettingsManager = require('../services/SettingsManager');
+const connectionManager = require('../connection/ConnectionManager');
+const batchConfig = require('../config/batchConfig');
+const storageConfig = require('../config/storageConfig');
+const { parseCommand } = require('../utils/commandParser');
+const { getNormalizedMessage } = require('../utils/messageNormalizer');
+const { translate } = require('../utils/i18n');
+const { buildNativeFlowContent, buildQuickReplyButtons, buildSingleSelectButton, sendInteractiveMessage } = require('../utils/interactiveMessages');
 
 require('dotenv').config();
 
 const COMMAND_PREFIX = process.env.COMMAND_PREFIX || '/';
+const EXTRA_COMMAND_PREFIXES = (process.env.COMMAND_PREFIXES || '')
+  .split(',')
+  .map((prefix) => prefix.trim())
+  .filter(Boolean);
+const PREFIXLESS_PRIVATE = process.env.PREFIXLESS_PRIVATE === 'true';
+const COMMANDS_PATH = process.env.COMMANDS_PATH || path.join(__dirname, '..', 'commands');
 
-const TEXT_EXTRACTION_PATHS = ['conversation', 'viewOnceMessageV2.message.imageMessage.caption', 'viewOnceMessageV2.message.videoMessage.caption', 'imageMessage.caption', 'videoMessage.caption', 'extendedTextMessage.text', 'viewOnceMessage.message.videoMessage.caption', 'viewOnceMessage.message.imageMessage.caption', 'documentWithCaptionMessage.message.documentMessage.caption', 'buttonsMessage.imageMessage.caption', 'buttonsResponseMessage.selectedButtonId', 'listResponseMessage.singleSelectReply.selectedRowId', 'templateButtonReplyMessage.selectedId', 'editedMessage.message.protocolMessage.editedMessage.extendedTextMessage.text', 'editedMessage.message.protocolMessage.editedMessage.imageMessage.caption', 'interactiveResponseMessage.nativeFlowResponseMessage.paramsJson', 'documentMessage.caption'];
+const commandRegistry = new CommandRegistry({ instanceId: process.env.INSTANCE_ID });
+const loadedCommands = commandRegistry.loadFromDirectory(COMMANDS_PATH);
 
-function _extractTextFromMessageObject(msgObj) {
-  if (!msgObj || typeof msgObj !== 'object') {
-    return '';
-  }
+logger.info(`[MessageController] ${loadedCommands} comando(s) carregado(s) de ${COMMANDS_PATH}`, {
+  label: 'MessageController.loadCommands',
+  loadedCommands,
+  commandsPath: COMMANDS_PATH,
+});
 
-  for (const path of TEXT_EXTRACTION_PATHS) {
-    const keys = path.split('.');
-    let current = msgObj;
-    let pathIsValid = true;
-
-    for (const key of keys) {
-      if (current && typeof current === 'object' && Object.prototype.hasOwnProperty.call(current, key) && current[key] !== null && current[key] !== undefined) {
-        current = current[key];
-      } else {
-        pathIsValid = false;
-        break;
-      }
-    }
+const commandExecutor = new CommandExecutor({
+  instanceId: process.env.INSTANCE_ID,
+  maxConcurrent: batchConfig.messageController.maxConcurrentCommands,
+  timeout: batchConfig.messageController.commandTimeout,
+});
 
-    if (pathIsValid) {
-      let textToReturn = '';
-      if (path === 'interactiveResponseMessage.nativeFlowResponseMessage.paramsJson') {
-        if (typeof current === 'string' && current.length > 0) {
-          try {
-            const parsedJson = JSON.parse(current);
-            if (parsedJson && typeof parsedJson.id === 'string') {
-              textToReturn = parsedJson.id;
-            } else if (parsedJson && typeof parsedJson.id === 'number') {
-              textToReturn = String(parsedJson.id);
-            }
-          } catch (e) {
-            logger.warn(`[MessageController._extractTextFromMessageObject] Erro ao parsear paramsJson: ${e.message}`, { label: 'MessageController._extractTextFromMessageObject', path, value: typeof current });
-          }
-        }
-      } else if (typeof current === 'string') {
-        textToReturn = current;
-      } else if (typeof current === 'number') {
-        textToReturn = String(current);
-      }
+const controllerCache = new MemoryCache({
+  instanceId: process.env.INSTANCE_ID,
+  defaultTTL: batchConfig.dataManager.cacheTTL,
+  maxSize: batchConfig.dataManager.cacheMaxSize,
+});
+controllerCache.startAutoCleanup(batchConfig.dataManager.cleanupInterval);
 
-      if (textToReturn.trim() !== '') {
-        return textToReturn.trim();
-      }
-    }
+const rateLimiter = new RateLimiter(controllerCache, {
+  instanceId: process.env.INSTANCE_ID,
+  ...batchConfig.rateLimit,
+});
+
+/**
+ * Obtém os metadados de um grupo, priorizando os dados já armazenados pelo DataManager
+ * @param {string} jid JID do grupo
+ * @returns {Promise<object|null>} Metadados do grupo
+ */
+async function getGroupMetadata(jid) {
+  const storedGroup = connectionManager.getDataManager()?.getGroup(jid);
+  if (storedGroup) {
+    return storedGroup;
   }
-  return '';
+
+  const client = connectionManager.getClient();
+  if (!client) {
+    return null;
+  }
+
+  return controllerCache.getOrSet(`groupMetadata:${jid}`, () => client.groupMetadata(jid), batchConfig.dataManager.cacheTTL);
 }
 
+/**
+ * Retorna os JIDs (número e LID) do próprio bot
+ */
+function getBotJids() {
+  const user = connectionManager.getClient()?.user;
+  return [user?.id, user?.lid].filter(Boolean);
+}
+
+const permissionManager = new PermissionManager({
+  instanceId: process.env.INSTANCE_ID,
+  owners: (process.env.OWNER_JID || '').split(','),
+  getGroupMetadata,
+  getBotJids,
+});
+
+const settingsManager = new SettingsManager({
+  instanceId: process.env.INSTANCE_ID,
+  defaultPrefixes: [...new Set([COMMAND_PREFIX, ...EXTRA_COMMAND_PREFIXES])],
+  defaultPrefixless: PREFIXLESS_PRIVATE,
+  filePath: storageConfig.files.settings,
+});
+
+const sessionManager = new SessionManager(controllerCache, {
+  instanceId: process.env.INSTANCE_ID,
+  ...batchConfig.sessions,
+});
+
+const groupMessageService = new GroupMessageService({
+  instanceId: process.env.INSTANCE_ID,
+  settingsManager,
+  getGroupMetadata,
+  getContactName: (jid) => connectionManager.getDataManager()?.getContact(jid)?.name || null,
+  getBotJids,
+});
+
+const mediaService = new MediaService({
+  instanceId: process.env.INSTANCE_ID,
+  directory: storageConfig.mediaPath,
+  getMessage: (chatId, messageId) => connectionManager.getDataManager()?.getMessage(chatId, messageId),
+  getClient: () => connectionManager.getClient(),
+  ...batchConfig.media,
+});
+
+const warningManager = new WarningManager({
+  instanceId: process.env.INSTANCE_ID,
+  filePath: storageConfig.files.warnings,
+  expiry: batchConfig.moderation.warningTTL,
+});
+
+const moderationService = new ModerationService({
+  instanceId: process.env.INSTANCE_ID,
+  settingsManager,
+  permissionManager,
+  warningManager,
+  cache: controllerCache,
+  getBotJids,
+  getGroupMetadata,
+  getClient: () => connectionManager.getClient(),
+  emit: (eventName, data) => connectionManager.getEventEmitter().emit(eventName, data),
+  defaults: batchConfig.moderation,
+});
+
+const autoResponder = new AutoResponder({
+  instanceId: process.env.INSTANCE_ID,
+  cache: controllerCache,
+  filePath: storageConfig.files.autoResponses,
+  ...batchConfig.autoResponder,
+});
+
+const scheduler = new Scheduler({
+  instanceId: process.env.INSTANCE_ID,
+  filePath: storageConfig.files.schedules,
+  getClient: () => connectionManager.getClient(),
+  isReady: () => connectionManager.isConnected(),
+  ...batchConfig.scheduler,
+});
+
+const activityTracker = new ActivityTracker({
+  instanceId: process.env.INSTANCE_ID,
+  cache: controllerCache,
+  filePath: storageConfig.files.activity,
+  ...batchConfig.activity,
+});
+
+const broadcastManager = new BroadcastManager({
+  instanceId: process.env.INSTANCE_ID,
+  settingsManager,
+  filePath: storageConfig.files.broadcasts,
+  getClient: () => connectionManager.getClient(),
+  isReady: () => connectionManager.isConnected(),
+  ...batchConfig.broadcast,
+});
+
+const interactiveRouter = new InteractiveRouter(controllerCache, {
+  instanceId: process.env.INSTANCE_ID,
+  ...batchConfig.interactive,
+});
+
+const metricsMiddleware = createMetricsMiddleware();
+
+const commandPipeline = new MiddlewarePipeline({ instanceId: process.env.INSTANCE_ID })
+  .use(createLoggingMiddleware())
+  .use(createBlocklistMiddleware({ permissionManager }))
+  .use(createCommandToggleMiddleware({ settingsManager }))
+  .use(createMaintenanceMiddleware({ settingsManager, permissionManager, cache: controllerCache, defaultEnabled: batchConfig.maintenance.defaultEnabled }))
+  .use(createPermissionMiddleware({ permissionManager }))
+  .use(createGroupRequirementsMiddleware({ permissionManager }))
+  .use(createRateLimitMiddleware({ rateLimiter }))
+  .use(metricsMiddleware);
+
 async function processBatchMessages(messages, baileysClient) {
   if (!Array.isArray(messages) || messages.length === 0) {
     return {
@@ -63,21 +208,52 @@ async function processBatchMessages(messages, baileysClient) {
     };
   }
 
-  logger.info(`[MessageController] Processando lote de ${messages.length} mensagens (prefixo: '${COMMAND_PREFIX}')`, {
+  logger.info(`[MessageController] Processando lote de ${messages.length} mensagens (prefixo padrão: '${COMMAND_PREFIX}')`, {
     label: 'MessageController.processBatchMessages.processBatchMessages',
     count: messages.length,
     prefix: COMMAND_PREFIX,
   });
 
   const commandQueue = [];
+  const sessionReplies = [];
+  const interactionQueue = [];
+  const autoResponses = [];
+  let moderated = 0;
 
   for (const message of messages) {
     const result = await processMessageCore(message);
+    activityTracker.record(result.normalized);
+
+    if (!result.isFromMe && baileysClient && (await moderateMessage(result, baileysClient))) {
+      moderated++;
+      continue;
+    }
+
+    if (result.interaction && baileysClient) {
+      interactionQueue.push(routeInteraction(result, message, baileysClient));
+      continue;
+    }
+
+    if (!result.isCommand && !result.isFromMe && baileysClient && sessionManager.has(result.from, result.sender)) {
+      sessionReplies.push(routeSessionReply(result, message, baileysClient));
+      continue;
+    }
+
+    if (!result.isCommand && !result.isFromMe && !result.hasPrefix && baileysClient) {
+      autoResponses.push(routeAutoResponse(result, message, baileysClient));
+      continue;
+    }
+
     if (result.isCommand && !result.isFromMe && baileysClient) {
       commandQueue.push({
         command: result.command,
+        args: result.args,
         from: result.from,
+        sender: result.sender,
+        prefix: result.prefix,
+        settings: result.settings,
         messageId: result.messageId,
+        normalized: result.normalized,
         originalMessage: message,
       });
     }
@@ -87,74 +263,180 @@ async function processBatchMessages(messages, baileysClient) {
     await executeBatchCommands(commandQueue, baileysClient);
   }
 
+  await Promise.all([...sessionReplies, ...interactionQueue, ...autoResponses]);
+
   logger.info(`[MessageController] Lote de ${messages.length} mensagens processado com ${commandQueue.length} comandos 'ola'`, {
     label: 'MessageController.processBatchMessages',
     messagesProcessed: messages.length,
     commandsExecuted: commandQueue.length,
+    sessionReplies: sessionReplies.length,
+    interactions: interactionQueue.length,
+    moderated,
   });
 
   return {
     processed: true,
     count: messages.length,
     commandsExecuted: commandQueue.length,
+    sessionReplies: sessionReplies.length,
+    interactions: interactionQueue.length,
+    moderated,
     status: 'Lote processado com sucesso',
   };
 }
 
+/**
+ * Aplica as regras de moderação do grupo antes de qualquer roteamento
+ * @returns {Promise<boolean>} true se a mensagem foi moderada e não deve seguir adiante
+ */
+async function moderateMessage(result, baileysClient) {
+  if (!result.normalized?.isGroup) {
+    return false;
+  }
+
+  try {
+    return Boolean(await moderationService.moderate(result.normalized, baileysClient));
+  } catch (error) {
+    logger.error(`[MessageController] Erro ao moderar mensagem ${result.messageId} em ${result.from}: ${error.message}`, {
+      label: 'MessageController.moderateMessage',
+      messageId: result.messageId,
+      chatId: result.from,
+      error: error.message,
+    });
+    return false;
+  }
+}
+
+/**
+ * Retorna os identificadores (número e LID) do próprio bot
+ */
+function _getBotUserIds() {
+  return getBotJids().map((jid) => jid.split('@')[0].split(':')[0]);
+}
+
+/**
+ * Identifica como o texto aciona um comando: prefixo, menção ao bot ou modo sem prefixo
+ * @param {string} text Texto completo da mensagem
+ * @param {object} options Opções de detecção
+ * @param {string[]} options.prefixes Prefixos aceitos no chat
+ * @param {string[]} options.mentionedJids JIDs mencionados na mensagem
+ * @param {boolean} options.allowPrefixless Aceita comandos sem prefixo
+ * @returns {{body: string, trigger: string, matchedPrefix: string|null}|null} Texto do comando sem o acionador
+ */
+function _detectCommandTrigger(text, { prefixes, mentionedJids, allowPrefixless }) {
+  const matchedPrefix = [...prefixes].sort((a, b) => b.length - a.length).find((prefix) => text.startsWith(prefix));
+  if (matchedPrefix) {
+    return { body: text.substring(matchedPrefix.length), trigger: 'prefix', matchedPrefix };
+  }
+
+  const botIds = _getBotUserIds();
+  const mentionMatch = text.match(/^@(\d+)\s*([\s\S]*)$/);
+  if (mentionMatch && botIds.includes(mentionMatch[1]) && mentionedJids.some((jid) => botIds.includes(jid.split('@')[0].split(':')[0]))) {
+    const remainder = mentionMatch[2].trim();
+    const remainderPrefix = prefixes.find((prefix) => remainder.startsWith(prefix));
+    const body = remainderPrefix ? remainder.substring(remainderPrefix.length) : remainder;
+    return commandRegistry.has(parseCommand(body).name) ? { body, trigger: 'mention', matchedPrefix: null } : null;
+  }
+
+  if (allowPrefixless && commandRegistry.has(parseCommand(text).name)) {
+    return { body: text, trigger: 'prefixless', matchedPrefix: null };
+  }
+
+  return null;
+}
+
 /**
  * Processa o núcleo de uma mensagem individual
  * @param {object} message Mensagem a ser processada
  * @returns {object} Resultado do processamento
  */
 async function processMessageCore(message) {
-  const from = message.key?.remoteJid;
-  const messageId = message.key?.id;
-  const isFromMe = message.key?.fromMe || false;
-  const mainMessagePart = message.message;
+  const normalized = getNormalizedMessage(message);
+  const { chatId: from, sender, id: messageId, fromMe: isFromMe } = normalized;
+  const settings = settingsManager.get(from);
 
-  let commandInputText = _extractTextFromMessageObject(mainMessagePart);
+  const responseId = isFromMe ? null : normalized.interactive?.id;
+  const interaction = responseId ? interactiveRouter.resolve(responseId, from, sender) : null;
+  if (interaction) {
+    logger.debug(`[MessageController] Resposta interativa '${interaction.action}' para o comando '${interaction.command}'`, {
+      label: 'MessageController.processMessageCore',
+      id: interaction.id,
+      command: interaction.command,
+      action: interaction.action,
+      from,
+    });
+
+    return {
+      messageId,
+      from,
+      sender,
+      isFromMe,
+      command: interaction.command,
+      args: null,
+      fullCommand: responseId,
+      isCommand: false,
+      hasPrefix: false,
+      trigger: 'interactive',
+      prefix: settings.prefix,
+      settings,
+      normalized,
+      interaction,
+    };
+  }
+
+  let commandInputText = normalized.text.trim();
 
   if (!commandInputText && typeof message.text === 'string' && message.text.trim() !== '') {
     commandInputText = message.text.trim();
     logger.debug('[MessageController.processMessageCore] Texto extraído de message.text (nível raiz)', { label: 'MessageController.processMessageCore' });
   }
 
-  if (!commandInputText) {
-    const quotedMessagePart = mainMessagePart?.extendedTextMessage?.contextInfo?.quotedMessage;
-    if (quotedMessagePart) {
-      commandInputText = _extractTextFromMessageObject(quotedMessagePart);
-    }
+  if (!commandInputText && normalized.quoted) {
+    commandInputText = normalized.quoted.text.trim();
   }
 
   const fullCommand = commandInputText.trim();
   let command = '';
+  let args = null;
   let isValidCommand = false;
 
-  if (fullCommand.startsWith(COMMAND_PREFIX)) {
-    const potentialCommand = fullCommand.substring(COMMAND_PREFIX.length).toLowerCase();
-    if (potentialCommand.length > 0) {
-      command = potentialCommand;
+  const trigger = fullCommand
+    ? _detectCommandTrigger(fullCommand, {
+        prefixes: settings.prefixes,
+        mentionedJids: normalized.mentions,
+        allowPrefixless: settings.prefixless && !from?.endsWith('@g.us'),
+      })
+    : null;
+
+  if (trigger) {
+    const parsed = parseCommand(trigger.body, message);
+    if (parsed.name.length > 0) {
+      command = parsed.name;
+      args = parsed.args;
       isValidCommand = !isFromMe;
-      logger.debug(`[MessageController] Comando potencial detectado: '${COMMAND_PREFIX}${command}'`, {
+      logger.debug(`[MessageController] Comando potencial detectado via ${trigger.trigger}: '${command}'`, {
         label: 'MessageController.processMessageCore',
         fullCommand,
         command,
-        prefix: COMMAND_PREFIX,
+        args: args.list,
+        flags: args.flags,
+        trigger: trigger.trigger,
+        prefix: trigger.matchedPrefix,
         from,
       });
     } else {
       logger.debug(`[MessageController] Prefixo detectado sem comando: '${fullCommand}'`, {
         label: 'MessageController.processMessageCore',
         fullCommand,
-        prefix: COMMAND_PREFIX,
+        prefix: trigger.matchedPrefix,
         from,
       });
     }
   } else if (fullCommand) {
-    logger.debug(`[MessageController] Texto não é comando (sem prefixo '${COMMAND_PREFIX}'): '${fullCommand}'`, {
+    logger.debug(`[MessageController] Texto não é comando (sem prefixo '${settings.prefixes.join(' ')}'): '${fullCommand}'`, {
       label: 'MessageController.processMessageCore',
       fullCommand,
-      prefix: COMMAND_PREFIX,
+      prefixes: settings.prefixes,
       from,
     });
   }
@@ -162,64 +444,372 @@ async function processMessageCore(message) {
   return {
     messageId,
     from,
+    sender,
     isFromMe,
     command,
+    args,
     fullCommand,
     isCommand: isValidCommand,
-    hasPrefix: fullCommand.startsWith(COMMAND_PREFIX),
-    prefix: COMMAND_PREFIX,
+    hasPrefix: trigger?.trigger === 'prefix',
+    trigger: trigger?.trigger || null,
+    prefix: settings.prefix,
+    settings,
+    normalized,
+    interaction: null,
+  };
+}
+
+/**
+ * Monta o contexto entregue ao handler de um comando
+ * @param {object} item Item da fila de comandos
+ * @param {object} baileysClient Cliente do WhatsApp
+ * @param {AbortSignal} signal Sinal abortado quando o comando excede o timeout
+ * @param {object} pipelineContext Contexto enriquecido pelos middlewares
+ * @returns {object} Contexto do comando
+ */
+function buildCommandContext(item, baileysClient, signal, pipelineContext) {
+  return {
+    client: baileysClient,
+    registry: commandRegistry,
+    command: item.command,
+    args: item.args,
+    from: item.from,
+    sender: item.sender,
+    permission: pipelineContext.permission,
+    state: pipelineContext.state,
+    messageId: item.messageId,
+    message: item.originalMessage,
+    normalized: item.normalized,
+    prefix: item.prefix,
+    settings: item.settings,
+    services: {
+      settings: settingsManager,
+      permissions: permissionManager,
+      cache: controllerCache,
+      media: mediaService,
+      groupMessages: groupMessageService,
+      moderation: moderationService,
+      warnings: warningManager,
+      autoResponder,
+      scheduler,
+      activity: activityTracker,
+      broadcast: broadcastManager,
+      getGroupMetadata,
+      getBotJids,
+      getDataManager: () => connectionManager.getDataManager(),
+    },
+    signal,
+    interaction: item.interaction || null,
+    downloadMedia: (options = {}) => mediaService.download(getMediaSource(item, options), options),
+    interactive: buildInteractiveHelpers(item, baileysClient),
+    awaitReply: (handler, options = {}) => startSession(item, baileysClient, handler, options),
+    reply: (content, options = {}) => {
+      if (signal?.aborted) {
+        return Promise.resolve(null);
+      }
+      return baileysClient.sendMessage(item.from, typeof content === 'string' ? { text: content } : content, { quoted: item.originalMessage, ...options });
+    },
   };
 }
 
+/**
+ * Escolhe a mensagem cuja mídia será baixada: a própria mensagem do comando ou, na falta de mídia, a mensagem citada
+ * @param {object} item Item da fila de comandos
+ * @param {object} [options] Opções
+ * @param {boolean} [options.quoted] Usa somente a mensagem citada
+ * @returns {object|null} Mensagem do Baileys ou chave de uma mensagem armazenada
+ */
+function getMediaSource(item, options = {}) {
+  if (item.normalized?.media && !options.quoted) {
+    return item.originalMessage;
+  }
+
+  const quoted = item.normalized?.quoted;
+  if (!quoted?.media) {
+    return null;
+  }
+
+  const stored = connectionManager.getDataManager()?.getMessage(quoted.chatId, quoted.id);
+  return stored || { key: { remoteJid: quoted.chatId, id: quoted.id, participant: quoted.sender }, message: quoted.message };
+}
+
+/**
+ * Monta os utilitários para enviar botões e listas cujas respostas voltam ao comando
+ * Por padrão apenas o autor do comando pode responder; use `anyone: true` para liberar a todos
+ * @param {object} item Item da fila que originou o envio
+ * @param {object} baileysClient Cliente do WhatsApp
+ * @returns {object} Funções createId, sendButtons e sendList
+ */
+function buildInteractiveHelpers(item, baileysClient) {
+  const commandName = commandRegistry.resolve(item.command)?.name || item.command;
+
+  const createId = (action, payload = null, options = {}) =>
+    interactiveRouter.register({
+      command: commandName,
+      action,
+      payload,
+      chatId: item.from,
+      sender: options.anyone ? null : item.sender,
+      handler: options.handler,
+      once: options.once,
+      group: options.group,
+      ttl: options.ttl,
+    });
+
+  return {
+    createId,
+    /**
+     * Envia botões de resposta rápida
+     * @param {string} text Texto da mensagem
+     * @param {Array<{text: string, action: string, payload?: *}>} buttons Botões exibidos
+     * @param {object} [options] title, footer, anyone, once, ttl e handler
+     */
+    sendButtons: (text, buttons, options = {}) => {
+      const group = options.group || interactiveRouter.createGroupId();
+      const nativeButtons = buildQuickReplyButtons(buttons.map((button) => ({ text: button.text, id: createId(button.action, button.payload, { ...options, group }) })));
+      return sendInteractiveMessage(baileysClient, item.from, buildNativeFlowContent({ text, title: options.title, footer: options.footer, buttons: nativeButtons }), { quoted: item.originalMessage });
+    },
+    /**
+     * Envia uma lista de opções
+     * @param {string} text Texto da mensagem
+     * @param {string} buttonText Texto do botão que abre a lista
+     * @param {Array<{title: string, rows: Array<{title: string, description?: string, action: string, payload?: *}>}>} sections Seções da lista
+     * @param {object} [options] title, footer, anyone, once, ttl e handler
+     */
+    sendList: (text, buttonText, sections, options = {}) => {
+      const group = options.group || interactiveRouter.createGroupId();
+      const nativeSections = sections.map((section) => ({
+        title: section.title,
+        rows: section.rows.map((row) => ({ title: row.title, description: row.description, id: createId(row.action, row.payload, { ...options, group }) })),
+      }));
+      return sendInteractiveMessage(baileysClient, item.from, buildNativeFlowContent({ text, title: options.title, footer: options.footer, buttons: [buildSingleSelectButton(buttonText, nativeSections)] }), { quoted: item.originalMessage });
+    },
+  };
+}
+
+/**
+ * Entrega a resposta de um botão ou lista ao comando que a registrou
+ * Usa o handler registrado junto ao callback ou, na falta dele, `onInteractive` do comando
+ */
+async function routeInteraction(result, message, baileysClient) {
+  const { interaction } = result;
+  const command = commandRegistry.resolve(interaction.command);
+  const handler = interaction.handler || command?.onInteractive;
+
+  if (!command || typeof handler !== 'function') {
+    logger.warn(`[MessageController] Resposta interativa sem handler para o comando '${interaction.command}' em ${result.from}`, {
+      label: 'MessageController.routeInteraction',
+      command: interaction.command,
+      action: interaction.action,
+      from: result.from,
+    });
+    return null;
+  }
+
+  const item = {
+    command: command.name,
+    args: null,
+    from: result.from,
+    sender: result.sender,
+    prefix: result.prefix,
+    settings: result.settings,
+    messageId: result.messageId,
+    normalized: result.normalized,
+    originalMessage: message,
+    interaction: { id: interaction.id, action: interaction.action, payload: interaction.payload },
+  };
+
+  return runCommand(command, item, baileysClient, handler);
+}
+
+/**
+ * Responde mensagens comuns que correspondem a uma regra de resposta automática do chat ou global
+ * O recurso pode ser desligado por chat com `/config recurso autoresposta off`
+ */
+async function routeAutoResponse(result, message, baileysClient) {
+  const text = result.normalized?.text;
+  if (!text || permissionManager.isBlocked(result.sender) || !settingsManager.isFeatureEnabled(result.from, 'autoresposta', true)) {
+    return null;
+  }
+
+  const rule = autoResponder.find(result.from, text);
+  if (!rule) {
+    return null;
+  }
+
+  try {
+    await baileysClient.sendMessage(result.from, autoResponder.buildContent(rule), { quoted: message });
+    logger.debug(`[MessageController] Resposta automática '${rule.id}' enviada em ${result.from}`, {
+      label: 'MessageController.routeAutoResponse',
+      ruleId: rule.id,
+      from: result.from,
+      sender: result.sender,
+    });
+    return rule;
+  } catch (error) {
+    logger.error(`[MessageController] Erro ao enviar resposta automática '${rule.id}' em ${result.from}: ${error.message}`, {
+      label: 'MessageController.routeAutoResponse',
+      ruleId: rule.id,
+      from: result.from,
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Inicia uma sessão aguardando a próxima mensagem (não comando) do mesmo usuário no mesmo chat
+ * @param {object} item Item da fila que originou a sessão
+ * @param {object} baileysClient Cliente do WhatsApp
+ * @param {function(object): Promise} handler Recebe o contexto com `text` e `data` da resposta
+ * @param {object} options Opções da sessão
+ * @param {object} [options.data] Dados mantidos entre as etapas
+ * @param {number} [options.timeout] Tempo de espera em ms
+ * @param {string|null} [options.timeoutMessage] Aviso ao expirar (null para não avisar)
+ * @param {string|null} [options.cancelMessage] Aviso ao cancelar (null para não avisar)
+ */
+function startSession(item, baileysClient, handler, options = {}) {
+  const language = item.settings.language;
+
+  return sessionManager.start({
+    chatId: item.from,
+    sender: item.sender,
+    handler,
+    data: options.data,
+    timeout: options.timeout,
+    origin: item,
+    cancelMessage: options.cancelMessage === undefined ? translate(language, 'session.cancelled') : options.cancelMessage,
+    onTimeout: () => {
+      const timeoutMessage = options.timeoutMessage === undefined ? translate(language, 'session.timeout') : options.timeoutMessage;
+      if (timeoutMessage) {
+        sendNotice(baileysClient, item, timeoutMessage);
+      }
+    },
+  });
+}
+
+/**
+ * Entrega uma mensagem comum ao handler da sessão pendente do usuário
+ */
+async function routeSessionReply(result, message, baileysClient) {
+  const taken = sessionManager.take(result.from, result.sender, result.fullCommand);
+  if (!taken) {
+    return null;
+  }
+
+  const { session, cancelled } = taken;
+  const item = {
+    ...session.origin,
+    args: null,
+    messageId: result.messageId,
+    settings: result.settings,
+    normalized: result.normalized,
+    originalMessage: message,
+  };
+
+  if (cancelled) {
+    logger.info(`[MessageController] Sessão de ${result.sender} em ${result.from} cancelada pelo usuário`, {
+      label: 'MessageController.routeSessionReply',
+      from: result.from,
+      sender: result.sender,
+    });
+    if (session.cancelMessage) {
+      sendNotice(baileysClient, item, session.cancelMessage);
+    }
+    return { status: 'cancelled' };
+  }
+
+  const outcome = await commandExecutor.execute(result.from, (signal) => session.handler({ ...buildCommandContext(item, baileysClient, signal, { permission: null, state: {} }), text: result.fullCommand, data: session.data }));
+
+  if (outcome.status === 'error') {
+    logger.error(`[MessageController] Erro no handler de sessão de ${result.sender} em ${result.from}: ${outcome.error.message}`, {
+      label: 'MessageController.routeSessionReply',
+      from: result.from,
+      sender: result.sender,
+      error: outcome.error.stack,
+    });
+  }
+
+  return outcome;
+}
+
+/**
+ * Envia um aviso ao usuário sem bloquear o processamento do lote
+ */
+function sendNotice(baileysClient, item, text) {
+  Promise.resolve()
+    .then(() => baileysClient.sendMessage(item.from, { text }, { quoted: item.originalMessage }))
+    .catch((error) => {
+      logger.error(`[MessageController] Erro ao enviar aviso para ${item.from}: ${error.message}`, {
+        label: 'MessageController.sendNotice',
+        from: item.from,
+        error: error.message,
+      });
+    });
+}
+
+/**
+ * Executa um comando já resolvido: middlewares "before", executor (timeout e ordenação por chat) e middlewares "after"
+ * @param {function(object): Promise} [handler] Substitui o handler do comando (ex.: respostas interativas)
+ */
+async function runCommand(command, item, baileysClient, handler = command.handler) {
+  const pipelineContext = { command, item, client: baileysClient, permission: null, state: {} };
+
+  const before = await commandPipeline.runBefore(pipelineContext);
+  if (before.halted) {
+    logger.info(`[MessageController] Comando '${command.name}' de ${item.sender} interrompido pelo middleware '${before.by}'`, {
+      label: 'MessageController.runCommand',
+      command: command.name,
+      sender: item.sender,
+      from: item.from,
+      middleware: before.by,
+    });
+    if (before.reply) {
+      sendNotice(baileysClient, item, before.reply);
+    }
+    return { status: 'halted', by: before.by };
+  }
+
+  const outcome = await commandExecutor.execute(item.from, (signal) => handler(buildCommandContext(item, baileysClient, signal, pipelineContext)), {
+    timeout: command.timeout,
+    onTimeout: () => baileysClient.sendMessage(item.from, { text: translate(item.settings.language, 'command.timeout', { command: `${item.prefix}${command.name}` }) }, { quoted: item.originalMessage }),
+  });
+
+  if (outcome.status === 'error') {
+    logger.error(`[MessageController] Erro ao executar comando '${command.name}' para ${item.from}: ${outcome.error.message}`, {
+      label: `MessageController.executeBatchCommands.${command.name}`,
+      messageId: item.messageId,
+      from: item.from,
+      error: outcome.error.stack,
+    });
+    sendNotice(baileysClient, item, translate(item.settings.language, 'command.error', { command: `${item.prefix}${command.name}` }));
+  }
+
+  await commandPipeline.runAfter(pipelineContext, outcome);
+
+  return outcome;
+}
+
 async function executeBatchCommands(commandQueue, baileysClient) {
+  const executions = [];
+
   for (const item of commandQueue) {
-    switch (item.command) {
-      case 'ping':
-        try {
-          await baileysClient.sendMessage(
-            item.from,
-            {
-              text: `${JSON.stringify(
-                {
-                  message: 'Pong!',
-                  command: item.command,
-                  from: item.from,
-                  messageId: item.messageId,
-                  originalMessage: item.originalMessage,
-                  timestamp: new Date().toISOString(),
-                  prefix: COMMAND_PREFIX,
-                },
-                null,
-                2,
-              )}`,
-            },
-            { quoted: item.originalMessage },
-          );
-          logger.info(`[MessageController] Comando '${COMMAND_PREFIX}ping' respondido com "Pong!" para ${item.from}`, {
-            label: 'MessageController.executeBatchCommands.ping',
-            messageId: item.messageId,
-            from: item.from,
-          });
-        } catch (error) {
-          logger.error(`[MessageController] Erro ao enviar resposta "Pong!" para ${item.from}: ${error.message}`, {
-            label: 'MessageController.executeBatchCommands.ping',
-            messageId: item.messageId,
-            from: item.from,
-            error: error.stack,
-          });
-        }
-        break;
-
-      default:
-        logger.warn(`[MessageController] Comando desconhecido ou não manipulado na fila: '${item.command}' de ${item.from}`, {
-          label: 'MessageController.executeBatchCommands',
-          command: item.command,
-          from: item.from,
-          messageId: item.messageId,
-        });
-        break;
+    const command = commandRegistry.resolve(item.command);
+
+    if (!command) {
+      logger.warn(`[MessageController] Comando desconhecido ou não manipulado na fila: '${item.command}' de ${item.from}`, {
+        label: 'MessageController.executeBatchCommands',
+        command: item.command,
+        from: item.from,
+        messageId: item.messageId,
+      });
+      continue;
     }
+
+    executions.push(runCommand(command, item, baileysClient));
   }
+
+  await Promise.all(executions);
 }
 
 async function processIncomingMessage(message, baileysClient) {
@@ -252,7 +842,39 @@ async function processIncomingMessage(message, baileysClient) {
   };
 }
 
+/**
+ * Para os serviços com timers e grava no disco as alterações pendentes de todos os stores
+ * Chamado no encerramento do processo, já que os stores gravam com atraso
+ */
+function shutdown() {
+  scheduler.stop();
+  broadcastManager.stop();
+  moderationService.stop();
+
+  for (const service of [settingsManager, warningManager, autoResponder, activityTracker]) {
+    service.store.flush();
+  }
+  connectionManager.getDataManager()?.pollStore?.flush();
+}
+
 module.exports = {
   processIncomingMessage,
   processBatchMessages,
+  commandRegistry,
+  commandExecutor,
+  permissionManager,
+  settingsManager,
+  commandPipeline,
+  metricsMiddleware,
+  sessionManager,
+  interactiveRouter,
+  mediaService,
+  groupMessageService,
+  moderationService,
+  warningManager,
+  autoResponder,
+  scheduler,
+  activityTracker,
+  broadcastManager,
+  shutdown,
 };
@@ -0,0 +1,16 @@
+/**
+ * Ignora silenciosamente comandos de usuários bloqueados
+ */
+function createBlocklistMiddleware({ permissionManager }) {
+  return {
+    name: 'blocklist',
+
+    async before({ item }) {
+      if (permissionManager.isBlocked(item.sender)) {
+        return { halt: true };
+      }
+    },
+  };
+}
+
+module.exports = createBlocklistMiddleware;
@@ -0,0 +1,16 @@
+/**
+ * Ignora comandos desativados nas configurações do chat
+ */
+function createCommandToggleMiddleware({ settingsManager }) {
+  return {
+    name: 'commandToggle',
+
+    async before({ command, item }) {
+      if (!command.alwaysEnabled && !settingsManager.isCommandEnabled(item.from, command.name)) {
+        return { halt: true };
+      }
+    },
+  };
+}
+
+module.exports = createCommandToggleMiddleware;
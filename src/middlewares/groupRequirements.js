@@ -0,0 +1,31 @@
+const { translate } = require('../utils/i18n');
+
+/**
+ * Aplica os requisitos de grupo declarados no comando
+ * `groupOnly` restringe o comando a grupos; `botAdmin` exige também que o bot seja administrador
+ */
+function createGroupRequirementsMiddleware({ permissionManager }) {
+  return {
+    name: 'groupRequirements',
+    // Sem os metadados do grupo não é possível confirmar que o bot é administrador
+    onError: 'halt',
+
+    async before({ command, item }) {
+      if (!command.groupOnly && !command.botAdmin) {
+        return;
+      }
+
+      const commandLabel = `${item.prefix}${command.name}`;
+
+      if (!item.from?.endsWith('@g.us')) {
+        return { halt: true, reply: translate(item.settings.language, 'command.groupOnly', { command: commandLabel }) };
+      }
+
+      if (command.botAdmin && !(await permissionManager.isBotAdmin(item.from))) {
+        return { halt: true, reply: translate(item.settings.language, 'command.botNotAdmin', { command: commandLabel }) };
+      }
+    },
+  };
+}
+
+module.exports = createGroupRequirementsMiddleware;
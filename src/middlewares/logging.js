@@ -0,0 +1,34 @@
+const logger = require('../utils/logs/logger');
+
+/**
+ * Registra o início e o resultado de cada comando
+ */
+function createLoggingMiddleware() {
+  return {
+    name: 'logging',
+
+    async before({ command, item }) {
+      logger.info(`[CommandPipeline] Comando '${command.name}' recebido de ${item.sender} em ${item.from}`, {
+        label: 'Middleware.logging',
+        command: command.name,
+        sender: item.sender,
+        from: item.from,
+        messageId: item.messageId,
+        args: item.args?.list,
+      });
+    },
+
+    async after({ command, item }, outcome) {
+      logger.info(`[CommandPipeline] Comando '${command.name}' finalizado com status '${outcome.status}' em ${outcome.duration ?? 0}ms`, {
+        label: 'Middleware.logging',
+        command: command.name,
+        from: item.from,
+        messageId: item.messageId,
+        status: outcome.status,
+        duration: outcome.duration,
+      });
+    },
+  };
+}
+
+module.exports = createLoggingMiddleware;
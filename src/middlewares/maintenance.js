@@ -0,0 +1,30 @@
+const { GLOBAL_KEY } = require('../services/SettingsManager');
+const { translate } = require('../utils/i18n');
+
+const NOTICE_TTL = 10 * 60 * 1000;
+
+/**
+ * Bloqueia comandos de todos, exceto do dono, enquanto o modo manutenção estiver ativo
+ * O aviso é enviado no máximo uma vez por chat a cada 10 minutos
+ */
+function createMaintenanceMiddleware({ settingsManager, permissionManager, cache, defaultEnabled = false }) {
+  return {
+    name: 'maintenance',
+
+    async before({ item }) {
+      if (!settingsManager.isFeatureEnabled(GLOBAL_KEY, 'maintenance', defaultEnabled) || permissionManager.isOwner(item.sender)) {
+        return;
+      }
+
+      const noticeKey = `maintenance:notice:${item.from}`;
+      if (cache.has(noticeKey)) {
+        return { halt: true };
+      }
+
+      cache.set(noticeKey, true, NOTICE_TTL);
+      return { halt: true, reply: translate(item.settings.language, 'maintenance.active') };
+    },
+  };
+}
+
+module.exports = createMaintenanceMiddleware;
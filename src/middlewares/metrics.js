@@ -0,0 +1,35 @@
+/**
+ * Coleta métricas de execução por comando (quantidade, status e duração)
+ * As métricas ficam acessíveis pelo método getStats() do middleware
+ */
+function createMetricsMiddleware() {
+  const commands = new Map();
+
+  return {
+    name: 'metrics',
+
+    async after({ command }, outcome) {
+      const entry = commands.get(command.name) || { executions: 0, success: 0, error: 0, timeout: 0, totalDuration: 0, maxDuration: 0 };
+
+      entry.executions++;
+      entry[outcome.status] = (entry[outcome.status] || 0) + 1;
+      entry.totalDuration += outcome.duration || 0;
+      entry.maxDuration = Math.max(entry.maxDuration, outcome.duration || 0);
+
+      commands.set(command.name, entry);
+    },
+
+    getStats() {
+      const stats = {};
+      for (const [name, entry] of commands.entries()) {
+        stats[name] = {
+          ...entry,
+          avgDuration: entry.executions > 0 ? Math.round(entry.totalDuration / entry.executions) : 0,
+        };
+      }
+      return stats;
+    },
+  };
+}
+
+module.exports = createMetricsMiddleware;
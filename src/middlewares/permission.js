@@ -0,0 +1,34 @@
+const { translate } = require('../utils/i18n');
+
+/**
+ * Resolve o nível de permissão do usuário e bloqueia comandos acima desse nível
+ * O nível resolvido fica disponível em context.permission
+ */
+function createPermissionMiddleware({ permissionManager }) {
+  return {
+    name: 'permission',
+    onError: 'halt',
+
+    async before(context) {
+      const { command, item } = context;
+      context.permission = await permissionManager.resolveLevel(item.sender, item.from);
+
+      if (context.permission === 'blocked') {
+        return { halt: true };
+      }
+
+      const requiredPermission = command.permission || 'member';
+      if (!permissionManager.hasLevel(context.permission, requiredPermission)) {
+        return {
+          halt: true,
+          reply: translate(item.settings.language, 'command.denied', {
+            command: `${item.prefix}${command.name}`,
+            level: translate(item.settings.language, `permission.${requiredPermission}`),
+          }),
+        };
+      }
+    },
+  };
+}
+
+module.exports = createPermissionMiddleware;
@@ -0,0 +1,27 @@
+const { translate } = require('../utils/i18n');
+
+/**
+ * Aplica cooldowns e token buckets do RateLimiter; o dono do bot é isento
+ * Respostas interativas (botões e listas) não passam pelo cooldown do comando, apenas pelos buckets
+ */
+function createRateLimitMiddleware({ rateLimiter }) {
+  return {
+    name: 'rateLimit',
+
+    async before({ command, item, permission }) {
+      if (permission === 'owner') {
+        return;
+      }
+
+      const limit = rateLimiter.consume({ command: command.name, sender: item.sender, chatId: item.from, cooldown: item.interaction ? 0 : command.cooldown });
+      if (!limit.allowed) {
+        return {
+          halt: true,
+          reply: limit.notify ? translate(item.settings.language, 'ratelimit.wait', { seconds: Math.ceil(limit.retryAfter / 1000) }) : null,
+        };
+      }
+    },
+  };
+}
+
+module.exports = createRateLimitMiddleware;
@@ -0,0 +1,192 @@
+const JsonFileStore = require('./JsonFileStore');
+const { normalizeUserJid } = require('./PermissionManager');
+
+/**
+ * Tipos de mensagem que não contam como atividade (apenas alteram ou reagem a outras mensagens)
+ */
+const IGNORED_TYPES = ['reaction', 'pollVote', 'edit', 'revoke', 'protocol', 'unknown'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Chave do dia no fuso horário local (aaaa-mm-dd)
+ */
+function dayKey(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function createBucket() {
+  return { total: 0, members: {}, types: {}, hours: new Array(24).fill(0) };
+}
+
+function addToBucket(bucket, sender, type, hour) {
+  bucket.total++;
+  bucket.members[sender] = (bucket.members[sender] || 0) + 1;
+  bucket.types[type] = (bucket.types[type] || 0) + 1;
+  bucket.hours[hour]++;
+}
+
+function sortCounts(counts, keyName) {
+  return Object.entries(counts)
+    .map(([key, count]) => ({ [keyName]: key, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Estatísticas de atividade dos grupos agregadas por dia
+ * Cada dia guarda o total de mensagens, a contagem por participante, por tipo e por hora; dias além da retenção são descartados
+ */
+class ActivityTracker {
+  constructor(options = {}) {
+    if (!options.cache) {
+      throw new Error('ActivityTracker requer um MemoryCache');
+    }
+
+    this.instanceId = options.instanceId || 'omnizap-instance';
+    this.cache = options.cache;
+    this.retentionDays = options.retentionDays || 90;
+    this.store = options.store || new JsonFileStore(options.filePath, { instanceId: this.instanceId, saveDelay: options.saveDelay ?? 10000 });
+  }
+
+  /**
+   * Indica se a mensagem conta como atividade do grupo
+   */
+  isTrackable(normalized) {
+    return Boolean(normalized?.isGroup && !normalized.fromMe && normalized.id && normalized.sender && !IGNORED_TYPES.includes(normalized.type));
+  }
+
+  /**
+   * Registra uma mensagem de grupo, ignorando mensagens já contadas
+   * @param {object} normalized Mensagem normalizada
+   * @returns {boolean} true se a mensagem foi contada
+   */
+  record(normalized) {
+    if (!this.isTrackable(normalized)) {
+      return false;
+    }
+
+    const handledKey = `activity:${normalized.chatId}:${normalized.id}`;
+    if (this.cache.has(handledKey)) {
+      return false;
+    }
+    this.cache.set(handledKey, true, 60000);
+
+    const timestamp = normalized.timestamp ? normalized.timestamp * 1000 : Date.now();
+    const key = dayKey(timestamp);
+    const days = this.store.get(normalized.chatId) || {};
+
+    if (!days[key]) {
+      days[key] = createBucket();
+      this.prune(days);
+      // Mensagens antigas (ex.: recebidas após reconexão) fora da retenção não são contadas
+      if (!days[key]) {
+        return false;
+      }
+    }
+
+    addToBucket(days[key], normalizeUserJid(normalized.sender), normalized.type, new Date(timestamp).getHours());
+    this.store.set(normalized.chatId, days);
+    return true;
+  }
+
+  /**
+   * Remove os dias além da retenção
+   */
+  prune(days, now = Date.now()) {
+    const oldest = dayKey(now - (this.retentionDays - 1) * DAY);
+    for (const key of Object.keys(days)) {
+      if (key < oldest) {
+        delete days[key];
+      }
+    }
+  }
+
+  /**
+   * Agrega por dia mensagens já armazenadas (ex.: DataManager), no mesmo formato usado em disco
+   * @param {object[]} messages Mensagens com `normalized`
+   * @returns {object} Dias indexados por aaaa-mm-dd
+   */
+  aggregateMessages(messages) {
+    const days = {};
+
+    for (const message of messages) {
+      const normalized = message.normalized;
+      if (!this.isTrackable(normalized)) continue;
+
+      const timestamp = normalized.timestamp ? normalized.timestamp * 1000 : message.processedAt || Date.now();
+      const key = dayKey(timestamp);
+      days[key] = days[key] || createBucket();
+      addToBucket(days[key], normalizeUserJid(normalized.sender), normalized.type, new Date(timestamp).getHours());
+    }
+
+    return days;
+  }
+
+  /**
+   * Monta o relatório de atividade de um grupo
+   * As mensagens informadas (ex.: as que ainda estão em memória) complementam os dados em disco: em cada dia vale a fonte com mais mensagens
+   * @param {string} chatId JID do grupo
+   * @param {object} [options] Opções
+   * @param {number} [options.days] Quantidade de dias, contando hoje
+   * @param {object[]} [options.messages] Mensagens armazenadas do grupo
+   * @returns {object} Totais, participantes, tipos, horas e dias da semana, além do primeiro dia com histórico
+   */
+  getReport(chatId, { days = 7, messages = [] } = {}) {
+    const period = Math.min(days, this.retentionDays);
+    const since = dayKey(Date.now() - (period - 1) * DAY);
+    const merged = { ...(this.store.get(chatId) || {}) };
+    let source = 'store';
+
+    for (const [key, bucket] of Object.entries(this.aggregateMessages(messages))) {
+      if (key >= since && (!merged[key] || merged[key].total < bucket.total)) {
+        merged[key] = bucket;
+        source = 'memory';
+      }
+    }
+
+    const selected = Object.entries(merged).filter(([key]) => key >= since);
+    const total = createBucket();
+    const weekdays = new Array(7).fill(0);
+
+    for (const [key, bucket] of selected) {
+      total.total += bucket.total;
+      for (const [member, count] of Object.entries(bucket.members)) {
+        total.members[member] = (total.members[member] || 0) + count;
+      }
+      for (const [type, count] of Object.entries(bucket.types)) {
+        total.types[type] = (total.types[type] || 0) + count;
+      }
+      bucket.hours.forEach((count, hour) => {
+        total.hours[hour] += count;
+      });
+      weekdays[new Date(`${key}T12:00:00`).getDay()] += bucket.total;
+    }
+
+    return {
+      chatId,
+      since,
+      days: period,
+      activeDays: selected.length,
+      firstDay: Object.keys(merged).sort()[0] || null,
+      total: total.total,
+      members: sortCounts(total.members, 'jid'),
+      types: sortCounts(total.types, 'type'),
+      hours: total.hours,
+      weekdays,
+      source,
+    };
+  }
+
+  /**
+   * Apaga as estatísticas de um grupo
+   */
+  clear(chatId) {
+    return this.store.delete(chatId);
+  }
+}
+
+ActivityTracker.IGNORED_TYPES = IGNORED_TYPES;
+ActivityTracker.dayKey = dayKey;
+
+module.exports = ActivityTracker;
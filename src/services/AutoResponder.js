@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const JsonFileStore = require('./JsonFileStore');
+const logger = require('../utils/logs/logger');
+const { GLOBAL_KEY } = require('./SettingsManager');
+
+const MATCH_TYPES = ['exact', 'contains', 'regex'];
+
+function stripAccents(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Normaliza o texto para comparação sem diferenciar maiúsculas, acentos e espaços repetidos
+ */
+function normalizeText(text) {
+  return stripAccents(text).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Gera o id de uma regra sem repetir os das regras já salvas no mesmo escopo
+ */
+function createId(rules) {
+  let id;
+  do {
+    id = crypto.randomBytes(3).toString('hex');
+  } while (rules.some((rule) => rule.id === id));
+  return id;
+}
+
+/**
+ * Procura construções que podem levar a expressão a retrocesso exponencial (ReDoS)
+ * Rejeita referências a grupos anteriores, quantificadores aninhados, como (a+)+ e (\w*)*, e grupos repetidos com alternativas, como (a|ab)*
+ * @returns {string|null} Descrição da construção encontrada ou null se o padrão é seguro
+ */
+function findUnsafeConstruct(pattern) {
+  if (/\\(?:[1-9]|k<)/.test(pattern)) {
+    return 'referências a grupos (\\1, \\k<nome>)';
+  }
+
+  // Cada grupo aberto guarda se contém algum quantificador ou alternativa
+  const groups = [{ quantified: false, alternation: false }];
+  let inClass = false;
+
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    const current = groups[groups.length - 1];
+
+    if (char === '\\') {
+      index++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push({ quantified: false, alternation: false });
+    } else if (char === ')' && groups.length > 1) {
+      const closed = groups.pop();
+      if (closed.quantified && /[+*{]/.test(pattern[index + 1] || '')) {
+        return 'quantificadores aninhados, como (a+)+';
+      }
+      if (closed.alternation && /[+*{]/.test(pattern[index + 1] || '')) {
+        return 'alternativas repetidas, como (a|ab)*';
+      }
+      groups[groups.length - 1].quantified ||= closed.quantified;
+      groups[groups.length - 1].alternation ||= closed.alternation;
+    } else if (char === '|') {
+      current.alternation = true;
+    } else if (/[+*{]/.test(char)) {
+      current.quantified = true;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Respostas automáticas por palavra-chave ou expressão regular
+ * As regras ficam em disco por chat, com regras globais (chave 'global') valendo para todos os chats
+ */
+class AutoResponder {
+  constructor(options = {}) {
+    if (!options.cache) {
+      throw new Error('AutoResponder requer um MemoryCache');
+    }
+
+    this.instanceId = options.instanceId || 'omnizap-instance';
+    this.cache = options.cache;
+    this.cooldown = options.cooldown ?? 10000;
+    this.maxRulesPerChat = options.maxRulesPerChat || 50;
+    this.maxPatternLength = options.maxPatternLength || 200;
+    this.maxTextLength = options.maxTextLength || 1000;
+    this.maxRegexTextLength = options.maxRegexTextLength || 300;
+    this.store = options.store || new JsonFileStore(options.filePath, { instanceId: this.instanceId });
+    this.compiled = new Map();
+  }
+
+  /**
+   * Compila a expressão regular de uma regra, reaproveitando compilações anteriores
+   * Só os acentos são removidos do padrão; maiúsculas ficam a cargo da flag 'i' para não alterar classes como \S e \D
+   * @throws {SyntaxError} Se a expressão for inválida
+   */
+  compile(pattern) {
+    if (!this.compiled.has(pattern)) {
+      this.compiled.set(pattern, new RegExp(stripAccents(pattern), 'iu'));
+    }
+    return this.compiled.get(pattern);
+  }
+
+  /**
+   * Lista as regras de um chat (use 'global' para as regras globais)
+   */
+  list(scope) {
+    return [...(this.store.get(scope) || [])];
+  }
+
+  /**
+   * Cria uma regra
+   * @param {string} scope JID do chat ou 'global'
+   * @param {object} rule Gatilho, tipo de comparação e resposta ({text} ou {media, caption})
+   * @returns {object} Regra criada
+   * @throws {Error} Se o gatilho for inválido ou o limite de regras for atingido
+   */
+  add(scope, { trigger, match = 'exact', response, createdBy = null }) {
+    if (!MATCH_TYPES.includes(match)) {
+      throw new Error(`Tipo de comparação inválido: ${match}`);
+    }
+    if (!normalizeText(trigger) || trigger.length > this.maxPatternLength) {
+      throw new Error(`O gatilho deve ter entre 1 e ${this.maxPatternLength} caracteres`);
+    }
+    if (match === 'regex') {
+      const unsafe = findUnsafeConstruct(trigger);
+      if (unsafe) {
+        throw new Error(`Expressão regular não permitida: evite ${unsafe}`);
+      }
+      this.compile(trigger);
+    }
+
+    const rules = this.list(scope);
+    if (rules.length >= this.maxRulesPerChat) {
+      throw new Error(`Limite de ${this.maxRulesPerChat} respostas automáticas atingido`);
+    }
+
+    const rule = {
+      id: createId(rules),
+      trigger,
+      match,
+      response,
+      createdBy,
+      createdAt: Date.now(),
+    };
+
+    this.store.set(scope, [...rules, rule]);
+
+    logger.info(`Resposta automática '${rule.id}' criada em ${scope}`, {
+      label: 'AutoResponder.add',
+      scope,
+      ruleId: rule.id,
+      match,
+      media: Boolean(response.media),
+      instanceId: this.instanceId,
+    });
+
+    return rule;
+  }
+
+  /**
+   * Remove uma regra pelo id
+   * @returns {object|null} Regra removida
+   */
+  remove(scope, id) {
+    const rules = this.list(scope);
+    const index = rules.findIndex((rule) => rule.id === id.toLowerCase());
+    if (index < 0) {
+      return null;
+    }
+
+    const [removed] = rules.splice(index, 1);
+    if (rules.length > 0) {
+      this.store.set(scope, rules);
+    } else {
+      this.store.delete(scope);
+    }
+
+    return removed;
+  }
+
+  matches(rule, normalizedText) {
+    const trigger = normalizeText(rule.trigger);
+
+    switch (rule.match) {
+      case 'contains':
+        return normalizedText.includes(trigger);
+      case 'regex':
+        // Regras salvas antes da validação também passam pela verificação de padrões perigosos
+        if (findUnsafeConstruct(rule.trigger)) {
+          return false;
+        }
+        try {
+          return this.compile(rule.trigger).test(normalizedText.slice(0, this.maxRegexTextLength));
+        } catch {
+          return false;
+        }
+      default:
+        return normalizedText === trigger;
+    }
+  }
+
+  /**
+   * Procura a primeira regra que corresponde ao texto, priorizando as regras do chat sobre as globais
+   * Uma regra que acabou de responder no chat fica em espera pelo tempo de cooldown
+   * @param {string} chatId JID do chat
+   * @param {string} text Texto da mensagem
+   * @param {object} [options] includeGlobal: considera as regras globais
+   * @returns {object|null} Regra correspondente
+   */
+  find(chatId, text, { includeGlobal = true } = {}) {
+    const normalizedText = normalizeText(text.slice(0, this.maxTextLength));
+    if (!normalizedText) {
+      return null;
+    }
+
+    const rules = [...this.list(chatId), ...(includeGlobal && chatId !== GLOBAL_KEY ? this.list(GLOBAL_KEY) : [])];
+    const rule = rules.find((candidate) => this.matches(candidate, normalizedText));
+    if (!rule) {
+      return null;
+    }
+
+    const cooldownKey = `autoresponder:${chatId}:${rule.id}`;
+    if (this.cache.has(cooldownKey)) {
+      return null;
+    }
+
+    this.cache.set(cooldownKey, true, this.cooldown);
+    return rule;
+  }
+
+  /**
+   * Monta o conteúdo da mensagem de resposta de uma regra
+   */
+  buildContent(rule) {
+    const { text, media, caption } = rule.response;
+    if (!media) {
+      return { text };
+    }
+
+    const content = { [media.kind]: { url: media.path }, mimetype: media.mimetype };
+    if (['image', 'video', 'document'].includes(media.kind) && caption) {
+      content.caption = caption;
+    }
+    if (media.kind === 'document') {
+      content.fileName = media.fileName || 'arquivo';
+    }
+    if (media.kind === 'sticker') {
+      delete content.mimetype;
+    }
+
+    return content;
+  }
+}
+
+AutoResponder.MATCH_TYPES = MATCH_TYPES;
+AutoResponder.normalizeText = normalizeText;
+AutoResponder.findUnsafeConstruct = findUnsafeConstruct;
+
+module.exports = AutoResponder;
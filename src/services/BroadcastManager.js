@@ -0,0 +1,386 @@
+const crypto = require('crypto');
+const JsonFileStore = require('./JsonFileStore');
+const logger = require('../utils/logs/logger');
+const { translate } = require('../utils/i18n');
+
+/**
+ * Níveis de entrega de cada destino, do envio à leitura
+ */
+const DELIVERY_LEVELS = { sent: 1, delivered: 2, read: 3 };
+
+// Status das mensagens no Baileys (messages.update): 3 = entregue, 4 = lida, 5 = reproduzida
+const STATUS_DELIVERY_ACK = 3;
+const STATUS_READ = 4;
+
+/**
+ * Fila de transmissões do dono do bot para vários chats
+ * As transmissões ficam em disco e são retomadas do ponto onde pararam; os envios têm pausa com variação aleatória
+ * e o relatório final usa os recibos de entrega e leitura recebidos após o envio
+ */
+class BroadcastManager {
+  constructor(options = {}) {
+    if (!options.settingsManager) {
+      throw new Error('BroadcastManager requer um SettingsManager');
+    }
+
+    this.instanceId = options.instanceId || 'omnizap-instance';
+    this.settingsManager = options.settingsManager;
+    this.getClient = options.getClient || (() => null);
+    this.isReady = options.isReady || (() => Boolean(this.getClient()));
+    this.delay = options.delay ?? 5000;
+    this.jitter = options.jitter ?? 3000;
+    this.retryDelay = options.retryDelay || 30000;
+    this.progressEvery = options.progressEvery || 25;
+    this.reportDelay = options.reportDelay ?? 5 * 60 * 1000;
+    this.retention = options.retention ?? 7 * 24 * 60 * 60 * 1000;
+    this.store = options.store || new JsonFileStore(options.filePath, { instanceId: this.instanceId });
+
+    this.messageIndex = new Map();
+    this.resumed = new Set();
+    this.timer = null;
+    this.busy = false;
+    this.started = false;
+  }
+
+  /**
+   * Retoma as transmissões pendentes e reconstrói o índice de recibos
+   */
+  start() {
+    this.started = true;
+    this.cleanup();
+
+    for (const job of this.list()) {
+      for (const [chatId, result] of Object.entries(job.results)) {
+        if (result.messageId) {
+          this.messageIndex.set(result.messageId, { jobId: job.id, chatId });
+        }
+      }
+      if (job.status === 'running') {
+        this.resumed.add(job.id);
+      }
+    }
+
+    this.arm(0);
+
+    logger.info(`Gerenciador de transmissões iniciado com ${this.list((job) => ['queued', 'running'].includes(job.status)).length} transmissão(ões) pendente(s)`, {
+      label: 'BroadcastManager.start',
+      instanceId: this.instanceId,
+    });
+  }
+
+  stop() {
+    this.started = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.store.flush();
+  }
+
+  arm(delay) {
+    if (!this.started) {
+      return;
+    }
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), Math.max(0, delay));
+  }
+
+  /**
+   * Cria uma transmissão na fila
+   * @param {object} params Dados da transmissão
+   * @param {string[]} params.targets JIDs dos chats de destino
+   * @param {object} params.content Conteúdo repassado ao sendMessage
+   * @param {string} [params.createdBy] JID de quem criou
+   * @param {string} [params.reportTo] Chat que recebe o progresso e o relatório
+   * @param {string} [params.description] Resumo do filtro usado
+   * @returns {object} Transmissão salva
+   */
+  enqueue({ targets, content, createdBy = null, reportTo = null, description = null }) {
+    const uniqueTargets = [...new Set(targets)];
+    if (uniqueTargets.length === 0 || !content) {
+      throw new Error('Transmissão requer destinos e conteúdo');
+    }
+
+    const job = {
+      id: this.createId(),
+      status: 'queued',
+      targets: uniqueTargets,
+      cursor: 0,
+      content,
+      createdBy,
+      reportTo,
+      description,
+      results: {},
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      reportAt: null,
+      reportedAt: null,
+    };
+
+    this.store.set(job.id, job);
+    if (!this.busy) {
+      this.arm(0);
+    }
+
+    logger.info(`Transmissão '${job.id}' criada para ${uniqueTargets.length} chat(s)`, {
+      label: 'BroadcastManager.enqueue',
+      jobId: job.id,
+      targets: uniqueTargets.length,
+      description,
+      instanceId: this.instanceId,
+    });
+
+    return job;
+  }
+
+  /**
+   * Cancela uma transmissão pendente ou em andamento
+   * @returns {object|null} Transmissão cancelada
+   */
+  cancel(id) {
+    const job = this.get(id);
+    if (!job || !['queued', 'running'].includes(job.status)) {
+      return null;
+    }
+
+    return this.save({ ...job, status: 'cancelled', finishedAt: Date.now() });
+  }
+
+  get(id) {
+    return this.store.get(String(id).toLowerCase());
+  }
+
+  /**
+   * Gera um id curto ainda não usado por outra transmissão salva
+   */
+  createId() {
+    let id;
+    do {
+      id = crypto.randomBytes(3).toString('hex');
+    } while (this.store.get(id));
+    return id;
+  }
+
+  save(job) {
+    return this.store.set(job.id, job);
+  }
+
+  /**
+   * Lista as transmissões da mais antiga para a mais recente
+   * @param {function(object): boolean} [filter] Filtro opcional
+   */
+  list(filter = () => true) {
+    return this.store
+      .entries()
+      .map(([, job]) => job)
+      .filter(filter)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Remove transmissões encerradas há mais tempo que a retenção
+   */
+  cleanup(now = Date.now()) {
+    for (const job of this.list((candidate) => candidate.finishedAt && now - candidate.finishedAt > this.retention)) {
+      for (const result of Object.values(job.results)) {
+        this.messageIndex.delete(result.messageId);
+      }
+      this.store.delete(job.id);
+    }
+  }
+
+  /**
+   * Envia a próxima mensagem da transmissão ativa e os relatórios vencidos, reagendando o próximo ciclo
+   */
+  async tick() {
+    if (this.busy) {
+      return;
+    }
+
+    this.busy = true;
+    let nextDelay = null;
+
+    try {
+      await this.sendDueReports();
+
+      const job = this.list((candidate) => candidate.status === 'running')[0] || this.list((candidate) => candidate.status === 'queued')[0];
+      if (job) {
+        nextDelay = this.isReady() ? await this.sendNext(job) : this.retryDelay;
+      }
+    } catch (error) {
+      logger.error(`Erro no ciclo de transmissões: ${error.message}`, {
+        label: 'BroadcastManager.tick',
+        error: error.message,
+        stack: error.stack,
+        instanceId: this.instanceId,
+      });
+      nextDelay = this.retryDelay;
+    } finally {
+      this.busy = false;
+    }
+
+    const pendingReports = this.list((candidate) => candidate.reportAt && !candidate.reportedAt).map((candidate) => candidate.reportAt - Date.now());
+    const delays = [nextDelay, ...pendingReports].filter((delay) => delay !== null);
+    if (delays.length > 0) {
+      this.arm(Math.min(...delays));
+    }
+  }
+
+  /**
+   * Envia a mensagem ao próximo destino da transmissão
+   * @returns {number} Espera até o próximo envio (ms)
+   */
+  async sendNext(job) {
+    if (job.status === 'queued') {
+      job = this.save({ ...job, status: 'running', startedAt: Date.now() });
+      this.notify(job, 'broadcast.started');
+    } else if (this.resumed.delete(job.id)) {
+      // Avisado no primeiro envio após o reinício, quando a conexão já está aberta
+      this.notify(job, 'broadcast.resumed');
+    }
+
+    const chatId = job.targets[job.cursor];
+    const results = { ...job.results };
+
+    try {
+      const sent = await this.getClient().sendMessage(chatId, job.content);
+      results[chatId] = { status: 'sent', messageId: sent?.key?.id || null, sentAt: Date.now() };
+      if (sent?.key?.id) {
+        this.messageIndex.set(sent.key.id, { jobId: job.id, chatId });
+      }
+    } catch (error) {
+      // Sem conexão o destino não é perdido: o envio é repetido quando ela voltar
+      if (!this.isReady()) {
+        return this.retryDelay;
+      }
+
+      results[chatId] = { status: 'failed', error: error.message, sentAt: Date.now() };
+      logger.warn(`Falha ao enviar transmissão '${job.id}' para ${chatId}: ${error.message}`, {
+        label: 'BroadcastManager.sendNext',
+        jobId: job.id,
+        chatId,
+        error: error.message,
+        instanceId: this.instanceId,
+      });
+    }
+
+    const cursor = job.cursor + 1;
+    const current = this.get(job.id);
+    // A transmissão pode ter sido cancelada durante o envio
+    if (current?.status !== 'running') {
+      return 0;
+    }
+
+    if (cursor >= job.targets.length) {
+      const now = Date.now();
+      const finished = this.save({ ...job, results, cursor, status: 'completed', finishedAt: now, reportAt: now + this.reportDelay });
+      this.notify(finished, 'broadcast.finished', { minutes: Math.ceil(this.reportDelay / 60000) });
+      return 0;
+    }
+
+    const updated = this.save({ ...job, results, cursor });
+    if (cursor % this.progressEvery === 0) {
+      this.notify(updated, 'broadcast.progress');
+    }
+
+    return this.delay + Math.floor(Math.random() * (this.jitter + 1));
+  }
+
+  /**
+   * Envia os relatórios de entrega das transmissões concluídas há mais de reportDelay
+   */
+  async sendDueReports(now = Date.now()) {
+    for (const job of this.list((candidate) => candidate.reportAt && !candidate.reportedAt && candidate.reportAt <= now)) {
+      await this.notify(job, 'broadcast.report');
+      this.save({ ...job, reportedAt: now });
+    }
+  }
+
+  /**
+   * Registra recibos de entrega ou leitura das mensagens transmitidas
+   * Aceita tanto o status da mensagem (messages.update) quanto recibos por participante em grupos (message-receipt.update)
+   * @param {object} key Chave da mensagem
+   * @param {string} level delivered ou read
+   * @returns {boolean} true se o recibo pertence a uma transmissão
+   */
+  recordDelivery(key, level) {
+    const entry = key?.id ? this.messageIndex.get(key.id) : null;
+    const job = entry ? this.get(entry.jobId) : null;
+    const result = job?.results[entry.chatId];
+    if (!result || !DELIVERY_LEVELS[level]) {
+      return false;
+    }
+
+    if (DELIVERY_LEVELS[level] > (DELIVERY_LEVELS[result.status] || 0)) {
+      this.save({ ...job, results: { ...job.results, [entry.chatId]: { ...result, status: level, [`${level}At`]: Date.now() } } });
+    }
+    return true;
+  }
+
+  /**
+   * Trata uma atualização de status de mensagem (messages.update)
+   */
+  handleMessageUpdate({ key, update }) {
+    const status = update?.status;
+    if (status >= STATUS_READ) {
+      return this.recordDelivery(key, 'read');
+    }
+    if (status === STATUS_DELIVERY_ACK) {
+      return this.recordDelivery(key, 'delivered');
+    }
+    return false;
+  }
+
+  /**
+   * Trata um recibo de participante (message-receipt.update)
+   */
+  handleReceipt({ key, status }) {
+    return this.recordDelivery(key, status === 'read' ? 'read' : 'delivered');
+  }
+
+  /**
+   * Resume os envios e recibos de uma transmissão
+   */
+  getReport(job) {
+    const results = Object.values(job.results);
+    const count = (minimum) => results.filter((result) => (DELIVERY_LEVELS[result.status] || 0) >= minimum).length;
+
+    return {
+      id: job.id,
+      status: job.status,
+      total: job.targets.length,
+      done: job.cursor,
+      sent: count(DELIVERY_LEVELS.sent),
+      delivered: count(DELIVERY_LEVELS.delivered),
+      read: count(DELIVERY_LEVELS.read),
+      failed: results.filter((result) => result.status === 'failed').length,
+    };
+  }
+
+  /**
+   * Envia ao chat de acompanhamento uma mensagem sobre a transmissão
+   */
+  async notify(job, key, params = {}) {
+    const client = this.getClient();
+    if (!job.reportTo || !client) {
+      return;
+    }
+
+    const language = this.settingsManager.get(job.reportTo).language;
+    try {
+      await client.sendMessage(job.reportTo, { text: translate(language, key, { ...this.getReport(job), ...params }) });
+    } catch (error) {
+      logger.error(`Erro ao enviar aviso da transmissão '${job.id}' para ${job.reportTo}: ${error.message}`, {
+        label: 'BroadcastManager.notify',
+        jobId: job.id,
+        key,
+        error: error.message,
+        instanceId: this.instanceId,
+      });
+    }
+  }
+}
+
+BroadcastManager.DELIVERY_LEVELS = DELIVERY_LEVELS;
+
+module.exports = BroadcastManager;
@@ -0,0 +1,188 @@
+const logger = require('../utils/logs/logger');
+
+/**
+ * Erro lançado quando uma tarefa excede o tempo limite
+ */
+class CommandTimeoutError extends Error {
+  constructor(timeout) {
+    super(`Tempo limite de ${timeout}ms excedido`);
+    this.name = 'CommandTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Executor de comandos com concorrência limitada e timeout
+ * Garante que comandos de um mesmo chat sejam executados em ordem
+ * O timeout só antecipa o resultado: a vaga e a vez do chat ficam ocupadas até o handler terminar de fato
+ */
+class CommandExecutor {
+  constructor(options = {}) {
+    this.maxConcurrent = options.maxConcurrent || 5;
+    this.timeout = options.timeout || 30000;
+    this.instanceId = options.instanceId || 'omnizap-instance';
+
+    this.active = 0;
+    this.waiting = [];
+    this.chatQueues = new Map();
+
+    this.stats = {
+      executed: 0,
+      failed: 0,
+      timedOut: 0,
+    };
+  }
+
+  /**
+   * Aguarda uma vaga livre no pool de execução
+   */
+  acquire() {
+    if (this.active < this.maxConcurrent) {
+      this.active++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      this.waiting.push(resolve);
+    });
+  }
+
+  /**
+   * Libera a vaga ocupada, repassando-a ao próximo da fila
+   */
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Executa a tarefa com timeout, sinalizando cancelamento via AbortSignal
+   * @returns {{result: Promise, settled: Promise}} result rejeita com CommandTimeoutError ao exceder o tempo; settled resolve quando a tarefa termina
+   */
+  runWithTimeout(task, timeout) {
+    const controller = new AbortController();
+    const running = Promise.resolve().then(() => task(controller.signal));
+    let timer = null;
+
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new CommandTimeoutError(timeout);
+        controller.abort(error);
+        reject(error);
+      }, timeout);
+    });
+
+    return {
+      result: Promise.race([running, timeoutPromise]).finally(() => clearTimeout(timer)),
+      settled: running.then(
+        () => {},
+        () => {},
+      ),
+    };
+  }
+
+  /**
+   * Aguarda o resultado da tarefa (ou o timeout) e o converte no resultado da execução
+   */
+  async collect(chatId, result, timeout, options) {
+    const startTime = Date.now();
+
+    try {
+      const value = await result;
+      this.stats.executed++;
+      return { status: 'success', result: value, duration: Date.now() - startTime };
+    } catch (error) {
+      if (error instanceof CommandTimeoutError) {
+        this.stats.timedOut++;
+        logger.warn(`Tarefa do chat ${chatId} excedeu o timeout de ${timeout}ms`, {
+          label: 'CommandExecutor.execute',
+          chatId,
+          timeout,
+          instanceId: this.instanceId,
+        });
+
+        if (typeof options.onTimeout === 'function') {
+          try {
+            await options.onTimeout(error);
+          } catch (callbackError) {
+            logger.error(`Erro no callback de timeout do chat ${chatId}: ${callbackError.message}`, {
+              label: 'CommandExecutor.execute',
+              chatId,
+              error: callbackError.message,
+              instanceId: this.instanceId,
+            });
+          }
+        }
+
+        return { status: 'timeout', error, duration: Date.now() - startTime };
+      }
+
+      this.stats.failed++;
+      return { status: 'error', error, duration: Date.now() - startTime };
+    }
+  }
+
+  /**
+   * Enfileira uma tarefa para o chat informado
+   * @param {string} chatId Chat ao qual a tarefa pertence (define a ordenação)
+   * @param {function(AbortSignal): Promise} task Tarefa a ser executada
+   * @param {object} options Opções da execução
+   * @param {number} [options.timeout] Timeout específico da tarefa
+   * @param {function(CommandTimeoutError): Promise} [options.onTimeout] Callback chamado ao exceder o timeout
+   * @returns {Promise<{status: string, result?: any, error?: Error}>} Resultado da execução (no timeout, antes de a tarefa terminar)
+   */
+  execute(chatId, task, options = {}) {
+    const timeout = options.timeout || this.timeout;
+    const previous = this.chatQueues.get(chatId) || Promise.resolve();
+
+    let resolveOutcome;
+    const outcome = new Promise((resolve) => {
+      resolveOutcome = resolve;
+    });
+
+    const run = previous.then(async () => {
+      await this.acquire();
+      const { result, settled } = this.runWithTimeout(task, timeout);
+
+      try {
+        resolveOutcome(await this.collect(chatId, result, timeout, options));
+      } finally {
+        // Handlers que ignoram o signal continuam rodando após o timeout e seguem contando no limite
+        await settled;
+        this.release();
+      }
+    });
+
+    this.chatQueues.set(chatId, run);
+    run.then(() => {
+      if (this.chatQueues.get(chatId) === run) {
+        this.chatQueues.delete(chatId);
+      }
+    });
+
+    return outcome;
+  }
+
+  /**
+   * Retorna estatísticas do executor
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      active: this.active,
+      waiting: this.waiting.length,
+      chatsPending: this.chatQueues.size,
+      maxConcurrent: this.maxConcurrent,
+      timeout: this.timeout,
+      instanceId: this.instanceId,
+    };
+  }
+}
+
+CommandExecutor.CommandTimeoutError = CommandTimeoutError;
+
+module.exports = CommandExecutor;
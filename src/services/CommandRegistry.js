@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logs/logger');
+
+/**
+ * Registro centralizado de comandos
+ * Carrega módulos de comando de um diretório e resolve nomes e aliases
+ */
+class CommandRegistry {
+  constructor(options = {}) {
+    this.instanceId = options.instanceId || 'omnizap-instance';
+
+    this.commands = new Map();
+    this.aliases = new Map();
+  }
+
+  /**
+   * Valida a estrutura de um módulo de comando
+   */
+  validate(command) {
+    if (!command || typeof command !== 'object') {
+      throw new Error('Comando deve ser um objeto');
+    }
+    if (typeof command.name !== 'string' || command.name.trim() === '') {
+      throw new Error('Comando deve possuir um nome');
+    }
+    if (typeof command.handler !== 'function') {
+      throw new Error(`Comando '${command.name}' deve possuir um handler`);
+    }
+    if (command.aliases !== undefined && !Array.isArray(command.aliases)) {
+      throw new Error(`Aliases do comando '${command.name}' devem ser um array`);
+    }
+  }
+
+  /**
+   * Registra um comando e seus aliases
+   */
+  register(command, source = null) {
+    this.validate(command);
+
+    const name = command.name.toLowerCase();
+    const entry = {
+      ...command,
+      name,
+      aliases: (command.aliases || []).map((alias) => alias.toLowerCase()),
+      description: command.description || '',
+      usage: command.usage || '',
+      category: command.category || 'geral',
+      source,
+    };
+
+    if (this.commands.has(name)) {
+      logger.warn(`Comando '${name}' já registrado. Substituindo definição anterior.`, {
+        label: 'CommandRegistry.register',
+        command: name,
+        previousSource: this.commands.get(name).source,
+        source,
+        instanceId: this.instanceId,
+      });
+      this.unregister(name);
+    }
+
+    this.commands.set(name, entry);
+
+    for (const alias of entry.aliases) {
+      if (this.commands.has(alias) || this.aliases.has(alias)) {
+        logger.warn(`Alias '${alias}' do comando '${name}' conflita com outro comando. Ignorado.`, {
+          label: 'CommandRegistry.register',
+          command: name,
+          alias,
+          instanceId: this.instanceId,
+        });
+        continue;
+      }
+      this.aliases.set(alias, name);
+    }
+
+    logger.debug(`Comando registrado: ${name}`, {
+      label: 'CommandRegistry.register',
+      command: name,
+      aliases: entry.aliases,
+      source,
+      instanceId: this.instanceId,
+    });
+
+    return entry;
+  }
+
+  /**
+   * Remove um comando e seus aliases
+   */
+  unregister(name) {
+    const entry = this.commands.get(name);
+    if (!entry) return false;
+
+    for (const alias of entry.aliases) {
+      if (this.aliases.get(alias) === name) {
+        this.aliases.delete(alias);
+      }
+    }
+
+    return this.commands.delete(name);
+  }
+
+  /**
+   * Carrega recursivamente todos os arquivos .js de um diretório de comandos
+   */
+  loadFromDirectory(directory) {
+    directory = path.resolve(directory);
+
+    if (!fs.existsSync(directory)) {
+      logger.warn(`Diretório de comandos não encontrado: ${directory}`, {
+        label: 'CommandRegistry.loadFromDirectory',
+        directory,
+        instanceId: this.instanceId,
+      });
+      return 0;
+    }
+
+    let loaded = 0;
+
+    for (const dirent of fs.readdirSync(directory, { withFileTypes: true })) {
+      const fullPath = path.join(directory, dirent.name);
+
+      if (dirent.isDirectory()) {
+        loaded += this.loadFromDirectory(fullPath);
+        continue;
+      }
+
+      if (!dirent.isFile() || !dirent.name.endsWith('.js') || dirent.name.startsWith('_')) {
+        continue;
+      }
+
+      try {
+        const exported = require(fullPath);
+        const definitions = Array.isArray(exported) ? exported : [exported];
+
+        for (const definition of definitions) {
+          this.register(definition, fullPath);
+          loaded++;
+        }
+      } catch (error) {
+        logger.error(`Erro ao carregar comando de ${fullPath}: ${error.message}`, {
+          label: 'CommandRegistry.loadFromDirectory',
+          file: fullPath,
+          error: error.message,
+          stack: error.stack,
+          instanceId: this.instanceId,
+        });
+      }
+    }
+
+    return loaded;
+  }
+
+  /**
+   * Resolve um comando pelo nome ou alias
+   */
+  resolve(name) {
+    if (typeof name !== 'string') return null;
+
+    const normalized = name.toLowerCase();
+    const commandName = this.commands.has(normalized) ? normalized : this.aliases.get(normalized);
+
+    return commandName ? this.commands.get(commandName) : null;
+  }
+
+  /**
+   * Verifica se um nome ou alias está registrado
+   */
+  has(name) {
+    return this.resolve(name) !== null;
+  }
+
+  /**
+   * Lista todos os comandos registrados
+   */
+  list() {
+    return Array.from(this.commands.values());
+  }
+
+  /**
+   * Retorna estatísticas do registro
+   */
+  getStats() {
+    return {
+      commands: this.commands.size,
+      aliases: this.aliases.size,
+      instanceId: this.instanceId,
+    };
+  }
+}
+
+module.exports = CommandRegistry;
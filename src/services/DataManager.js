@@ -1,7 +1,9 @@
+const { BufferJSON, getAggregateVotesInPollMessage, updateMessageWithPollUpdate } = require('baileys');
 const BatchProcessor = require('./BatchProcessor');
+const JsonFileStore = require('./JsonFileStore');
 const MemoryCache = require('./MemoryCache');
 const logger = require('../utils/logs/logger');
-const { getContentType } = require('baileys');
+const { getNormalizedMessage, unwrapContent } = require('../utils/messageNormalizer');
 
 /**
  * Gerenciador de dados centralizado usando processamento em lote e cache em memória
@@ -10,6 +12,7 @@ const { getContentType } = require('baileys');
 class DataManager {
   constructor(options = {}) {
     this.instanceId = options.instanceId || 'omnizap-instance';
+    this.pollTTL = options.pollTTL || 7 * 24 * 60 * 60 * 1000;
     this.batchProcessor = new BatchProcessor({
       batchSize: options.batchSize || 50,
       flushInterval: options.flushInterval || 5000,
@@ -29,8 +32,13 @@ class DataManager {
       groups: new Map(),
       receipts: new Map(),
       reactions: new Map(),
+      polls: new Map(),
     };
 
+    // Enquetes ficam em disco para que os votos continuem sendo apurados após reinícios
+    this.pollStore = options.pollsFilePath ? new JsonFileStore(options.pollsFilePath, { instanceId: this.instanceId, replacer: BufferJSON.replacer, reviver: BufferJSON.reviver }) : null;
+    this.loadPolls();
+
     this.stats = {
       messagesProcessed: 0,
       chatsProcessed: 0,
@@ -92,12 +100,14 @@ class DataManager {
     for (const msg of messages) {
       try {
         const messageKey = `${msg.key.remoteJid}:${msg.key.id}`;
+        const normalized = getNormalizedMessage(msg);
         const messageData = {
           key: msg.key,
           messageTimestamp: msg.messageTimestamp,
           pushName: msg.pushName,
           message: msg.message,
           messageContentType: msg.messageContentType,
+          normalized,
           fromMe: msg.key.fromMe,
           remoteJid: msg.key.remoteJid,
           participant: msg.key.participant,
@@ -105,6 +115,12 @@ class DataManager {
           instanceId: this.instanceId,
         };
 
+        this.applyMessageChanges(normalized);
+
+        if (normalized.type === 'poll') {
+          this.addPoll(msg);
+        }
+
         this.data.messages.set(messageKey, messageData);
 
         this.cache.set(`msg:${messageKey}`, messageData, 600000);
@@ -130,6 +146,38 @@ class DataManager {
     });
   }
 
+  /**
+   * Aplica edições, remoções e reações às mensagens já armazenadas
+   */
+  applyMessageChanges(normalized) {
+    const targetKey = normalized.edit?.targetKey || normalized.revoke?.targetKey;
+    const target = targetKey ? this.getMessage(targetKey.remoteJid || normalized.chatId, targetKey.id) : null;
+
+    if (normalized.type === 'edit' && target) {
+      this.updateStoredMessage(target, { normalized: { ...target.normalized, ...normalized.edit.content }, editedAt: Date.now() });
+    } else if (normalized.type === 'revoke' && target) {
+      this.updateStoredMessage(target, { revoked: true, revokedAt: Date.now() });
+    } else if (normalized.type === 'reaction' && normalized.reaction.targetKey) {
+      this.addReaction({
+        key: { ...normalized.reaction.targetKey, remoteJid: normalized.reaction.targetKey.remoteJid || normalized.chatId },
+        reaction: { text: normalized.reaction.text, senderJid: normalized.sender, removed: normalized.reaction.removed },
+      });
+    }
+  }
+
+  /**
+   * Atualiza uma mensagem armazenada mantendo memória e cache sincronizados
+   */
+  updateStoredMessage(messageData, changes) {
+    const messageKey = `${messageData.remoteJid}:${messageData.key.id}`;
+    const updated = { ...messageData, ...changes };
+
+    this.data.messages.set(messageKey, updated);
+    this.cache.set(`msg:${messageKey}`, updated, 600000);
+
+    return updated;
+  }
+
   /**
    * Processa um lote de chats
    */
@@ -390,6 +438,127 @@ class DataManager {
     this.batchProcessor.add('reactions', reaction);
   }
 
+  /**
+   * Carrega as enquetes salvas que ainda estão dentro do pollTTL
+   */
+  loadPolls() {
+    if (!this.pollStore) {
+      return;
+    }
+
+    const now = Date.now();
+    for (const [pollKey, poll] of this.pollStore.entries()) {
+      if (now - poll.createdAt > this.pollTTL) {
+        this.pollStore.delete(pollKey);
+      } else {
+        this.data.polls.set(pollKey, poll);
+      }
+    }
+  }
+
+  savePoll(poll) {
+    this.pollStore?.set(`${poll.key.remoteJid}:${poll.key.id}`, poll);
+  }
+
+  /**
+   * Guarda a mensagem de criação de uma enquete para decifrar e apurar os votos
+   * A mensagem original é mantida inteira, pois a chave dos votos fica em messageContextInfo.messageSecret
+   * @param {object} message Mensagem do Baileys com a enquete
+   * @param {object} [extra] Dados adicionais (ex.: createdBy)
+   * @returns {object|null} Enquete armazenada
+   */
+  addPoll(message, extra = {}) {
+    const normalized = getNormalizedMessage(message);
+    if (normalized.type !== 'poll' || !message.key?.remoteJid || !message.key?.id) {
+      return null;
+    }
+
+    const pollKey = `${message.key.remoteJid}:${message.key.id}`;
+    if (this.data.polls.has(pollKey)) {
+      return this.data.polls.get(pollKey);
+    }
+
+    const poll = {
+      key: message.key,
+      message: message.message,
+      name: normalized.poll.name,
+      options: normalized.poll.options,
+      selectableCount: normalized.poll.selectableCount,
+      creator: normalized.fromMe ? null : normalized.sender,
+      pollUpdates: [],
+      createdAt: Date.now(),
+      instanceId: this.instanceId,
+      ...extra,
+    };
+
+    this.data.polls.set(pollKey, poll);
+    this.savePoll(poll);
+    return poll;
+  }
+
+  getPoll(remoteJid, messageId) {
+    return this.data.polls.get(`${remoteJid}:${messageId}`);
+  }
+
+  /**
+   * Retorna a enquete mais recente de um chat
+   */
+  getLatestPoll(remoteJid) {
+    let latest = null;
+    for (const poll of this.data.polls.values()) {
+      if (poll.key.remoteJid === remoteJid && (!latest || poll.createdAt >= latest.createdAt)) {
+        latest = poll;
+      }
+    }
+    return latest;
+  }
+
+  /**
+   * Registra votos já decifrados pelo Baileys (messages.update com pollUpdates)
+   * Cada votante mantém apenas o voto mais recente
+   * @returns {object|null} Enquete atualizada ou null se ela não estiver armazenada
+   */
+  applyPollUpdates(key, pollUpdates, meId) {
+    const poll = this.getPoll(key.remoteJid, key.id);
+    if (!poll) {
+      return null;
+    }
+
+    for (const update of pollUpdates) {
+      updateMessageWithPollUpdate(poll, update);
+    }
+    poll.updatedAt = Date.now();
+    this.savePoll(poll);
+
+    return this.getPollResults(key.remoteJid, key.id, meId);
+  }
+
+  /**
+   * Apura os votos de uma enquete
+   * @param {string} remoteJid Chat da enquete
+   * @param {string} messageId Id da mensagem de criação
+   * @param {string} [meId] JID do bot, usado para identificar os votos do próprio bot
+   * @returns {object|null} Pergunta, opções com votantes e total de votantes
+   */
+  getPollResults(remoteJid, messageId, meId) {
+    const poll = this.getPoll(remoteJid, messageId);
+    if (!poll) {
+      return null;
+    }
+
+    const options = getAggregateVotesInPollMessage({ message: unwrapContent(poll.message).content, pollUpdates: poll.pollUpdates }, meId).map(({ name, voters }) => ({ name, voters, count: voters.length }));
+
+    return {
+      key: poll.key,
+      name: poll.name,
+      selectableCount: poll.selectableCount,
+      options,
+      totalVoters: new Set(options.flatMap((option) => option.voters)).size,
+      createdAt: poll.createdAt,
+      updatedAt: poll.updatedAt || null,
+    };
+  }
+
   /**
    * Métodos de consulta
    */
@@ -398,6 +567,20 @@ class DataManager {
     return this.cache.get(`msg:${key}`) || this.data.messages.get(key);
   }
 
+  /**
+   * Lista as mensagens de um chat ainda mantidas em memória
+   */
+  getChatMessages(remoteJid) {
+    return Array.from(this.data.messages.values()).filter((message) => message.remoteJid === remoteJid);
+  }
+
+  /**
+   * Lista os JIDs dos chats conhecidos
+   */
+  getChatIds() {
+    return Array.from(this.data.chats.keys());
+  }
+
   getChat(chatId) {
     return this.cache.get(`chat:${chatId}`) || this.data.chats.get(chatId);
   }
@@ -421,6 +604,7 @@ class DataManager {
       groups: this.data.groups.size,
       receipts: this.data.receipts.size,
       reactions: this.data.reactions.size,
+      polls: this.data.polls.size,
     };
 
     return {
@@ -483,6 +667,14 @@ class DataManager {
       }
     }
 
+    for (const [key, poll] of this.data.polls.entries()) {
+      if (now - poll.createdAt > this.pollTTL) {
+        this.data.polls.delete(key);
+        this.pollStore?.delete(key);
+        cleaned++;
+      }
+    }
+
     if (cleaned > 0) {
       logger.info(`Limpeza de dados antigos: ${cleaned} entries removidas`, {
         label: 'DataManager.cleanupOldData',
@@ -0,0 +1,60 @@
+/**
+ * Janela deslizante de mensagens por remetente em cada grupo
+ * Guarda apenas os horários das mensagens dentro da janela configurada
+ */
+class FloodDetector {
+  constructor(options = {}) {
+    this.maxWindow = options.maxWindow || 60000;
+    this.windows = new Map();
+    this.recordsSinceCleanup = 0;
+  }
+
+  /**
+   * Registra uma mensagem e retorna quantas o remetente enviou dentro da janela
+   * @param {string} chatId JID do grupo
+   * @param {string} sender JID do remetente
+   * @param {number} timestamp Horário da mensagem (ms)
+   * @param {number} windowMs Tamanho da janela (ms)
+   * @returns {number} Mensagens do remetente na janela, incluindo a atual
+   */
+  record(chatId, sender, timestamp, windowMs) {
+    const key = `${chatId}:${sender}`;
+    const since = timestamp - windowMs;
+    const entries = (this.windows.get(key) || []).filter((time) => time > since);
+
+    entries.push(timestamp);
+    this.windows.set(key, entries);
+
+    if (++this.recordsSinceCleanup >= 1000) {
+      this.cleanup(timestamp);
+    }
+
+    return entries.length;
+  }
+
+  /**
+   * Zera a janela do remetente após um incidente, evitando disparos a cada nova mensagem
+   */
+  reset(chatId, sender) {
+    return this.windows.delete(`${chatId}:${sender}`);
+  }
+
+  /**
+   * Remove janelas sem mensagens recentes
+   */
+  cleanup(now = Date.now()) {
+    this.recordsSinceCleanup = 0;
+
+    for (const [key, entries] of this.windows) {
+      if (entries[entries.length - 1] <= now - this.maxWindow) {
+        this.windows.delete(key);
+      }
+    }
+  }
+
+  get size() {
+    return this.windows.size;
+  }
+}
+
+module.exports = FloodDetector;
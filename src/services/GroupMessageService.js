@@ -0,0 +1,96 @@
+const logger = require('../utils/logs/logger');
+const { DEFAULT_TEMPLATES, getMessageTypeForAction, renderGroupMessage } = require('../utils/groupMessages');
+
+/**
+ * Envia as mensagens automáticas de entrada, saída, promoção e rebaixamento configuradas em cada grupo
+ */
+class GroupMessageService {
+  constructor(options = {}) {
+    if (!options.settingsManager) {
+      throw new Error('GroupMessageService requer um SettingsManager');
+    }
+
+    this.instanceId = options.instanceId || 'omnizap-instance';
+    this.settingsManager = options.settingsManager;
+    this.getGroupMetadata = options.getGroupMetadata || (async () => null);
+    this.getContactName = options.getContactName || (() => null);
+    this.getBotJids = options.getBotJids || (() => []);
+  }
+
+  /**
+   * Retorna a configuração efetiva de um tipo de mensagem no grupo
+   * @returns {{enabled: boolean, template: string, custom: boolean}} Configuração com o modelo padrão aplicado
+   */
+  getConfig(chatId, type) {
+    const stored = this.settingsManager.getGroupMessage(chatId, type);
+    return {
+      enabled: stored.enabled,
+      template: stored.template || DEFAULT_TEMPLATES[type],
+      custom: Boolean(stored.template),
+    };
+  }
+
+  /**
+   * Monta a mensagem de um tipo para um participante
+   * @param {object} [options] Metadados do grupo e nome do participante já conhecidos
+   */
+  async render(chatId, type, participant, { metadata = null, name = null } = {}) {
+    return renderGroupMessage(this.getConfig(chatId, type).template, {
+      participant,
+      name: name || this.getContactName(participant),
+      metadata: metadata || (await this.getGroupMetadata(chatId)),
+    });
+  }
+
+  isBot(jid) {
+    const number = jid.split('@')[0].split(':')[0];
+    return this.getBotJids().some((botJid) => botJid.split('@')[0].split(':')[0] === number);
+  }
+
+  /**
+   * Trata o evento de alteração de participantes, enviando a mensagem configurada para cada participante
+   * @param {object} event Evento com id do grupo, action, participants e metadados atualizados
+   * @param {object} client Cliente do WhatsApp
+   */
+  async handleParticipantsUpdate(event, client) {
+    const type = getMessageTypeForAction(event.action);
+    if (!type || !client || !this.settingsManager.getGroupMessage(event.id, type).enabled) {
+      return 0;
+    }
+
+    const metadata = event.metadata || (await this.getGroupMetadata(event.id));
+    let sent = 0;
+
+    for (const participant of event.participants || []) {
+      const jid = typeof participant === 'string' ? participant : participant?.id;
+      if (!jid || this.isBot(jid)) continue;
+
+      try {
+        const { text, mentions } = await this.render(event.id, type, jid, { metadata });
+        await client.sendMessage(event.id, { text, mentions });
+        sent++;
+      } catch (error) {
+        logger.error(`Erro ao enviar mensagem de ${type} para ${jid} no grupo ${event.id}: ${error.message}`, {
+          label: 'GroupMessageService.handleParticipantsUpdate',
+          groupId: event.id,
+          participant: jid,
+          type,
+          error: error.message,
+          instanceId: this.instanceId,
+        });
+      }
+    }
+
+    logger.debug(`${sent} mensagem(ns) de ${type} enviada(s) no grupo ${event.id}`, {
+      label: 'GroupMessageService.handleParticipantsUpdate',
+      groupId: event.id,
+      type,
+      sent,
+      instanceId: this.instanceId,
+    });
+
+    return sent;
+  }
+}
+
+module.exports = GroupMessageService;
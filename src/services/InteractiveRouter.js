@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const logger = require('../utils/logs/logger');
+const { unwrapContent, extractInteractiveResponseId } = require('../utils/messageNormalizer');
+
+const CALLBACK_PREFIX = 'ozcb:';
+
+/**
+ * Roteador de respostas interativas (botões, listas e native flow)
+ * Registra ids de callback no MemoryCache e os resolve quando a resposta chega
+ */
+class InteractiveRouter {
+  constructor(cache, options = {}) {
+    if (!cache) {
+      throw new Error('InteractiveRouter requer uma instância de MemoryCache');
+    }
+
+    this.cache = cache;
+    this.instanceId = options.instanceId || 'omnizap-instance';
+    this.defaultTTL = options.ttl || 3600000;
+  }
+
+  /**
+   * Registra um callback e retorna o id a ser usado no botão ou linha da lista
+   * @param {object} params Dados do callback
+   * @param {string} params.command Nome do comando que receberá a resposta
+   * @param {string} params.action Ação identificando o botão escolhido
+   * @param {*} [params.payload] Dados livres entregues junto com a resposta
+   * @param {string} params.chatId Chat onde a mensagem foi enviada
+   * @param {string|null} [params.sender] Restringe a resposta a este usuário (null libera para todos)
+   * @param {function(object): Promise} [params.handler] Handler específico; por padrão usa onInteractive do comando
+   * @param {boolean} [params.once] Remove o callback após o primeiro uso (padrão true)
+   * @param {string} [params.group] Callbacks do mesmo grupo são removidos juntos quando um deles é usado
+   * @param {number} [params.ttl] Validade do callback em ms
+   * @returns {string} Id do callback
+   */
+  register({ command, action, payload = null, chatId, sender = null, handler = null, once = true, group = null, ttl }) {
+    const id = `${CALLBACK_PREFIX}${crypto.randomBytes(8).toString('hex')}`;
+    const expiration = ttl || this.defaultTTL;
+
+    this.cache.set(`interactive:${id}`, { id, command, action, payload, chatId, sender, handler, once, group, createdAt: Date.now() }, expiration);
+
+    if (group) {
+      const groupKey = `interactive:group:${group}`;
+      this.cache.set(groupKey, [...(this.cache.get(groupKey) || []), id], expiration);
+    }
+
+    logger.debug(`Callback interativo registrado: ${id} (${command}:${action})`, {
+      label: 'InteractiveRouter.register',
+      id,
+      command,
+      action,
+      chatId,
+      instanceId: this.instanceId,
+    });
+
+    return id;
+  }
+
+  /**
+   * Extrai o id selecionado de uma resposta interativa
+   * @param {object} msgObj Conteúdo da mensagem (message.message)
+   * @returns {string|null} Id selecionado
+   */
+  extractResponseId(msgObj) {
+    return extractInteractiveResponseId(unwrapContent(msgObj).content);
+  }
+
+  /**
+   * Resolve o callback de uma resposta, validando chat e remetente
+   * @returns {object|null} Callback registrado ou null se não for uma resposta roteável
+   */
+  resolve(id, chatId, sender) {
+    if (typeof id !== 'string' || !id.startsWith(CALLBACK_PREFIX)) {
+      return null;
+    }
+
+    const entry = this.cache.get(`interactive:${id}`);
+    if (!entry) {
+      logger.debug(`Callback interativo desconhecido ou expirado: ${id}`, {
+        label: 'InteractiveRouter.resolve',
+        id,
+        chatId,
+        instanceId: this.instanceId,
+      });
+      return null;
+    }
+
+    if (entry.chatId !== chatId || (entry.sender && entry.sender !== sender)) {
+      return null;
+    }
+
+    if (entry.once) {
+      this.cache.delete(`interactive:${id}`);
+
+      if (entry.group) {
+        for (const siblingId of this.cache.get(`interactive:group:${entry.group}`) || []) {
+          this.cache.delete(`interactive:${siblingId}`);
+        }
+        this.cache.delete(`interactive:group:${entry.group}`);
+      }
+    }
+
+    return entry;
+  }
+
+  /**
+   * Gera um identificador para agrupar os callbacks de uma mesma mensagem
+   */
+  createGroupId() {
+    return crypto.randomBytes(6).toString('hex');
+  }
+
+  /**
+   * Indica se o id pertence a um callback deste roteador
+   */
+  isCallbackId(id) {
+    return typeof id === 'string' && id.startsWith(CALLBACK_PREFIX);
+  }
+}
+
+InteractiveRouter.CALLBACK_PREFIX = CALLBACK_PREFIX;
+
+module.exports = InteractiveRouter;
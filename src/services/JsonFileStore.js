@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logs/logger');
+
+/**
+ * Armazenamento chave/valor persistido em um arquivo JSON
+ * Mantém os dados em memória e grava no disco de forma agrupada e atômica
+ */
+class JsonFileStore {
+  constructor(filePath, options = {}) {
+    if (!filePath) {
+      throw new Error('JsonFileStore requer o caminho do arquivo');
+    }
+
+    this.filePath = filePath;
+    this.saveDelay = options.saveDelay ?? 1000;
+    this.instanceId = options.instanceId || 'omnizap-instance';
+    // Permitem guardar valores que o JSON não representa, como Buffers (ex.: BufferJSON do Baileys)
+    this.replacer = options.replacer || null;
+    this.reviver = options.reviver || undefined;
+
+    this.data = new Map();
+    this.saveTimer = null;
+    this.readOnly = false;
+
+    this.load();
+  }
+
+  /**
+   * Carrega os dados do disco
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return;
+      }
+
+      const content = fs.readFileSync(this.filePath, 'utf8');
+      const parsed = content.trim() ? JSON.parse(content, this.reviver) : {};
+      this.data = new Map(Object.entries(parsed));
+
+      logger.debug(`Dados carregados de ${this.filePath}: ${this.data.size} entradas`, {
+        label: 'JsonFileStore.load',
+        filePath: this.filePath,
+        size: this.data.size,
+        instanceId: this.instanceId,
+      });
+    } catch (error) {
+      logger.error(`Erro ao carregar ${this.filePath}: ${error.message}`, {
+        label: 'JsonFileStore.load',
+        filePath: this.filePath,
+        error: error.message,
+        instanceId: this.instanceId,
+      });
+      this.preserveUnreadable();
+    }
+  }
+
+  /**
+   * Move o arquivo ilegível para o lado antes de continuar vazio, já que a próxima gravação o substituiria
+   * Se não for possível movê-lo, as gravações ficam desativadas até o arquivo ser corrigido
+   */
+  preserveUnreadable() {
+    const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+
+    try {
+      fs.renameSync(this.filePath, backupPath);
+      logger.warn(`Arquivo ${this.filePath} preservado em ${backupPath}; iniciando com dados vazios`, {
+        label: 'JsonFileStore.preserveUnreadable',
+        filePath: this.filePath,
+        backupPath,
+        instanceId: this.instanceId,
+      });
+    } catch (error) {
+      this.readOnly = true;
+      logger.error(`Não foi possível preservar ${this.filePath}: ${error.message}. Gravações desativadas até o arquivo ser corrigido`, {
+        label: 'JsonFileStore.preserveUnreadable',
+        filePath: this.filePath,
+        error: error.message,
+        instanceId: this.instanceId,
+      });
+    }
+  }
+
+  /**
+   * Grava imediatamente os dados no disco
+   */
+  saveNow() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    if (this.readOnly) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(this.data), this.replacer, 2));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      logger.error(`Erro ao salvar ${this.filePath}: ${error.message}`, {
+        label: 'JsonFileStore.saveNow',
+        filePath: this.filePath,
+        error: error.message,
+        instanceId: this.instanceId,
+      });
+    }
+  }
+
+  /**
+   * Agenda a gravação, agrupando alterações próximas
+   */
+  scheduleSave() {
+    if (this.saveDelay <= 0) {
+      this.saveNow();
+      return;
+    }
+
+    if (this.saveTimer) {
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => this.saveNow(), this.saveDelay);
+  }
+
+  get(key) {
+    return this.data.has(key) ? this.data.get(key) : null;
+  }
+
+  has(key) {
+    return this.data.has(key);
+  }
+
+  set(key, value) {
+    this.data.set(key, value);
+    this.scheduleSave();
+    return value;
+  }
+
+  delete(key) {
+    const existed = this.data.delete(key);
+    if (existed) {
+      this.scheduleSave();
+    }
+    return existed;
+  }
+
+  keys() {
+    return Array.from(this.data.keys());
+  }
+
+  entries() {
+    return Array.from(this.data.entries());
+  }
+
+  /**
+   * Grava pendências e libera o timer
+   */
+  flush() {
+    if (this.saveTimer) {
+      this.saveNow();
+    }
+  }
+}
+
+module.exports = JsonFileStore;
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { downloadMediaMessage } = require('baileys');
+const pino = require('pino');
+const logger = require('../utils/logs/logger');
+const { getNormalizedMessage } = require('../utils/messageNormalizer');
+
+const MIME_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif',
+  'video/mp4': '.mp4',
+  'video/3gpp': '.3gp',
+  'video/webm': '.webm',
+  'audio/ogg': '.ogg',
+  'audio/mpeg': '.mp3',
+  'audio/mp4': '.m4a',
+  'audio/aac': '.aac',
+  'application/pdf': '.pdf',
+  'application/zip': '.zip',
+  'text/plain': '.txt',
+};
+
+/**
+ * Erro de mídia com código identificando o motivo
+ * Códigos: NO_MEDIA, NOT_FOUND, TYPE_NOT_ALLOWED, TOO_LARGE, DOWNLOAD_FAILED
+ */
+class MediaError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'MediaError';
+    this.code = code;
+  }
+}
+
+/**
+ * Serviço de download de mídias sob demanda
+ * Baixa e descriptografa anexos, armazena por hash do conteúdo (sem duplicatas) e aplica limites de tamanho e tipo
+ */
+class MediaService {
+  constructor(options = {}) {
+    if (!options.directory) {
+      throw new Error('MediaService requer um diretório de armazenamento');
+    }
+
+    this.instanceId = options.instanceId || 'omnizap-instance';
+    this.directory = path.resolve(options.directory);
+    this.maxFileSize = options.maxFileSize || 50 * 1024 * 1024;
+    this.allowedKinds = options.allowedKinds || ['image', 'video', 'audio', 'sticker', 'document'];
+    this.allowedMimetypes = options.allowedMimetypes || null;
+    this.getMessage = options.getMessage || (() => null);
+    this.getClient = options.getClient || (() => null);
+    this.baileysLogger = pino({ level: 'silent' });
+
+    this.stats = {
+      downloads: 0,
+      deduplicated: 0,
+      rejected: 0,
+      failed: 0,
+      bytesDownloaded: 0,
+    };
+  }
+
+  /**
+   * Resolve a mensagem completa a partir de uma mensagem do Baileys ou de uma chave ({ remoteJid, id })
+   */
+  resolveMessage(source) {
+    if (source?.message) {
+      return source;
+    }
+
+    const key = source?.key || source;
+    if (!key?.remoteJid || !key?.id) {
+      return null;
+    }
+
+    return this.getMessage(key.remoteJid, key.id) || null;
+  }
+
+  getBaseMimetype(mimetype) {
+    return typeof mimetype === 'string' ? mimetype.split(';')[0].trim().toLowerCase() : '';
+  }
+
+  getExtension(mimetype, fileName) {
+    if (MIME_EXTENSIONS[mimetype]) {
+      return MIME_EXTENSIONS[mimetype];
+    }
+
+    const fileExtension = typeof fileName === 'string' ? path.extname(fileName).toLowerCase() : '';
+    return /^\.[a-z0-9]{1,8}$/.test(fileExtension) ? fileExtension : '.bin';
+  }
+
+  isMimetypeAllowed(mimetype, allowedMimetypes) {
+    if (!allowedMimetypes) {
+      return true;
+    }
+
+    return allowedMimetypes.some((allowed) => (allowed.endsWith('/*') ? mimetype.startsWith(allowed.slice(0, -1)) : mimetype === allowed));
+  }
+
+  /**
+   * Valida tipo e tamanho declarados antes do download
+   */
+  assertAllowed(media, mimetype, limits) {
+    if (!limits.allowedKinds.includes(media.kind)) {
+      throw new MediaError('TYPE_NOT_ALLOWED', `Tipo de mídia não permitido: ${media.kind}`);
+    }
+    if (!this.isMimetypeAllowed(mimetype, limits.allowedMimetypes)) {
+      throw new MediaError('TYPE_NOT_ALLOWED', `Formato de mídia não permitido: ${mimetype}`);
+    }
+    if (media.fileLength && media.fileLength > limits.maxFileSize) {
+      throw new MediaError('TOO_LARGE', `Mídia excede o limite de ${limits.maxFileSize} bytes`);
+    }
+  }
+
+  /**
+   * Baixa e armazena a mídia de uma mensagem
+   * @param {object} source Mensagem do Baileys ou chave ({ remoteJid, id }) de uma mensagem armazenada no DataManager
+   * @param {object} [options] Limites específicos da chamada
+   * @param {number} [options.maxFileSize] Tamanho máximo em bytes
+   * @param {string[]} [options.allowedKinds] Tipos aceitos (image, video, audio, sticker, document)
+   * @param {string[]} [options.allowedMimetypes] Mimetypes aceitos (suporta curinga, ex.: image/*)
+   * @returns {Promise<{path: string, mimetype: string, size: number, sha256: string, kind: string, fileName: string|null, deduplicated: boolean}>} Arquivo armazenado
+   */
+  async download(source, options = {}) {
+    if (!source) {
+      throw new MediaError('NO_MEDIA', 'Nenhuma mídia informada para download');
+    }
+
+    const message = this.resolveMessage(source);
+    if (!message) {
+      throw new MediaError('NOT_FOUND', 'Mensagem não encontrada para download');
+    }
+
+    const normalized = getNormalizedMessage(message);
+    const { media } = normalized;
+    if (!media) {
+      throw new MediaError('NO_MEDIA', 'Mensagem não possui mídia');
+    }
+
+    const limits = {
+      maxFileSize: options.maxFileSize || this.maxFileSize,
+      allowedKinds: options.allowedKinds || this.allowedKinds,
+      allowedMimetypes: options.allowedMimetypes || this.allowedMimetypes,
+    };
+    const mimetype = this.getBaseMimetype(media.mimetype);
+    const extension = this.getExtension(mimetype, media.fileName);
+
+    try {
+      this.assertAllowed(media, mimetype, limits);
+    } catch (error) {
+      this.stats.rejected++;
+      throw error;
+    }
+
+    const result = { mimetype, kind: media.kind, fileName: media.fileName };
+
+    if (media.fileSha256) {
+      const existingPath = path.join(this.directory, `${media.fileSha256}${extension}`);
+      const existing = await fsPromises.stat(existingPath).catch(() => null);
+      if (existing) {
+        this.stats.deduplicated++;
+        return { ...result, path: existingPath, size: existing.size, sha256: media.fileSha256, deduplicated: true };
+      }
+    }
+
+    await fsPromises.mkdir(this.directory, { recursive: true });
+    const tempPath = path.join(this.directory, `.${crypto.randomBytes(8).toString('hex')}.tmp`);
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    const limiter = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        if (size > limits.maxFileSize) {
+          callback(new MediaError('TOO_LARGE', `Mídia excede o limite de ${limits.maxFileSize} bytes`));
+          return;
+        }
+        hash.update(chunk);
+        callback(null, chunk);
+      },
+    });
+
+    try {
+      const client = this.getClient();
+      const stream = await downloadMediaMessage(message, 'stream', {}, { logger: this.baileysLogger, reuploadRequest: client ? (msg) => client.updateMediaMessage(msg) : undefined });
+      await pipeline(stream, limiter, fs.createWriteStream(tempPath));
+    } catch (error) {
+      await fsPromises.unlink(tempPath).catch(() => {});
+
+      if (error instanceof MediaError) {
+        this.stats.rejected++;
+        throw error;
+      }
+
+      this.stats.failed++;
+      logger.error(`Erro ao baixar mídia da mensagem ${normalized.id}: ${error.message}`, {
+        label: 'MediaService.download',
+        messageId: normalized.id,
+        chatId: normalized.chatId,
+        kind: media.kind,
+        error: error.message,
+        instanceId: this.instanceId,
+      });
+      throw new MediaError('DOWNLOAD_FAILED', `Falha ao baixar mídia: ${error.message}`);
+    }
+
+    const sha256 = hash.digest('hex');
+    const finalPath = path.join(this.directory, `${sha256}${extension}`);
+    const deduplicated = fs.existsSync(finalPath);
+
+    if (deduplicated) {
+      await fsPromises.unlink(tempPath);
+      this.stats.deduplicated++;
+    } else {
+      await fsPromises.rename(tempPath, finalPath);
+      this.stats.downloads++;
+      this.stats.bytesDownloaded += size;
+    }
+
+    logger.debug(`Mídia da mensagem ${normalized.id} armazenada em ${finalPath}`, {
+      label: 'MediaService.download',
+      messageId: normalized.id,
+      kind: media.kind,
+      size,
+      deduplicated,
+      instanceId: this.instanceId,
+    });
+
+    return { ...result, path: finalPath, size, sha256, deduplicated };
+  }
+
+  /**
+   * Retorna estatísticas do serviço
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      directory: this.directory,
+      maxFileSize: this.maxFileSize,
+      instanceId: this.instanceId,
+    };
+  }
+}
+
+MediaService.MediaError = MediaError;
+
+module.exports = MediaService;
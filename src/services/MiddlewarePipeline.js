@@ -0,0 +1,110 @@
+const logger = require('../utils/logs/logger');
+
+/**
+ * Cadeia de middlewares executada antes e depois de cada comando
+ * Cada middleware pode enriquecer o contexto ou interromper a execução com uma resposta
+ */
+class MiddlewarePipeline {
+  constructor(options = {}) {
+    this.instanceId = options.instanceId || 'omnizap-instance';
+    this.middlewares = [];
+  }
+
+  /**
+   * Registra um middleware
+   * @param {object} middleware Definição do middleware
+   * @param {string} middleware.name Nome usado nos logs
+   * @param {function(object): Promise<object|void>} [middleware.before] Executado antes do comando; retorne { halt: true, reply } para interromper
+   * @param {function(object, object): Promise<void>} [middleware.after] Executado após o comando com o resultado da execução
+   * @param {string} [middleware.onError] 'continue' (padrão) ignora falhas do middleware; 'halt' interrompe o comando
+   */
+  use(middleware) {
+    if (!middleware || typeof middleware.name !== 'string') {
+      throw new Error('Middleware deve possuir um nome');
+    }
+    if (typeof middleware.before !== 'function' && typeof middleware.after !== 'function') {
+      throw new Error(`Middleware '${middleware.name}' deve definir before e/ou after`);
+    }
+
+    this.middlewares.push({ onError: 'continue', ...middleware });
+
+    logger.debug(`Middleware registrado: ${middleware.name}`, {
+      label: 'MiddlewarePipeline.use',
+      middleware: middleware.name,
+      instanceId: this.instanceId,
+    });
+
+    return this;
+  }
+
+  /**
+   * Executa os middlewares "before" em ordem de registro
+   * @param {object} context Contexto da execução (pode ser enriquecido pelos middlewares)
+   * @returns {Promise<{halted: boolean, by?: string, reply?: string}>} Resultado da cadeia
+   */
+  async runBefore(context) {
+    for (const middleware of this.middlewares) {
+      if (typeof middleware.before !== 'function') continue;
+
+      try {
+        const result = await middleware.before(context);
+
+        if (result?.halt) {
+          logger.debug(`Execução interrompida pelo middleware '${middleware.name}'`, {
+            label: 'MiddlewarePipeline.runBefore',
+            middleware: middleware.name,
+            command: context.command?.name,
+            instanceId: this.instanceId,
+          });
+          return { halted: true, by: middleware.name, reply: result.reply || null };
+        }
+      } catch (error) {
+        logger.error(`Erro no middleware '${middleware.name}' (before): ${error.message}`, {
+          label: 'MiddlewarePipeline.runBefore',
+          middleware: middleware.name,
+          command: context.command?.name,
+          error: error.message,
+          stack: error.stack,
+          instanceId: this.instanceId,
+        });
+
+        if (middleware.onError === 'halt') {
+          return { halted: true, by: middleware.name, reply: null };
+        }
+      }
+    }
+
+    return { halted: false };
+  }
+
+  /**
+   * Executa os middlewares "after" em ordem reversa de registro
+   */
+  async runAfter(context, outcome) {
+    for (const middleware of [...this.middlewares].reverse()) {
+      if (typeof middleware.after !== 'function') continue;
+
+      try {
+        await middleware.after(context, outcome);
+      } catch (error) {
+        logger.error(`Erro no middleware '${middleware.name}' (after): ${error.message}`, {
+          label: 'MiddlewarePipeline.runAfter',
+          middleware: middleware.name,
+          command: context.command?.name,
+          error: error.message,
+          stack: error.stack,
+          instanceId: this.instanceId,
+        });
+      }
+    }
+  }
+
+  /**
+   * Lista os nomes dos middlewares registrados
+   */
+  list() {
+    return this.middlewares.map((middleware) => middleware.name);
+  }
+}
+
+module.exports = MiddlewarePipeline;
@@ -0,0 +1,587 @@
+const crypto = require('crypto');
+const logger = require('../utils/logs/logger');
+const FloodDetector = require('./FloodDetector');
+const { translate } = require('../utils/i18n');
+
+const MODERATION_RULES = ['inviteLinks', 'links', 'forwarded', 'repeated', 'massMentions', 'flood'];
+const FLOOD_RESPONSES = ['warn', 'mute', 'kick'];
+const MODERATION_ACTIONS = ['delete', 'warn', 'kick'];
+
+const INVITE_LINK_PATTERN = /chat\.whatsapp\.com\/(?:invite\/)?[a-z0-9]{10,}/i;
+const URL_PATTERN = /(?:https?:\/\/|www\.)[^\s<>"']+|\b(?:[a-z0-9-]+\.)+(?:com|net|org|br|io|me|ly|gg|xyz|info|app|dev|co|tk|ml|ga|cf|link|click|site|online|shop|store|top|vip|live|tv|us|ru|cn|to)(?:\/[^\s<>"']*)?\b/gi;
+
+/**
+ * Extrai os domínios dos links presentes em um texto
+ */
+function extractDomains(text) {
+  const domains = [];
+
+  for (const match of text.matchAll(URL_PATTERN)) {
+    const url = match[0].replace(/^https?:\/\//i, '');
+    const host = url
+      .split(/[/?#:]/)[0]
+      .toLowerCase()
+      .replace(/^www\./, '');
+    if (host.includes('.')) {
+      domains.push(host);
+    }
+  }
+
+  return domains;
+}
+
+function isDomainAllowed(domain, whitelist) {
+  return whitelist.some((allowed) => domain === allowed || domain.endsWith(`.${allowed}`));
+}
+
+/**
+ * Motor de moderação de grupos (links, convites, encaminhamentos, repetição, menções em massa e flood)
+ * As regras ficam nas configurações de cada grupo; os limites globais vêm do batchConfig
+ */
+class ModerationService {
+  constructor(options = {}) {
+    if (!options.settingsManager || !options.permissionManager || !options.warningManager || !options.cache) {
+      throw new Error('ModerationService requer SettingsManager, PermissionManager, WarningManager e MemoryCache');
+    }
+
+    this.instanceId = options.instanceId || 'omnizap-instance';
+    this.settingsManager = options.settingsManager;
+    this.permissionManager = options.permissionManager;
+    this.warningManager = options.warningManager;
+    this.cache = options.cache;
+    this.getBotJids = options.getBotJids || (() => []);
+    this.getGroupMetadata = options.getGroupMetadata || (async () => null);
+    this.getClient = options.getClient || (() => null);
+    this.emit = options.emit || (() => {});
+    this.retryDelay = options.retryDelay || 60000;
+    this.muteTimers = new Map();
+
+    this.defaults = {
+      action: 'warn',
+      maxWarnings: 3,
+      mentionLimit: 5,
+      forwardingScore: 5,
+      repeatLimit: 3,
+      repeatWindow: 60000,
+      adminExempt: true,
+      ...options.defaults,
+      flood: {
+        maxMessages: 20,
+        window: 10000,
+        responses: FLOOD_RESPONSES,
+        muteDuration: 5 * 60 * 1000,
+        incidentTTL: 60 * 60 * 1000,
+        ...options.defaults?.flood,
+      },
+    };
+
+    this.floodDetector = new FloodDetector({ maxWindow: 5 * 60 * 1000 });
+    this.stats = { checked: 0, violations: 0, deleted: 0, warned: 0, kicked: 0, floods: 0, mutes: 0 };
+  }
+
+  /**
+   * Retorna a configuração efetiva de moderação do grupo
+   * @returns {{rules: object, action: string, maxWarnings: number, whitelist: string[], flood: object}} Configuração com padrões aplicados
+   */
+  getConfig(chatId) {
+    const stored = this.settingsManager.getModeration(chatId);
+    return {
+      rules: Object.fromEntries(MODERATION_RULES.map((rule) => [rule, Boolean(stored.rules?.[rule])])),
+      action: MODERATION_ACTIONS.includes(stored.action) ? stored.action : this.defaults.action,
+      maxWarnings: stored.maxWarnings || this.defaults.maxWarnings,
+      whitelist: [...(stored.whitelist || [])],
+      flood: {
+        maxMessages: stored.flood?.maxMessages || this.defaults.flood.maxMessages,
+        window: stored.flood?.window || this.defaults.flood.window,
+      },
+    };
+  }
+
+  isActive(config) {
+    return Object.values(config.rules).some(Boolean);
+  }
+
+  /**
+   * Registra a mensagem para a regra de repetição e indica se o limite foi atingido
+   */
+  trackRepetition(normalized) {
+    const content = normalized.text.trim().toLowerCase() || normalized.media?.fileSha256;
+    if (!content) {
+      return false;
+    }
+
+    const fingerprint = crypto.createHash('sha1').update(content).digest('hex');
+    const key = `moderation:repeat:${normalized.chatId}:${normalized.sender}`;
+    const previous = this.cache.get(key);
+    const count = previous?.fingerprint === fingerprint ? previous.count + 1 : 1;
+
+    this.cache.set(key, { fingerprint, count }, this.defaults.repeatWindow);
+
+    return count >= this.defaults.repeatLimit;
+  }
+
+  /**
+   * Avalia a mensagem contra as regras ativas do grupo
+   * @param {object} normalized Mensagem normalizada
+   * @param {object} config Configuração de moderação do grupo
+   * @returns {string|null} Regra violada
+   */
+  evaluate(normalized, config) {
+    const { rules } = config;
+    const text = normalized.text || '';
+
+    if (rules.inviteLinks && INVITE_LINK_PATTERN.test(text)) {
+      return 'inviteLinks';
+    }
+    if (rules.links && extractDomains(text).some((domain) => !isDomainAllowed(domain, config.whitelist))) {
+      return 'links';
+    }
+    if (rules.massMentions && normalized.mentions.length >= this.defaults.mentionLimit) {
+      return 'massMentions';
+    }
+    if (rules.forwarded && normalized.forwardingScore >= this.defaults.forwardingScore) {
+      return 'forwarded';
+    }
+    if (rules.repeated && this.trackRepetition(normalized)) {
+      return 'repeated';
+    }
+
+    return null;
+  }
+
+  isBotJid(jid) {
+    const number = jid.split('@')[0].split(':')[0];
+    return this.getBotJids().some((botJid) => botJid.split('@')[0].split(':')[0] === number);
+  }
+
+  async isExempt(normalized) {
+    if (this.isBotJid(normalized.sender)) {
+      return true;
+    }
+
+    const level = await this.permissionManager.resolveLevel(normalized.sender, normalized.chatId);
+    return level === 'owner' || (this.defaults.adminExempt && this.permissionManager.hasLevel(level, 'admin'));
+  }
+
+  /**
+   * Envia um aviso da moderação ao grupo sem propagar falhas (ex.: limite de envio ou bot sem cargo)
+   * A ação já foi aplicada: um aviso que falha não pode devolver a mensagem ao fluxo de comandos
+   */
+  async notify(chatId, content, client) {
+    try {
+      await client.sendMessage(chatId, content);
+    } catch (error) {
+      logger.error(`Erro ao enviar aviso da moderação em ${chatId}: ${error.message}`, {
+        label: 'ModerationService.notify',
+        chatId,
+        error: error.message,
+        instanceId: this.instanceId,
+      });
+    }
+  }
+
+  /**
+   * Remove um participante do grupo sem propagar falhas (ex.: participante já saiu ou o bot perdeu o cargo)
+   * @returns {Promise<{removed: boolean, error?: string}>} Resultado da remoção
+   */
+  async removeParticipant(chatId, user, client) {
+    try {
+      const [result] = (await client.groupParticipantsUpdate(chatId, [user], 'remove')) || [];
+      if (result?.status && Number(result.status) !== 200) {
+        throw new Error(`status ${result.status}`);
+      }
+
+      this.stats.kicked++;
+      return { removed: true };
+    } catch (error) {
+      logger.error(`Erro ao remover ${user} do grupo ${chatId}: ${error.message}`, {
+        label: 'ModerationService.removeParticipant',
+        chatId,
+        user,
+        error: error.message,
+        instanceId: this.instanceId,
+      });
+      return { removed: false, error: error.message };
+    }
+  }
+
+  /**
+   * Registra uma advertência e remove o participante ao atingir o limite do grupo
+   * @param {object} details Motivo, autor e origem repassados ao WarningManager
+   * Se a remoção falhar, as advertências são mantidas e o motivo volta em removalError
+   * @returns {Promise<{warning: object, count: number, limit: number, removed: boolean, removalError?: string}>} Advertência criada, total ativo e se o participante foi removido
+   */
+  async issueWarning(chatId, user, details, client) {
+    const limit = this.getConfig(chatId).maxWarnings;
+    const { warning, count } = this.warningManager.add(chatId, user, details);
+
+    if (count < limit || !(await this.permissionManager.isBotAdmin(chatId))) {
+      return { warning, count, limit, removed: false };
+    }
+
+    const removal = await this.removeParticipant(chatId, user, client);
+    if (!removal.removed) {
+      return { warning, count, limit, removed: false, removalError: removal.error };
+    }
+
+    this.warningManager.clear(chatId, user);
+
+    logger.info(`${user} removido do grupo ${chatId} ao atingir ${count} advertência(s)`, {
+      label: 'ModerationService.issueWarning',
+      chatId,
+      user,
+      count,
+      limit,
+      instanceId: this.instanceId,
+    });
+
+    return { warning, count, limit, removed: true };
+  }
+
+  /**
+   * Modera uma mensagem recebida em grupo
+   * @param {object} normalized Mensagem normalizada
+   * @param {object} client Cliente do WhatsApp
+   * @returns {Promise<{rule: string, action: string, warnings?: number}|null>} Ação aplicada ou null se a mensagem foi liberada
+   */
+  async moderate(normalized, client) {
+    if (!normalized.isGroup || normalized.fromMe || !client) {
+      return null;
+    }
+
+    const config = this.getConfig(normalized.chatId);
+    if (!this.isActive(config)) {
+      return null;
+    }
+
+    const handledKey = `moderation:handled:${normalized.chatId}:${normalized.id}`;
+    if (this.cache.has(handledKey)) {
+      return this.cache.get(handledKey);
+    }
+
+    this.stats.checked++;
+
+    if (config.rules.flood && this.trackFlood(normalized, config)) {
+      const outcome = await this.handleFlood(normalized, config, client);
+      this.cache.set(handledKey, outcome, 60000);
+      return outcome;
+    }
+
+    const rule = this.evaluate(normalized, config);
+    if (!rule || (await this.isExempt(normalized))) {
+      this.cache.set(handledKey, null, 60000);
+      return null;
+    }
+
+    if (!(await this.permissionManager.isBotAdmin(normalized.chatId))) {
+      logger.debug(`Violação de '${rule}' ignorada em ${normalized.chatId}: bot não é administrador`, {
+        label: 'ModerationService.moderate',
+        chatId: normalized.chatId,
+        sender: normalized.sender,
+        rule,
+        instanceId: this.instanceId,
+      });
+      this.cache.set(handledKey, null, 60000);
+      return null;
+    }
+
+    const outcome = await this.applyAction(normalized, rule, config, client);
+    this.cache.set(handledKey, outcome, 60000);
+    this.stats.violations++;
+
+    logger.info(`Moderação aplicada em ${normalized.chatId}: ${rule} -> ${outcome.action}`, {
+      label: 'ModerationService.moderate',
+      chatId: normalized.chatId,
+      sender: normalized.sender,
+      messageId: normalized.id,
+      ...outcome,
+      instanceId: this.instanceId,
+    });
+
+    return outcome;
+  }
+
+  /**
+   * Apaga a mensagem e aplica a ação configurada (aviso ou remoção)
+   */
+  async applyAction(normalized, rule, config, client) {
+    const { chatId, sender } = normalized;
+    const language = this.settingsManager.get(chatId).language;
+    const targetId = normalized.type === 'edit' ? normalized.edit.targetKey?.id || normalized.id : normalized.id;
+    const mention = `@${sender.split('@')[0]}`;
+    const reason = translate(language, `moderation.rule.${rule}`);
+
+    await client.sendMessage(chatId, { delete: { remoteJid: chatId, fromMe: false, id: targetId, participant: sender } }).catch((error) => {
+      logger.error(`Erro ao apagar mensagem ${targetId} em ${chatId}: ${error.message}`, {
+        label: 'ModerationService.applyAction',
+        chatId,
+        messageId: targetId,
+        error: error.message,
+        instanceId: this.instanceId,
+      });
+    });
+    this.stats.deleted++;
+
+    if (config.action === 'delete') {
+      return { rule, action: 'delete' };
+    }
+
+    if (config.action === 'kick') {
+      // A mensagem já foi apagada: uma remoção que falha não pode devolver a mensagem ao fluxo de comandos
+      const { removed } = await this.removeParticipant(chatId, sender, client);
+      if (removed) {
+        await this.notify(chatId, { text: translate(language, 'moderation.kick', { user: mention, reason }), mentions: [sender] }, client);
+      }
+      return { rule, action: 'kick', removed };
+    }
+
+    const result = await this.issueWarning(chatId, sender, { reason, issuer: 'moderation', source: rule }, client);
+
+    if (!result.removed) {
+      this.stats.warned++;
+      await this.notify(chatId, { text: translate(language, 'moderation.warn', { user: mention, reason, count: result.count, max: result.limit }), mentions: [sender] }, client);
+      return { rule, action: 'warn', warnings: result.count };
+    }
+
+    await this.notify(chatId, { text: translate(language, 'moderation.kick', { user: mention, reason }), mentions: [sender] }, client);
+    return { rule, action: 'kick', warnings: result.count };
+  }
+
+  /**
+   * Registra a mensagem na janela de flood do remetente
+   * Mensagens mais antigas que a janela (ex.: recebidas após reconexão) são ignoradas
+   * @returns {number|null} Mensagens na janela quando o limite é atingido, ou null
+   */
+  trackFlood(normalized, config) {
+    const now = Date.now();
+    const timestamp = normalized.timestamp ? normalized.timestamp * 1000 : now;
+    if (timestamp < now - config.flood.window) {
+      return null;
+    }
+
+    const count = this.floodDetector.record(normalized.chatId, normalized.sender, timestamp, config.flood.window);
+    if (count < config.flood.maxMessages) {
+      return null;
+    }
+
+    this.floodDetector.reset(normalized.chatId, normalized.sender);
+    return count;
+  }
+
+  /**
+   * Responde a um incidente de flood escalando a cada reincidência: aviso, grupo fechado temporariamente e remoção
+   * Emite o evento 'moderation:flood' para cada incidente
+   */
+  async handleFlood(normalized, config, client) {
+    const { chatId, sender } = normalized;
+    if (await this.isExempt(normalized)) {
+      return null;
+    }
+
+    const incidentKey = `moderation:flood:${chatId}:${sender}`;
+    const incident = (this.cache.get(incidentKey) || 0) + 1;
+    this.cache.set(incidentKey, incident, this.defaults.flood.incidentTTL);
+
+    const responses = this.defaults.flood.responses;
+    let action = responses[Math.min(incident, responses.length) - 1];
+    if (action !== 'warn' && !(await this.permissionManager.isBotAdmin(chatId))) {
+      action = 'warn';
+    }
+
+    const language = this.settingsManager.get(chatId).language;
+    const params = { user: `@${sender.split('@')[0]}`, count: config.flood.maxMessages, seconds: Math.round(config.flood.window / 1000), minutes: Math.max(1, Math.round(this.defaults.flood.muteDuration / 60000)) };
+
+    if (action === 'mute' && !(await this.muteGroup(chatId, client))) {
+      action = 'warn';
+    }
+
+    if (action === 'kick') {
+      if ((await this.removeParticipant(chatId, sender, client)).removed) {
+        this.cache.delete(incidentKey);
+      } else {
+        action = 'warn';
+      }
+    }
+
+    await this.notify(chatId, { text: translate(language, `moderation.flood.${action}`, params), mentions: [sender] }, client);
+
+    this.stats.floods++;
+    const outcome = { rule: 'flood', action, incident };
+
+    logger.warn(`Flood de ${sender} em ${chatId} (incidente ${incident}): ${action}`, {
+      label: 'ModerationService.handleFlood',
+      chatId,
+      sender,
+      ...outcome,
+      instanceId: this.instanceId,
+    });
+
+    this.emit('moderation:flood', { chatId, sender, messageId: normalized.id, messages: config.flood.maxMessages, window: config.flood.window, ...outcome, instanceId: this.instanceId });
+
+    return outcome;
+  }
+
+  /**
+   * Fecha o grupo para mensagens de participantes e agenda a reabertura
+   * O horário da reabertura fica salvo nas configurações do grupo para sobreviver a reinícios
+   * @returns {Promise<boolean>} false se o grupo já estava fechado por um administrador ou não pôde ser fechado
+   */
+  async muteGroup(chatId, client) {
+    if (!this.muteTimers.has(chatId)) {
+      const metadata = await this.getGroupMetadata(chatId);
+      if (metadata?.announce) {
+        return false;
+      }
+
+      try {
+        await client.groupSettingUpdate(chatId, 'announcement');
+      } catch (error) {
+        logger.error(`Erro ao fechar o grupo ${chatId} após flood: ${error.message}`, {
+          label: 'ModerationService.muteGroup',
+          chatId,
+          error: error.message,
+          instanceId: this.instanceId,
+        });
+        return false;
+      }
+      this.stats.mutes++;
+    }
+
+    this.settingsManager.setModeration(chatId, { mutedUntil: Date.now() + this.defaults.flood.muteDuration });
+    this.armUnmute(chatId, this.defaults.flood.muteDuration);
+
+    return true;
+  }
+
+  armUnmute(chatId, delay) {
+    clearTimeout(this.muteTimers.get(chatId));
+    this.muteTimers.set(
+      chatId,
+      setTimeout(() => this.unmuteGroup(chatId), Math.max(0, delay)),
+    );
+  }
+
+  /**
+   * Reabre um grupo fechado por flood, usando o cliente da conexão atual
+   * Em caso de falha (ex.: bot desconectado) a reabertura é repetida após retryDelay
+   */
+  async unmuteGroup(chatId) {
+    const client = this.getClient();
+
+    try {
+      if (!client) {
+        throw new Error('cliente indisponível');
+      }
+
+      await client.groupSettingUpdate(chatId, 'not_announcement');
+    } catch (error) {
+      logger.error(`Erro ao reabrir o grupo ${chatId} após flood: ${error.message}`, {
+        label: 'ModerationService.unmuteGroup',
+        chatId,
+        error: error.message,
+        instanceId: this.instanceId,
+      });
+      this.armUnmute(chatId, this.retryDelay);
+      return false;
+    }
+
+    this.clearMute(chatId);
+
+    try {
+      await client.sendMessage(chatId, { text: translate(this.settingsManager.get(chatId).language, 'moderation.flood.unmute') });
+    } catch (error) {
+      logger.error(`Erro ao avisar a reabertura do grupo ${chatId}: ${error.message}`, {
+        label: 'ModerationService.unmuteGroup',
+        chatId,
+        error: error.message,
+        instanceId: this.instanceId,
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Cancela a reabertura agendada sem alterar o grupo
+   */
+  clearMute(chatId) {
+    clearTimeout(this.muteTimers.get(chatId));
+    this.muteTimers.delete(chatId);
+    if (this.settingsManager.getModeration(chatId).mutedUntil) {
+      this.settingsManager.setModeration(chatId, { mutedUntil: null });
+    }
+  }
+
+  /**
+   * Reagenda as reaberturas salvas antes de um reinício; as vencidas são feitas imediatamente
+   */
+  restoreMutes() {
+    const now = Date.now();
+    const muted = this.settingsManager.listModeration().filter(([, moderation]) => moderation.mutedUntil);
+
+    for (const [chatId, { mutedUntil }] of muted) {
+      this.armUnmute(chatId, mutedUntil - now);
+    }
+
+    if (muted.length > 0) {
+      logger.info(`${muted.length} grupo(s) fechado(s) por flood com reabertura reagendada`, {
+        label: 'ModerationService.restoreMutes',
+        groups: muted.map(([chatId]) => chatId),
+        instanceId: this.instanceId,
+      });
+    }
+  }
+
+  /**
+   * Trata alterações de configurações do grupo (groups.update)
+   * Se alguém além do bot abrir ou fechar o grupo durante o fechamento por flood, a reabertura automática é cancelada
+   */
+  handleGroupUpdate({ jid, metadata, context }) {
+    if (context !== 'groups.update' || metadata?.announce === undefined || !this.muteTimers.has(jid)) {
+      return false;
+    }
+
+    const byBot = metadata.author && this.isBotJid(metadata.author);
+    // Fechamento sem autor conhecido pode ser o próprio eco do bot
+    if (byBot || (metadata.announce && !metadata.author)) {
+      return false;
+    }
+
+    this.clearMute(jid);
+    logger.info(`Reabertura automática do grupo ${jid} cancelada: configuração alterada por ${metadata.author || 'um administrador'}`, {
+      label: 'ModerationService.handleGroupUpdate',
+      chatId: jid,
+      author: metadata.author,
+      instanceId: this.instanceId,
+    });
+    return true;
+  }
+
+  /**
+   * Para os timers de reabertura (os horários continuam salvos para o próximo início)
+   */
+  stop() {
+    for (const timer of this.muteTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.muteTimers.clear();
+  }
+
+  /**
+   * Retorna estatísticas da moderação
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      trackedSenders: this.floodDetector.size,
+      mutedGroups: this.muteTimers.size,
+      instanceId: this.instanceId,
+    };
+  }
+}
+
+ModerationService.MODERATION_RULES = MODERATION_RULES;
+ModerationService.MODERATION_ACTIONS = MODERATION_ACTIONS;
+ModerationService.FLOOD_RESPONSES = FLOOD_RESPONSES;
+ModerationService.extractDomains = extractDomains;
+
+module.exports = ModerationService;
@@ -0,0 +1,155 @@
+const { jidNormalizedUser } = require('baileys');
+const logger = require('../utils/logs/logger');
+
+/**
+ * Níveis de permissão em ordem crescente de privilégio
+ */
+const PERMISSION_LEVELS = {
+  blocked: 0,
+  member: 1,
+  admin: 2,
+  superadmin: 3,
+  owner: 4,
+};
+
+/**
+ * Normaliza um número ou JID para o formato de usuário do WhatsApp
+ */
+function normalizeUserJid(value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+
+  const trimmed = value.trim();
+  const jid = trimmed.includes('@') ? trimmed : `${trimmed.replace(/\D/g, '')}@s.whatsapp.net`;
+
+  return jidNormalizedUser(jid);
+}
+
+/**
+ * Resolve o nível de permissão de usuários em chats
+ * Dono vem do ambiente; administradores vêm dos participantes do grupo
+ */
+class PermissionManager {
+  constructor(options = {}) {
+    this.instanceId = options.instanceId || 'omnizap-instance';
+    this.getGroupMetadata = options.getGroupMetadata || (async () => null);
+    this.getBotJids = options.getBotJids || (() => []);
+
+    this.owners = new Set((options.owners || []).map(normalizeUserJid).filter(Boolean));
+    this.blocked = new Set((options.blocked || []).map(normalizeUserJid).filter(Boolean));
+  }
+
+  /**
+   * Verifica se o JID pertence a um dono do bot
+   */
+  isOwner(jid) {
+    return this.owners.has(normalizeUserJid(jid));
+  }
+
+  /**
+   * Verifica se o JID está bloqueado
+   */
+  isBlocked(jid) {
+    return this.blocked.has(normalizeUserJid(jid));
+  }
+
+  /**
+   * Substitui a lista de bloqueio (evento blocklist.set)
+   */
+  setBlocklist(jids = []) {
+    this.blocked = new Set(jids.map(normalizeUserJid).filter(Boolean));
+    logger.info(`Lista de bloqueio atualizada com ${this.blocked.size} JIDs`, {
+      label: 'PermissionManager.setBlocklist',
+      count: this.blocked.size,
+      instanceId: this.instanceId,
+    });
+  }
+
+  /**
+   * Aplica uma atualização incremental na lista de bloqueio (evento blocklist.update)
+   */
+  updateBlocklist(action, jids = []) {
+    for (const jid of jids.map(normalizeUserJid).filter(Boolean)) {
+      if (action === 'add') {
+        this.blocked.add(jid);
+      } else if (action === 'remove') {
+        this.blocked.delete(jid);
+      }
+    }
+  }
+
+  /**
+   * Obtém o participante correspondente ao JID nos metadados do grupo
+   */
+  findParticipant(metadata, jid) {
+    const normalized = normalizeUserJid(jid);
+    if (!metadata || !Array.isArray(metadata.participants) || !normalized) {
+      return null;
+    }
+
+    return metadata.participants.find((participant) => normalizeUserJid(participant.id) === normalized || normalizeUserJid(participant.jid) === normalized) || null;
+  }
+
+  /**
+   * Resolve o nível de permissão de um usuário em um chat
+   * @param {string} sender JID de quem enviou a mensagem
+   * @param {string} chatId JID do chat
+   * @returns {Promise<string>} Nome do nível de permissão
+   */
+  async resolveLevel(sender, chatId) {
+    if (this.isBlocked(sender)) {
+      return 'blocked';
+    }
+
+    if (this.isOwner(sender)) {
+      return 'owner';
+    }
+
+    if (typeof chatId === 'string' && chatId.endsWith('@g.us')) {
+      try {
+        const metadata = await this.getGroupMetadata(chatId);
+        const participant = this.findParticipant(metadata, sender);
+
+        if (participant?.admin === 'superadmin') {
+          return 'superadmin';
+        }
+        if (participant?.admin === 'admin') {
+          return 'admin';
+        }
+      } catch (error) {
+        logger.error(`Erro ao obter metadados do grupo ${chatId} para verificar permissão: ${error.message}`, {
+          label: 'PermissionManager.resolveLevel',
+          chatId,
+          sender,
+          error: error.message,
+          instanceId: this.instanceId,
+        });
+      }
+    }
+
+    return 'member';
+  }
+
+  /**
+   * Verifica se o próprio bot é administrador do grupo
+   * @param {string} chatId JID do grupo
+   * @returns {Promise<boolean>} true se o bot for admin ou criador
+   */
+  async isBotAdmin(chatId) {
+    const metadata = await this.getGroupMetadata(chatId);
+    return this.getBotJids().some((jid) => ['admin', 'superadmin'].includes(this.findParticipant(metadata, jid)?.admin));
+  }
+
+  /**
+   * Verifica se um nível atende ao nível exigido
+   */
+  hasLevel(level, required = 'member') {
+    return (PERMISSION_LEVELS[level] ?? 0) >= (PERMISSION_LEVELS[required] ?? PERMISSION_LEVELS.member);
+  }
+}
+
+PermissionManager.PERMISSION_LEVELS = PERMISSION_LEVELS;
+PermissionManager.normalizeUserJid = normalizeUserJid;
+
+module.exports = PermissionManager;
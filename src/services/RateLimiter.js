@@ -0,0 +1,128 @@
+const logger = require('../utils/logs/logger');
+
+/**
+ * Limitador de uso de comandos baseado em token bucket
+ * Mantém o estado no MemoryCache para persistir entre lotes
+ */
+class RateLimiter {
+  constructor(cache, options = {}) {
+    if (!cache) {
+      throw new Error('RateLimiter requer uma instância de MemoryCache');
+    }
+
+    this.cache = cache;
+    this.instanceId = options.instanceId || 'omnizap-instance';
+    this.defaultCooldown = options.defaultCooldown ?? 3000;
+    this.buckets = {
+      user: options.user || { capacity: 5, refillInterval: 30000 },
+      group: options.group || { capacity: 20, refillInterval: 30000 },
+    };
+  }
+
+  /**
+   * Calcula o estado atual de um bucket aplicando a reposição de tokens
+   */
+  peekBucket(scope, id, now = Date.now()) {
+    const { capacity, refillInterval } = this.buckets[scope];
+    const state = this.cache.get(`ratelimit:${scope}:${id}`);
+
+    if (!state) {
+      return { tokens: capacity, capacity, refillInterval };
+    }
+
+    const refillRate = capacity / refillInterval;
+    const tokens = Math.min(capacity, state.tokens + (now - state.updatedAt) * refillRate);
+
+    return { tokens, capacity, refillInterval };
+  }
+
+  /**
+   * Consome um token de um bucket
+   */
+  takeToken(scope, id, now = Date.now()) {
+    const bucket = this.peekBucket(scope, id, now);
+    const tokens = bucket.tokens - 1;
+    const ttl = Math.ceil(((bucket.capacity - tokens) / bucket.capacity) * bucket.refillInterval);
+
+    this.cache.set(`ratelimit:${scope}:${id}`, { tokens, updatedAt: now }, ttl);
+  }
+
+  /**
+   * Tempo em ms até que o bucket tenha um token disponível
+   */
+  timeUntilToken(bucket) {
+    return Math.ceil((1 - bucket.tokens) * (bucket.refillInterval / bucket.capacity));
+  }
+
+  /**
+   * Verifica e consome o uso de um comando
+   * @param {object} params Dados da execução
+   * @param {string} params.command Nome do comando
+   * @param {string} params.sender JID de quem executou
+   * @param {string} params.chatId JID do chat
+   * @param {number} [params.cooldown] Cooldown específico do comando em ms
+   * @returns {{allowed: boolean, scope?: string, retryAfter?: number, notify?: boolean}}
+   */
+  consume({ command, sender, chatId, cooldown }) {
+    const now = Date.now();
+    const isGroup = typeof chatId === 'string' && chatId.endsWith('@g.us');
+    const commandCooldown = cooldown ?? this.defaultCooldown;
+    const cooldownKey = `ratelimit:cooldown:${command}:${chatId}:${sender}`;
+
+    let denial = null;
+
+    const lastUse = this.cache.get(cooldownKey);
+    if (commandCooldown > 0 && lastUse) {
+      denial = { scope: 'command', key: cooldownKey, retryAfter: commandCooldown - (now - lastUse) };
+    }
+
+    if (!denial) {
+      const userBucket = this.peekBucket('user', sender, now);
+      if (userBucket.tokens < 1) {
+        denial = { scope: 'user', key: sender, retryAfter: this.timeUntilToken(userBucket) };
+      }
+    }
+
+    if (!denial && isGroup) {
+      const groupBucket = this.peekBucket('group', chatId, now);
+      if (groupBucket.tokens < 1) {
+        denial = { scope: 'group', key: chatId, retryAfter: this.timeUntilToken(groupBucket) };
+      }
+    }
+
+    if (denial) {
+      const retryAfter = Math.max(denial.retryAfter, 1000);
+      const noticeKey = `ratelimit:notice:${denial.scope}:${denial.key}:${sender}`;
+      const notify = !this.cache.has(noticeKey);
+
+      if (notify) {
+        this.cache.set(noticeKey, true, retryAfter);
+      }
+
+      logger.debug(`Comando '${command}' bloqueado por limite (${denial.scope}) para ${sender}`, {
+        label: 'RateLimiter.consume',
+        command,
+        sender,
+        chatId,
+        scope: denial.scope,
+        retryAfter,
+        notify,
+        instanceId: this.instanceId,
+      });
+
+      return { allowed: false, scope: denial.scope, retryAfter, notify };
+    }
+
+    if (commandCooldown > 0) {
+      this.cache.set(cooldownKey, now, commandCooldown);
+    }
+    this.takeToken('user', sender, now);
+    if (isGroup) {
+      this.takeToken('group', chatId, now);
+    }
+
+    return { allowed: true };
+  }
+}
+
+module.exports = RateLimiter;
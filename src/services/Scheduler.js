@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const JsonFileStore = require('./JsonFileStore');
+const logger = require('../utils/logs/logger');
+const { getNextCronRun } = require('../utils/schedule');
+
+/**
+ * Agendador de mensagens persistido em disco
+ * Os agendamentos podem ser únicos (runAt) ou recorrentes (cron) e só são enviados com a conexão aberta
+ */
+class Scheduler {
+  constructor(options = {}) {
+    this.instanceId = options.instanceId || 'omnizap-instance';
+    this.getClient = options.getClient || (() => null);
+    this.isReady = options.isReady || (() => Boolean(this.getClient()));
+    this.maxTimerDelay = options.maxTimerDelay || 60000;
+    this.maxLateness = options.maxLateness ?? 6 * 60 * 60 * 1000;
+    this.retryDelay = options.retryDelay || 60000;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.store = options.store || new JsonFileStore(options.filePath, { instanceId: this.instanceId });
+
+    this.timer = null;
+    this.running = false;
+    this.started = false;
+    this.stats = { sent: 0, failed: 0, skipped: 0 };
+  }
+
+  /**
+   * Inicia o ciclo de verificação dos agendamentos
+   */
+  start() {
+    this.started = true;
+    this.arm();
+
+    logger.info(`Agendador iniciado com ${this.store.keys().length} agendamento(s)`, {
+      label: 'Scheduler.start',
+      jobs: this.store.keys().length,
+      instanceId: this.instanceId,
+    });
+  }
+
+  stop() {
+    this.started = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.store.flush();
+  }
+
+  /**
+   * Agenda o próximo ciclo para o agendamento mais próximo (no máximo maxTimerDelay à frente)
+   */
+  arm() {
+    if (!this.started) {
+      return;
+    }
+
+    clearTimeout(this.timer);
+    const nextRunAt = Math.min(...this.list().map((job) => job.runAt), Date.now() + this.maxTimerDelay);
+    this.timer = setTimeout(() => this.run(), Math.max(0, nextRunAt - Date.now()));
+  }
+
+  /**
+   * Cria um agendamento
+   * @param {object} job Dados do agendamento
+   * @param {string} job.chatId JID do chat de destino
+   * @param {object} job.content Conteúdo repassado ao sendMessage
+   * @param {number} [job.runAt] Primeira execução (ms); obrigatório sem cron
+   * @param {string} [job.cron] Expressão cron para agendamentos recorrentes
+   * @param {string} [job.kind] Tipo livre usado na listagem (ex.: reminder, announcement)
+   * @param {string} [job.createdBy] JID de quem criou
+   * @param {string} [job.description] Resumo exibido nas listagens
+   * @returns {object} Agendamento salvo
+   */
+  schedule({ chatId, content, runAt = null, cron = null, kind = 'message', createdBy = null, description = null }) {
+    const firstRun = runAt ?? (cron ? getNextCronRun(cron)?.getTime() : null);
+    if (!chatId || !content || !firstRun) {
+      throw new Error('Agendamento requer chat, conteúdo e horário válidos');
+    }
+
+    const job = {
+      id: this.createId(),
+      chatId,
+      content,
+      kind,
+      runAt: firstRun,
+      cron,
+      createdBy,
+      description,
+      createdAt: Date.now(),
+      lastRunAt: null,
+      runs: 0,
+      attempts: 0,
+    };
+
+    this.store.set(job.id, job);
+    this.arm();
+
+    logger.info(`Agendamento '${job.id}' (${kind}) criado para ${chatId}`, {
+      label: 'Scheduler.schedule',
+      jobId: job.id,
+      chatId,
+      kind,
+      runAt: new Date(job.runAt).toISOString(),
+      cron,
+      instanceId: this.instanceId,
+    });
+
+    return job;
+  }
+
+  /**
+   * Gera um id curto que não colide com outro agendamento salvo
+   */
+  createId() {
+    let id;
+    do {
+      id = crypto.randomBytes(3).toString('hex');
+    } while (this.store.get(id));
+    return id;
+  }
+
+  /**
+   * Remove um agendamento
+   * @returns {object|null} Agendamento removido
+   */
+  cancel(id) {
+    const job = this.store.get(String(id).toLowerCase());
+    if (!job) {
+      return null;
+    }
+
+    this.store.delete(job.id);
+    this.arm();
+    return job;
+  }
+
+  get(id) {
+    return this.store.get(String(id).toLowerCase());
+  }
+
+  /**
+   * Lista os agendamentos em ordem de execução
+   * @param {function(object): boolean} [filter] Filtro opcional
+   */
+  list(filter = () => true) {
+    return this.store
+      .entries()
+      .map(([, job]) => job)
+      .filter(filter)
+      .sort((a, b) => a.runAt - b.runAt);
+  }
+
+  /**
+   * Envia os agendamentos vencidos e reagenda os recorrentes
+   */
+  async run() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      if (this.isReady()) {
+        const now = Date.now();
+        for (const job of this.list((candidate) => candidate.runAt <= now)) {
+          await this.execute(job, now);
+        }
+      }
+    } finally {
+      this.running = false;
+      this.arm();
+    }
+  }
+
+  /**
+   * Envia um agendamento e atualiza seu estado
+   */
+  async execute(job, now = Date.now()) {
+    if (now - job.runAt > this.maxLateness) {
+      this.stats.skipped++;
+      logger.warn(`Agendamento '${job.id}' ignorado: atrasado desde ${new Date(job.runAt).toISOString()}`, {
+        label: 'Scheduler.execute',
+        jobId: job.id,
+        chatId: job.chatId,
+        instanceId: this.instanceId,
+      });
+      this.complete(job, now);
+      return;
+    }
+
+    try {
+      await this.getClient().sendMessage(job.chatId, job.content);
+      this.stats.sent++;
+      // O agendamento pode ter sido cancelado durante o envio
+      if (!this.store.get(job.id)) {
+        return;
+      }
+      this.complete({ ...job, lastRunAt: now, runs: job.runs + 1, attempts: 0 }, now);
+    } catch (error) {
+      const attempts = job.attempts + 1;
+      this.stats.failed++;
+
+      logger.error(`Erro ao enviar agendamento '${job.id}' para ${job.chatId} (tentativa ${attempts}/${this.maxAttempts}): ${error.message}`, {
+        label: 'Scheduler.execute',
+        jobId: job.id,
+        chatId: job.chatId,
+        attempts,
+        error: error.message,
+        instanceId: this.instanceId,
+      });
+
+      if (!this.store.get(job.id)) {
+        return;
+      }
+
+      if (attempts >= this.maxAttempts) {
+        this.complete({ ...job, attempts: 0 }, now);
+      } else {
+        this.store.set(job.id, { ...job, attempts, runAt: now + this.retryDelay });
+      }
+    }
+  }
+
+  /**
+   * Remove um agendamento único ou calcula a próxima execução de um recorrente
+   */
+  complete(job, now) {
+    const next = job.cron ? getNextCronRun(job.cron, now) : null;
+    if (!next) {
+      this.store.delete(job.id);
+      return;
+    }
+
+    this.store.set(job.id, { ...job, runAt: next.getTime() });
+  }
+
+  /**
+   * Retorna estatísticas do agendador
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      jobs: this.store.keys().length,
+      started: this.started,
+      instanceId: this.instanceId,
+    };
+  }
+}
+
+module.exports = Scheduler;
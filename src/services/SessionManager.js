@@ -0,0 +1,165 @@
+const logger = require('../utils/logs/logger');
+
+/**
+ * Gerenciador de sessões de conversa (aguardando a próxima resposta de um usuário)
+ * As sessões ficam no MemoryCache, indexadas por chat e remetente
+ */
+class SessionManager {
+  constructor(cache, options = {}) {
+    if (!cache) {
+      throw new Error('SessionManager requer uma instância de MemoryCache');
+    }
+
+    this.cache = cache;
+    this.instanceId = options.instanceId || 'omnizap-instance';
+    this.defaultTimeout = options.timeout || 120000;
+    this.cancelKeywords = (options.cancelKeywords || ['cancelar', 'cancel']).map((keyword) => keyword.toLowerCase());
+
+    this.timers = new Map();
+  }
+
+  getKey(chatId, sender) {
+    return `session:${chatId}:${sender}`;
+  }
+
+  /**
+   * Inicia uma sessão aguardando a próxima mensagem do usuário no chat
+   * @param {object} params Dados da sessão
+   * @param {string} params.chatId JID do chat
+   * @param {string} params.sender JID do usuário aguardado
+   * @param {function(object): Promise} params.handler Função chamada com a resposta do usuário
+   * @param {object} [params.data] Dados livres mantidos entre as etapas
+   * @param {number} [params.timeout] Tempo máximo de espera em ms
+   * @param {function(object): Promise} [params.onTimeout] Chamado quando a sessão expira
+   * @returns {object} Sessão criada (campos adicionais são mantidos na sessão)
+   */
+  start({ chatId, sender, handler, data = {}, timeout, onTimeout, ...extra }) {
+    if (typeof handler !== 'function') {
+      throw new Error('Sessão requer um handler');
+    }
+
+    const key = this.getKey(chatId, sender);
+    const ttl = timeout || this.defaultTimeout;
+
+    this.clearTimer(key);
+
+    const session = {
+      ...extra,
+      chatId,
+      sender,
+      handler,
+      data,
+      onTimeout,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + ttl,
+    };
+
+    this.cache.set(key, session, ttl);
+    this.timers.set(
+      key,
+      setTimeout(() => this.expire(key, session), ttl),
+    );
+
+    logger.debug(`Sessão iniciada para ${sender} em ${chatId}`, {
+      label: 'SessionManager.start',
+      chatId,
+      sender,
+      timeout: ttl,
+      instanceId: this.instanceId,
+    });
+
+    return session;
+  }
+
+  /**
+   * Obtém a sessão ativa de um usuário em um chat
+   */
+  get(chatId, sender) {
+    return this.cache.get(this.getKey(chatId, sender));
+  }
+
+  has(chatId, sender) {
+    return this.cache.has(this.getKey(chatId, sender));
+  }
+
+  /**
+   * Encerra a sessão sem chamar callbacks
+   */
+  end(chatId, sender) {
+    const key = this.getKey(chatId, sender);
+    this.clearTimer(key);
+    return this.cache.delete(key);
+  }
+
+  clearTimer(key) {
+    if (this.timers.has(key)) {
+      clearTimeout(this.timers.get(key));
+      this.timers.delete(key);
+    }
+  }
+
+  /**
+   * Expira a sessão; sessões encerradas ou substituídas têm o timer cancelado antes
+   */
+  async expire(key, session) {
+    this.timers.delete(key);
+    this.cache.delete(key);
+
+    logger.debug(`Sessão expirada para ${session.sender} em ${session.chatId}`, {
+      label: 'SessionManager.expire',
+      chatId: session.chatId,
+      sender: session.sender,
+      instanceId: this.instanceId,
+    });
+
+    if (typeof session.onTimeout === 'function') {
+      try {
+        await session.onTimeout(session);
+      } catch (error) {
+        logger.error(`Erro no callback de expiração da sessão de ${session.sender}: ${error.message}`, {
+          label: 'SessionManager.expire',
+          chatId: session.chatId,
+          sender: session.sender,
+          error: error.message,
+          instanceId: this.instanceId,
+        });
+      }
+    }
+  }
+
+  /**
+   * Verifica se o texto é uma palavra de cancelamento
+   */
+  isCancelKeyword(text) {
+    return typeof text === 'string' && this.cancelKeywords.includes(text.trim().toLowerCase());
+  }
+
+  /**
+   * Consome a sessão pendente para a mensagem recebida
+   * A sessão é encerrada antes do handler; para continuar a conversa, o handler inicia uma nova etapa
+   * @returns {{session: object, cancelled: boolean}|null} Sessão consumida ou null se não houver
+   */
+  take(chatId, sender, text) {
+    const session = this.get(chatId, sender);
+    if (!session) {
+      return null;
+    }
+
+    this.end(chatId, sender);
+
+    return { session, cancelled: this.isCancelKeyword(text) };
+  }
+
+  /**
+   * Retorna estatísticas das sessões
+   */
+  getStats() {
+    return {
+      active: this.timers.size,
+      defaultTimeout: this.defaultTimeout,
+      instanceId: this.instanceId,
+    };
+  }
+}
+
+module.exports = SessionManager;
@@ -0,0 +1,220 @@
+const JsonFileStore = require('./JsonFileStore');
+const logger = require('../utils/logs/logger');
+
+const DEFAULT_SETTINGS = {
+  prefixes: null,
+  language: 'pt',
+  disabledCommands: [],
+  features: {},
+  groupMessages: {},
+  moderation: {},
+  tags: [],
+};
+
+const SUPPORTED_LANGUAGES = ['pt', 'en'];
+
+// Chave reservada para configurações que valem para o bot inteiro
+const GLOBAL_KEY = 'global';
+
+/**
+ * Configurações persistidas por chat (prefixo, idioma, comandos e recursos)
+ */
+class SettingsManager {
+  constructor(options = {}) {
+    this.instanceId = options.instanceId || 'omnizap-instance';
+    this.defaultPrefixes = options.defaultPrefixes?.length > 0 ? options.defaultPrefixes : ['/'];
+    this.defaultPrefixless = options.defaultPrefixless || false;
+    this.store = options.store || new JsonFileStore(options.filePath, { instanceId: this.instanceId });
+  }
+
+  /**
+   * Retorna as configurações efetivas de um chat, com valores padrão aplicados
+   */
+  get(chatId) {
+    const stored = this.store.get(chatId) || {};
+    // Configurações antigas guardavam um único `prefix`
+    const prefixes = stored.prefixes?.length > 0 ? [...stored.prefixes] : stored.prefix ? [stored.prefix] : [...this.defaultPrefixes];
+
+    return {
+      ...DEFAULT_SETTINGS,
+      ...stored,
+      disabledCommands: [...(stored.disabledCommands || [])],
+      features: { ...(stored.features || {}) },
+      groupMessages: { ...(stored.groupMessages || {}) },
+      moderation: { ...(stored.moderation || {}) },
+      tags: [...(stored.tags || [])],
+      prefixes,
+      prefix: prefixes[0],
+      prefixless: stored.prefixless ?? this.defaultPrefixless,
+    };
+  }
+
+  /**
+   * Aplica alterações parciais às configurações de um chat
+   */
+  update(chatId, changes) {
+    const current = this.store.get(chatId) || {};
+    const updated = { ...current, ...changes, updatedAt: Date.now() };
+
+    this.store.set(chatId, updated);
+
+    logger.info(`Configurações do chat ${chatId} atualizadas`, {
+      label: 'SettingsManager.update',
+      chatId,
+      changes: Object.keys(changes),
+      instanceId: this.instanceId,
+    });
+
+    return this.get(chatId);
+  }
+
+  /**
+   * Remove todas as configurações personalizadas de um chat
+   */
+  reset(chatId) {
+    return this.store.delete(chatId);
+  }
+
+  /**
+   * Define os prefixos do chat; o primeiro é usado como principal. Vazio restaura o padrão
+   */
+  setPrefixes(chatId, prefixes) {
+    const list = (Array.isArray(prefixes) ? prefixes : [prefixes]).filter((prefix) => typeof prefix === 'string' && prefix.length > 0);
+    return this.update(chatId, { prefixes: list.length > 0 ? [...new Set(list)] : null, prefix: undefined });
+  }
+
+  /**
+   * Ativa ou desativa comandos sem prefixo (válido apenas em conversas privadas)
+   */
+  setPrefixless(chatId, enabled) {
+    return this.update(chatId, { prefixless: Boolean(enabled) });
+  }
+
+  setLanguage(chatId, language) {
+    if (!SUPPORTED_LANGUAGES.includes(language)) {
+      throw new Error(`Idioma não suportado: ${language}`);
+    }
+    return this.update(chatId, { language });
+  }
+
+  isCommandEnabled(chatId, commandName) {
+    return !this.get(chatId).disabledCommands.includes(commandName);
+  }
+
+  setCommandEnabled(chatId, commandName, enabled) {
+    const disabled = new Set(this.get(chatId).disabledCommands);
+
+    if (enabled) {
+      disabled.delete(commandName);
+    } else {
+      disabled.add(commandName);
+    }
+
+    return this.update(chatId, { disabledCommands: [...disabled] });
+  }
+
+  /**
+   * Verifica um recurso opcional; recursos não configurados usam o valor padrão informado
+   */
+  isFeatureEnabled(chatId, feature, defaultValue = false) {
+    const value = this.get(chatId).features[feature];
+    return value === undefined ? defaultValue : Boolean(value);
+  }
+
+  setFeature(chatId, feature, enabled) {
+    const features = { ...this.get(chatId).features, [feature]: Boolean(enabled) };
+    return this.update(chatId, { features });
+  }
+
+  /**
+   * Obtém a configuração de uma mensagem automática do grupo (welcome, farewell, promote, demote)
+   * @returns {{enabled: boolean, template: string|null}} Configuração salva (template null usa o padrão)
+   */
+  getGroupMessage(chatId, type) {
+    const config = this.get(chatId).groupMessages[type] || {};
+    return { enabled: Boolean(config.enabled), template: config.template || null };
+  }
+
+  /**
+   * Altera parcialmente a configuração de uma mensagem automática do grupo
+   */
+  setGroupMessage(chatId, type, changes) {
+    const groupMessages = this.get(chatId).groupMessages;
+    groupMessages[type] = { ...groupMessages[type], ...changes };
+    return this.update(chatId, { groupMessages });
+  }
+
+  /**
+   * Obtém a configuração de moderação salva do grupo (regras, ação, limite de avisos e domínios permitidos)
+   */
+  getModeration(chatId) {
+    return this.get(chatId).moderation;
+  }
+
+  /**
+   * Altera parcialmente a configuração de moderação do grupo
+   */
+  setModeration(chatId, changes) {
+    const moderation = { ...this.getModeration(chatId), ...changes };
+    return this.update(chatId, { moderation });
+  }
+
+  /**
+   * Lista as configurações de moderação salvas
+   * @returns {Array<[string, object]>} Pares [chatId, moderação] dos chats com moderação configurada
+   */
+  listModeration() {
+    return this.store
+      .entries()
+      .filter(([chatId, settings]) => chatId !== GLOBAL_KEY && settings.moderation)
+      .map(([chatId, settings]) => [chatId, { ...settings.moderation }]);
+  }
+
+  /**
+   * Adiciona ou remove uma etiqueta do chat (usada para filtrar destinos de transmissões)
+   */
+  setTag(chatId, tag, enabled) {
+    const tags = new Set(this.get(chatId).tags);
+    const normalized = String(tag).toLowerCase();
+
+    if (enabled) {
+      tags.add(normalized);
+    } else {
+      tags.delete(normalized);
+    }
+
+    return this.update(chatId, { tags: [...tags] });
+  }
+
+  /**
+   * Lista os chats que possuem a etiqueta
+   */
+  getChatsByTag(tag) {
+    const normalized = String(tag).toLowerCase();
+    return this.store
+      .entries()
+      .filter(([chatId, settings]) => chatId !== GLOBAL_KEY && (settings.tags || []).includes(normalized))
+      .map(([chatId]) => chatId);
+  }
+
+  /**
+   * Conta quantos chats usam cada etiqueta
+   * @returns {object} Quantidade de chats indexada pela etiqueta
+   */
+  getTagCounts() {
+    const counts = {};
+    for (const [chatId, settings] of this.store.entries()) {
+      if (chatId === GLOBAL_KEY) continue;
+      for (const tag of settings.tags || []) {
+        counts[tag] = (counts[tag] || 0) + 1;
+      }
+    }
+    return counts;
+  }
+}
+
+SettingsManager.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+SettingsManager.SUPPORTED_LANGUAGES = SUPPORTED_LANGUAGES;
+SettingsManager.GLOBAL_KEY = GLOBAL_KEY;
+
+module.exports = SettingsManager;
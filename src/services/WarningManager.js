@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const JsonFileStore = require('./JsonFileStore');
+const logger = require('../utils/logs/logger');
+
+/**
+ * Gera o id de uma advertência sem repetir os das advertências ativas do participante
+ */
+function createId(warnings) {
+  let id;
+  do {
+    id = crypto.randomBytes(3).toString('hex');
+  } while (warnings.some((warning) => warning.id === id));
+  return id;
+}
+
+/**
+ * Advertências persistidas por participante em cada grupo
+ * Cada advertência guarda motivo, autor e horário; advertências mais antigas que a validade são descartadas
+ */
+class WarningManager {
+  constructor(options = {}) {
+    this.instanceId = options.instanceId || 'omnizap-instance';
+    this.expiry = options.expiry ?? 7 * 24 * 60 * 60 * 1000;
+    this.store = options.store || new JsonFileStore(options.filePath, { instanceId: this.instanceId });
+  }
+
+  isExpired(warning, now = Date.now()) {
+    return this.expiry > 0 && now - warning.timestamp > this.expiry;
+  }
+
+  /**
+   * Lê as advertências salvas do grupo, descartando as expiradas
+   * @returns {object} Advertências ativas indexadas pelo JID do participante
+   */
+  getGroup(chatId) {
+    const stored = this.store.get(chatId) || {};
+    const now = Date.now();
+    const group = {};
+    let changed = false;
+
+    for (const [user, warnings] of Object.entries(stored)) {
+      const active = warnings.filter((warning) => !this.isExpired(warning, now));
+      changed = changed || active.length !== warnings.length;
+      if (active.length > 0) {
+        group[user] = active;
+      }
+    }
+
+    if (changed) {
+      this.saveGroup(chatId, group);
+    }
+
+    return group;
+  }
+
+  saveGroup(chatId, group) {
+    if (Object.keys(group).length === 0) {
+      this.store.delete(chatId);
+      return;
+    }
+
+    this.store.set(chatId, group);
+  }
+
+  /**
+   * Lista as advertências ativas de um participante, da mais antiga para a mais recente
+   */
+  list(chatId, user) {
+    return this.getGroup(chatId)[user] || [];
+  }
+
+  /**
+   * Lista os participantes do grupo com advertências ativas
+   * @returns {{user: string, warnings: object[]}[]} Participantes ordenados pelo número de advertências
+   */
+  listGroup(chatId) {
+    return Object.entries(this.getGroup(chatId))
+      .map(([user, warnings]) => ({ user, warnings }))
+      .sort((a, b) => b.warnings.length - a.warnings.length);
+  }
+
+  /**
+   * Registra uma advertência
+   * @param {object} details Motivo, autor (JID ou 'moderation') e origem da advertência
+   * @returns {{warning: object, count: number}} Advertência criada e total de advertências ativas
+   */
+  add(chatId, user, { reason = null, issuer = null, source = 'manual' } = {}) {
+    const group = this.getGroup(chatId);
+    const warning = {
+      id: createId(group[user] || []),
+      reason,
+      issuer,
+      source,
+      timestamp: Date.now(),
+    };
+
+    group[user] = [...(group[user] || []), warning];
+    this.saveGroup(chatId, group);
+
+    logger.info(`Advertência registrada para ${user} no grupo ${chatId} (${group[user].length})`, {
+      label: 'WarningManager.add',
+      chatId,
+      user,
+      issuer,
+      source,
+      count: group[user].length,
+      instanceId: this.instanceId,
+    });
+
+    return { warning, count: group[user].length };
+  }
+
+  /**
+   * Remove uma advertência pelo id ou, sem id, a mais recente
+   * @returns {object|null} Advertência removida
+   */
+  remove(chatId, user, id = null) {
+    const group = this.getGroup(chatId);
+    const warnings = group[user] || [];
+    const index = id ? warnings.findIndex((warning) => warning.id === id) : warnings.length - 1;
+    if (index < 0) {
+      return null;
+    }
+
+    const [removed] = warnings.splice(index, 1);
+    if (warnings.length === 0) {
+      delete group[user];
+    }
+    this.saveGroup(chatId, group);
+
+    return removed;
+  }
+
+  /**
+   * Remove todas as advertências do participante no grupo
+   * @returns {number} Quantidade removida
+   */
+  clear(chatId, user) {
+    const group = this.getGroup(chatId);
+    const count = group[user]?.length || 0;
+
+    if (count > 0) {
+      delete group[user];
+      this.saveGroup(chatId, group);
+    }
+
+    return count;
+  }
+}
+
+module.exports = WarningManager;
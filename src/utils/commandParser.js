@@ -0,0 +1,165 @@
+const { getNormalizedMessage } = require('./messageNormalizer');
+
+const QUOTE_PAIRS = {
+  '"': '"',
+  "'": "'",
+  '“': '”',
+};
+
+/**
+ * Divide um texto em tokens respeitando aspas e escapes
+ * @param {string} input Texto a ser dividido
+ * @returns {string[]} Tokens encontrados
+ */
+function tokenize(input) {
+  const tokens = [];
+  if (typeof input !== 'string') {
+    return tokens;
+  }
+
+  let current = '';
+  let closingQuote = null;
+  let hasToken = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (char === '\\' && i + 1 < input.length) {
+      current += input[++i];
+      hasToken = true;
+      continue;
+    }
+
+    if (closingQuote) {
+      if (char === closingQuote) {
+        closingQuote = null;
+      } else {
+        current += char;
+      }
+      continue;
+    }
+
+    if (QUOTE_PAIRS[char] && current === '') {
+      closingQuote = QUOTE_PAIRS[char];
+      hasToken = true;
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      if (hasToken) {
+        tokens.push(current);
+        current = '';
+        hasToken = false;
+      }
+      continue;
+    }
+
+    current += char;
+    hasToken = true;
+  }
+
+  if (hasToken) {
+    tokens.push(current);
+  }
+
+  return tokens;
+}
+
+/**
+ * Converte tokens em argumentos estruturados
+ * @param {string[]} tokens Tokens após o nome do comando
+ * @param {object} message Mensagem original do Baileys
+ * @returns {object} Argumentos estruturados
+ */
+function parseArgs(tokens, message = null) {
+  const list = [];
+  const flags = {};
+  let flagsEnded = false;
+
+  for (const token of tokens) {
+    if (!flagsEnded && token === '--') {
+      flagsEnded = true;
+      continue;
+    }
+
+    if (!flagsEnded && token.startsWith('--') && token.length > 2) {
+      const separatorIndex = token.indexOf('=');
+      if (separatorIndex > 2) {
+        flags[token.substring(2, separatorIndex).toLowerCase()] = token.substring(separatorIndex + 1);
+      } else {
+        flags[token.substring(2).toLowerCase()] = true;
+      }
+      continue;
+    }
+
+    list.push(token);
+  }
+
+  const normalized = message ? getNormalizedMessage(message) : null;
+  const mentions = normalized ? [...normalized.mentions] : [];
+  const quoted = normalized?.quoted
+    ? {
+        id: normalized.quoted.id,
+        participant: normalized.quoted.sender,
+        remoteJid: normalized.quoted.chatId,
+        type: normalized.quoted.type,
+        text: normalized.quoted.text,
+        message: normalized.quoted.message,
+      }
+    : null;
+
+  return {
+    list,
+    flags,
+    mentions,
+    quoted,
+    tokens,
+  };
+}
+
+/**
+ * Separa nome do comando e argumentos a partir do texto sem prefixo
+ * @param {string} body Texto após o prefixo
+ * @param {object} message Mensagem original do Baileys
+ * @returns {{name: string, args: object}} Nome do comando e argumentos
+ */
+function parseCommand(body, message = null) {
+  const trimmed = typeof body === 'string' ? body.trim() : '';
+  const match = trimmed.match(/^(\S+)\s*([\s\S]*)$/);
+
+  if (!match) {
+    return { name: '', args: { ...parseArgs([], message), raw: '' } };
+  }
+
+  const raw = match[2].trim();
+
+  return {
+    name: match[1].toLowerCase(),
+    args: { ...parseArgs(tokenize(raw), message), raw },
+  };
+}
+
+const TRUTHY_VALUES = ['on', 'sim', 's', 'ligar', 'ligado', 'ativar', 'ativo', 'true', '1', 'yes'];
+const FALSY_VALUES = ['off', 'nao', 'não', 'n', 'desligar', 'desligado', 'desativar', 'inativo', 'false', '0', 'no'];
+
+/**
+ * Interpreta valores de liga/desliga digitados pelo usuário
+ * @param {string} value Valor informado
+ * @returns {boolean|null} true, false ou null quando não reconhecido
+ */
+function parseToggle(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value !== 'string') return null;
+
+  const normalized = value.trim().toLowerCase();
+  if (TRUTHY_VALUES.includes(normalized)) return true;
+  if (FALSY_VALUES.includes(normalized)) return false;
+  return null;
+}
+
+module.exports = {
+  tokenize,
+  parseToggle,
+  parseArgs,
+  parseCommand,
+};
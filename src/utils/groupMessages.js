@@ -0,0 +1,73 @@
+/**
+ * Tipos de mensagens automáticas de grupo e a ação do evento group-participants.update correspondente
+ */
+const GROUP_MESSAGE_TYPES = {
+  welcome: 'add',
+  farewell: 'remove',
+  promote: 'promote',
+  demote: 'demote',
+};
+
+const DEFAULT_TEMPLATES = {
+  welcome: '👋 Olá, {mencao}! Seja bem-vindo(a) ao *{grupo}*.\nAgora somos {membros} membros.',
+  farewell: '👋 {nome} saiu do grupo. Agora somos {membros} membros.',
+  promote: '⭐ {mencao} agora é administrador(a) do *{grupo}*.',
+  demote: '🔻 {mencao} não é mais administrador(a) do *{grupo}*.',
+};
+
+/**
+ * Marcadores aceitos nos modelos (em português e inglês)
+ */
+const PLACEHOLDERS = {
+  nome: 'name',
+  name: 'name',
+  mencao: 'mention',
+  mention: 'mention',
+  grupo: 'subject',
+  group: 'subject',
+  membros: 'memberCount',
+  members: 'memberCount',
+  descricao: 'description',
+  description: 'description',
+};
+
+/**
+ * Resolve o tipo de mensagem a partir da ação do evento
+ */
+function getMessageTypeForAction(action) {
+  return Object.keys(GROUP_MESSAGE_TYPES).find((type) => GROUP_MESSAGE_TYPES[type] === action) || null;
+}
+
+/**
+ * Preenche um modelo com os dados do participante e do grupo
+ * @param {string} template Modelo com marcadores {nome}, {mencao}, {grupo}, {membros} e {descricao}
+ * @param {object} params Dados disponíveis
+ * @param {string} params.participant JID do participante
+ * @param {string} [params.name] Nome conhecido do participante
+ * @param {object} [params.metadata] Metadados do grupo
+ * @returns {{text: string, mentions: string[]}} Texto final e JIDs mencionados
+ */
+function renderGroupMessage(template, { participant, name, metadata }) {
+  const number = participant.split('@')[0].split(':')[0];
+  const values = {
+    name: name || number,
+    mention: `@${number}`,
+    subject: metadata?.subject || '',
+    memberCount: metadata?.participants?.length ?? '',
+    description: metadata?.desc || metadata?.description || '',
+  };
+
+  const text = template.replace(/\{(\w+)\}/g, (match, placeholder) => {
+    const key = PLACEHOLDERS[placeholder.toLowerCase()];
+    return key ? String(values[key]) : match;
+  });
+
+  return { text, mentions: /\{(mencao|mention)\}/i.test(template) ? [participant] : [] };
+}
+
+module.exports = {
+  GROUP_MESSAGE_TYPES,
+  DEFAULT_TEMPLATES,
+  getMessageTypeForAction,
+  renderGroupMessage,
+};
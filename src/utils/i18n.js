@@ -0,0 +1,89 @@
+/**
+ * Mensagens do sistema traduzidas por idioma
+ * Chaves ausentes em um idioma usam o texto em português
+ */
+const MESSAGES = {
+  pt: {
+    'command.timeout': '⏱️ O comando {command} demorou demais para responder e foi cancelado. Tente novamente mais tarde.',
+    'command.error': '❌ Ocorreu um erro ao executar {command}. Tente novamente mais tarde.',
+    'command.denied': '🚫 Você não tem permissão para usar {command}. Este comando é restrito a {level}.',
+    'ratelimit.wait': '⏳ Calma! Aguarde {seconds} segundo(s) antes de usar comandos novamente.',
+    'maintenance.active': '🛠️ O bot está em manutenção no momento. Tente novamente mais tarde.',
+    'command.groupOnly': '👥 O comando {command} só pode ser usado em grupos.',
+    'command.botNotAdmin': '🤖 Preciso ser administrador do grupo para executar {command}.',
+    'session.timeout': '⌛ Tempo esgotado. A operação foi encerrada.',
+    'session.cancelled': '❎ Operação cancelada.',
+    'moderation.warn': '⚠️ {user}, sua mensagem foi apagada: {reason}. Aviso {count}/{max}.',
+    'moderation.kick': '🚫 {user} foi removido(a) do grupo: {reason}.',
+    'moderation.rule.inviteLinks': 'links de convite de grupos não são permitidos',
+    'moderation.rule.links': 'links não são permitidos',
+    'moderation.rule.forwarded': 'mensagens encaminhadas com frequência não são permitidas',
+    'moderation.rule.repeated': 'mensagens repetidas não são permitidas',
+    'moderation.rule.massMentions': 'menções em massa não são permitidas',
+    'moderation.flood.warn': '🌊 {user}, evite flood! Foram {count} mensagens em {seconds} segundos. A próxima vez terá consequências.',
+    'moderation.flood.mute': '🔇 Flood de {user} detectado. O grupo ficará fechado por {minutes} minuto(s).',
+    'moderation.flood.kick': '🚫 {user} foi removido(a) do grupo por flood repetido.',
+    'moderation.flood.unmute': '🔊 O grupo foi reaberto. Todos podem enviar mensagens novamente.',
+    'broadcast.started': '📣 Transmissão {id} iniciada para {total} chat(s).',
+    'broadcast.progress': '📣 Transmissão {id}: {done}/{total} enviada(s), {failed} falha(s).',
+    'broadcast.resumed': '🔄 Transmissão {id} retomada após reinício: {done}/{total} já enviada(s).',
+    'broadcast.finished': '✅ Transmissão {id} concluída: {sent}/{total} enviada(s), {failed} falha(s). O relatório de entrega chega em {minutes} minuto(s).',
+    'broadcast.report': '📊 Relatório da transmissão {id}\n📤 Enviadas: {sent}/{total}\n📬 Entregues: {delivered}\n👀 Lidas: {read}\n❌ Falhas: {failed}',
+    'permission.member': 'membros',
+    'permission.admin': 'administradores do grupo',
+    'permission.superadmin': 'o criador do grupo',
+    'permission.owner': 'o dono do bot',
+  },
+  en: {
+    'command.timeout': '⏱️ The command {command} took too long to respond and was cancelled. Please try again later.',
+    'command.error': '❌ Something went wrong while running {command}. Please try again later.',
+    'command.denied': "🚫 You don't have permission to use {command}. This command is restricted to {level}.",
+    'ratelimit.wait': '⏳ Easy! Wait {seconds} second(s) before using commands again.',
+    'maintenance.active': '🛠️ The bot is under maintenance right now. Please try again later.',
+    'command.groupOnly': '👥 The command {command} can only be used in groups.',
+    'command.botNotAdmin': '🤖 I need to be a group admin to run {command}.',
+    'session.timeout': '⌛ Time is up. The operation was closed.',
+    'session.cancelled': '❎ Operation cancelled.',
+    'moderation.warn': '⚠️ {user}, your message was deleted: {reason}. Warning {count}/{max}.',
+    'moderation.kick': '🚫 {user} was removed from the group: {reason}.',
+    'moderation.rule.inviteLinks': 'group invite links are not allowed',
+    'moderation.rule.links': 'links are not allowed',
+    'moderation.rule.forwarded': 'frequently forwarded messages are not allowed',
+    'moderation.rule.repeated': 'repeated messages are not allowed',
+    'moderation.rule.massMentions': 'mass mentions are not allowed',
+    'moderation.flood.warn': '🌊 {user}, stop flooding! That was {count} messages in {seconds} seconds. Next time there will be consequences.',
+    'moderation.flood.mute': '🔇 Flood by {user} detected. The group will be closed for {minutes} minute(s).',
+    'moderation.flood.kick': '🚫 {user} was removed from the group for repeated flooding.',
+    'moderation.flood.unmute': '🔊 The group is open again. Everyone can send messages.',
+    'broadcast.started': '📣 Broadcast {id} started for {total} chat(s).',
+    'broadcast.progress': '📣 Broadcast {id}: {done}/{total} sent, {failed} failure(s).',
+    'broadcast.resumed': '🔄 Broadcast {id} resumed after restart: {done}/{total} already sent.',
+    'broadcast.finished': '✅ Broadcast {id} finished: {sent}/{total} sent, {failed} failure(s). The delivery report arrives in {minutes} minute(s).',
+    'broadcast.report': '📊 Broadcast {id} report\n📤 Sent: {sent}/{total}\n📬 Delivered: {delivered}\n👀 Read: {read}\n❌ Failed: {failed}',
+    'permission.member': 'members',
+    'permission.admin': 'group admins',
+    'permission.superadmin': 'the group creator',
+    'permission.owner': 'the bot owner',
+  },
+};
+
+const DEFAULT_LANGUAGE = 'pt';
+
+/**
+ * Traduz uma chave substituindo os marcadores {nome} pelos parâmetros
+ * @param {string} language Código do idioma
+ * @param {string} key Chave da mensagem
+ * @param {object} params Valores dos marcadores
+ * @returns {string} Mensagem traduzida
+ */
+function translate(language, key, params = {}) {
+  const template = MESSAGES[language]?.[key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+module.exports = {
+  MESSAGES,
+  DEFAULT_LANGUAGE,
+  translate,
+};
@@ -0,0 +1,77 @@
+const { generateWAMessageFromContent } = require('baileys');
+
+/**
+ * Monta o conteúdo de uma mensagem interativa (native flow)
+ * @param {object} params Dados da mensagem
+ * @param {string} params.text Texto principal
+ * @param {string} [params.title] Título exibido no cabeçalho
+ * @param {string} [params.footer] Rodapé
+ * @param {object[]} params.buttons Botões no formato native flow ({ name, buttonParamsJson })
+ * @returns {object} Conteúdo pronto para generateWAMessageFromContent
+ */
+function buildNativeFlowContent({ text, title, footer, buttons }) {
+  return {
+    viewOnceMessage: {
+      message: {
+        messageContextInfo: {
+          deviceListMetadata: {},
+          deviceListMetadataVersion: 2,
+        },
+        interactiveMessage: {
+          body: { text },
+          footer: footer ? { text: footer } : undefined,
+          header: { title: title || '', hasMediaAttachment: false },
+          nativeFlowMessage: { buttons },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Converte botões simples ({ text, id }) em botões de resposta rápida
+ */
+function buildQuickReplyButtons(buttons) {
+  return buttons.map((button) => ({
+    name: 'quick_reply',
+    buttonParamsJson: JSON.stringify({ display_text: button.text, id: button.id }),
+  }));
+}
+
+/**
+ * Converte seções ({ title, rows: [{ title, description, id }] }) em um botão de seleção única
+ */
+function buildSingleSelectButton(buttonText, sections) {
+  return {
+    name: 'single_select',
+    buttonParamsJson: JSON.stringify({
+      title: buttonText,
+      sections: sections.map((section) => ({
+        title: section.title || '',
+        rows: section.rows.map((row) => ({
+          header: '',
+          title: row.title,
+          description: row.description || '',
+          id: row.id,
+        })),
+      })),
+    }),
+  };
+}
+
+/**
+ * Envia uma mensagem interativa usando relayMessage
+ * @returns {Promise<object>} Mensagem gerada (WebMessageInfo)
+ */
+async function sendInteractiveMessage(client, jid, content, options = {}) {
+  const message = generateWAMessageFromContent(jid, content, { userJid: client.user?.id, quoted: options.quoted });
+  await client.relayMessage(jid, message.message, { messageId: message.key.id });
+  return message;
+}
+
+module.exports = {
+  buildNativeFlowContent,
+  buildQuickReplyButtons,
+  buildSingleSelectButton,
+  sendInteractiveMessage,
+};
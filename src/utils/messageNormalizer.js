@@ -0,0 +1,284 @@
+const { getContentType } = require('baileys');
+
+/**
+ * Envelopes que apenas embrulham o conteúdo real da mensagem
+ */
+const WRAPPER_KEYS = ['ephemeralMessage', 'viewOnceMessage', 'viewOnceMessageV2', 'viewOnceMessageV2Extension', 'documentWithCaptionMessage', 'editedMessage'];
+
+const VIEW_ONCE_WRAPPERS = ['viewOnceMessage', 'viewOnceMessageV2', 'viewOnceMessageV2Extension'];
+
+const MEDIA_KINDS = {
+  imageMessage: 'image',
+  videoMessage: 'video',
+  ptvMessage: 'video',
+  audioMessage: 'audio',
+  stickerMessage: 'sticker',
+  documentMessage: 'document',
+};
+
+const POLL_CREATION_TYPES = ['pollCreationMessage', 'pollCreationMessageV2', 'pollCreationMessageV3'];
+
+const INTERACTIVE_RESPONSE_TYPES = ['buttonsResponseMessage', 'listResponseMessage', 'templateButtonReplyMessage', 'interactiveResponseMessage'];
+
+const PROTOCOL_REVOKE = 0;
+const PROTOCOL_MESSAGE_EDIT = 14;
+
+/**
+ * Converte números do protobuf (Long, string ou number) em number
+ */
+function toNumber(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return value;
+  if (typeof value.toNumber === 'function') return value.toNumber();
+  if (typeof value.low === 'number') return value.low;
+
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Remove os envelopes (efêmera, visualização única, edição, documento com legenda) mantendo quais foram encontrados
+ * @param {object} content Conteúdo da mensagem (message.message)
+ * @returns {{content: object|null, wrappers: string[]}} Conteúdo interno e envelopes removidos
+ */
+function unwrapContent(content) {
+  const wrappers = [];
+  let current = content || null;
+
+  for (let depth = 0; depth < 5 && current; depth++) {
+    const wrapper = WRAPPER_KEYS.find((key) => current[key]?.message);
+    if (!wrapper) break;
+
+    wrappers.push(wrapper);
+    current = current[wrapper].message;
+  }
+
+  return { content: current, wrappers };
+}
+
+/**
+ * Extrai o id escolhido em respostas de botões, listas e native flow
+ * @param {object} content Conteúdo já desembrulhado
+ * @returns {string|null} Id selecionado
+ */
+function extractInteractiveResponseId(content) {
+  const direct = content?.buttonsResponseMessage?.selectedButtonId || content?.listResponseMessage?.singleSelectReply?.selectedRowId || content?.templateButtonReplyMessage?.selectedId;
+  if (typeof direct === 'string' && direct.length > 0) {
+    return direct;
+  }
+
+  const paramsJson = content?.interactiveResponseMessage?.nativeFlowResponseMessage?.paramsJson;
+  if (typeof paramsJson !== 'string' || paramsJson.length === 0) {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(paramsJson);
+    return parsed?.id !== undefined && parsed?.id !== null ? String(parsed.id) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Extrai os números (waid) de um vCard
+ */
+function extractVcardNumbers(vcard) {
+  if (typeof vcard !== 'string') return [];
+  return [...vcard.matchAll(/waid=(\d+)/g)].map((match) => match[1]);
+}
+
+function normalizeContact(contact) {
+  return {
+    name: contact?.displayName || '',
+    vcard: contact?.vcard || '',
+    numbers: extractVcardNumbers(contact?.vcard),
+  };
+}
+
+function normalizeMedia(kind, media, viewOnce) {
+  return {
+    kind,
+    mimetype: media.mimetype || null,
+    fileLength: toNumber(media.fileLength),
+    fileName: media.fileName || null,
+    fileSha256: media.fileSha256 ? Buffer.from(media.fileSha256).toString('hex') : null,
+    seconds: media.seconds || null,
+    width: media.width || null,
+    height: media.height || null,
+    ptt: media.ptt || false,
+    animated: media.isAnimated || media.gifPlayback || false,
+    viewOnce: viewOnce || media.viewOnce || false,
+  };
+}
+
+/**
+ * Normaliza o conteúdo de uma mensagem (sem dados da chave)
+ * @param {object} rawContent Conteúdo da mensagem (message.message ou quotedMessage)
+ * @param {object} [options] Opções
+ * @param {string} [options.chatId] Chat usado como padrão para a mensagem citada
+ * @param {boolean} [options.includeQuoted] Normaliza também a mensagem citada (padrão true)
+ * @returns {object} Conteúdo normalizado
+ */
+function normalizeContent(rawContent, { chatId = null, includeQuoted = true } = {}) {
+  const { content, wrappers } = unwrapContent(rawContent);
+  const contentType = content ? getContentType(content) || null : null;
+  const body = contentType ? content[contentType] : null;
+  const contextInfo = body && typeof body === 'object' ? body.contextInfo || null : null;
+  const isViewOnce = wrappers.some((wrapper) => VIEW_ONCE_WRAPPERS.includes(wrapper));
+
+  const normalized = {
+    type: 'unknown',
+    contentType,
+    text: '',
+    media: null,
+    location: null,
+    contacts: null,
+    poll: null,
+    pollVote: null,
+    reaction: null,
+    interactive: null,
+    edit: null,
+    revoke: null,
+    quoted: null,
+    mentions: Array.isArray(contextInfo?.mentionedJid) ? [...contextInfo.mentionedJid] : [],
+    isForwarded: Boolean(contextInfo?.isForwarded),
+    forwardingScore: contextInfo?.forwardingScore || 0,
+    isViewOnce,
+    isEphemeral: wrappers.includes('ephemeralMessage') || (contextInfo?.expiration || 0) > 0,
+    ephemeralDuration: contextInfo?.expiration || 0,
+    wrappers,
+  };
+
+  if (!contentType) {
+    return normalized;
+  }
+
+  if (contentType === 'conversation') {
+    normalized.type = 'text';
+    normalized.text = body || '';
+  } else if (contentType === 'extendedTextMessage') {
+    normalized.type = 'text';
+    normalized.text = body.text || '';
+  } else if (MEDIA_KINDS[contentType]) {
+    normalized.type = MEDIA_KINDS[contentType];
+    normalized.text = body.caption || '';
+    normalized.media = normalizeMedia(MEDIA_KINDS[contentType], body, isViewOnce);
+  } else if (contentType === 'buttonsMessage') {
+    // Mensagens com botões trazem o texto na legenda da imagem de cabeçalho
+    normalized.type = 'text';
+    normalized.text = body.imageMessage?.caption || '';
+  } else if (contentType === 'locationMessage' || contentType === 'liveLocationMessage') {
+    normalized.type = 'location';
+    normalized.text = body.comment || body.caption || '';
+    normalized.location = {
+      latitude: body.degreesLatitude,
+      longitude: body.degreesLongitude,
+      name: body.name || null,
+      address: body.address || null,
+      url: body.url || null,
+      live: contentType === 'liveLocationMessage',
+    };
+  } else if (contentType === 'contactMessage') {
+    normalized.type = 'contact';
+    normalized.contacts = [normalizeContact(body)];
+  } else if (contentType === 'contactsArrayMessage') {
+    normalized.type = 'contact';
+    normalized.contacts = (body.contacts || []).map(normalizeContact);
+  } else if (POLL_CREATION_TYPES.includes(contentType)) {
+    normalized.type = 'poll';
+    normalized.text = body.name || '';
+    normalized.poll = {
+      name: body.name || '',
+      options: (body.options || []).map((option) => option.optionName),
+      selectableCount: body.selectableOptionsCount || 0,
+    };
+  } else if (contentType === 'pollUpdateMessage') {
+    normalized.type = 'pollVote';
+    normalized.pollVote = {
+      pollKey: body.pollCreationMessageKey || null,
+      vote: body.vote || null,
+      senderTimestamp: toNumber(body.senderTimestampMs),
+    };
+  } else if (contentType === 'reactionMessage') {
+    normalized.type = 'reaction';
+    normalized.reaction = {
+      text: body.text || '',
+      targetKey: body.key || null,
+      removed: !body.text,
+    };
+  } else if (INTERACTIVE_RESPONSE_TYPES.includes(contentType)) {
+    const id = extractInteractiveResponseId(content);
+    normalized.type = 'interactiveResponse';
+    normalized.text = id || '';
+    normalized.interactive = {
+      id,
+      title: body.selectedDisplayText || body.title || body.body?.text || '',
+    };
+  } else if (contentType === 'protocolMessage') {
+    const protocolType = body.type;
+    if (protocolType === PROTOCOL_REVOKE || protocolType === 'REVOKE') {
+      normalized.type = 'revoke';
+      normalized.revoke = { targetKey: body.key || null };
+    } else if ((protocolType === PROTOCOL_MESSAGE_EDIT || protocolType === 'MESSAGE_EDIT') && body.editedMessage) {
+      const edited = normalizeContent(body.editedMessage, { chatId, includeQuoted: false });
+      normalized.type = 'edit';
+      normalized.text = edited.text;
+      normalized.mentions = edited.mentions;
+      normalized.edit = { targetKey: body.key || null, content: edited };
+    } else {
+      normalized.type = 'protocol';
+    }
+  }
+
+  if (includeQuoted && contextInfo?.quotedMessage) {
+    normalized.quoted = {
+      id: contextInfo.stanzaId || null,
+      sender: contextInfo.participant || null,
+      chatId: contextInfo.remoteJid || chatId,
+      message: contextInfo.quotedMessage,
+      ...normalizeContent(contextInfo.quotedMessage, { chatId, includeQuoted: false }),
+    };
+  }
+
+  return normalized;
+}
+
+/**
+ * Converte uma mensagem do Baileys (messages.upsert) em um objeto com campos padronizados
+ * `sender` é o autor efetivo (participante em grupos, o próprio chat em conversas privadas)
+ * @param {object} message Mensagem do Baileys
+ * @returns {object} Mensagem normalizada
+ */
+function normalizeMessage(message) {
+  const key = message?.key || {};
+  const chatId = key.remoteJid || null;
+
+  return {
+    id: key.id || null,
+    chatId,
+    sender: key.participant || chatId,
+    participant: key.participant || null,
+    fromMe: Boolean(key.fromMe),
+    isGroup: typeof chatId === 'string' && chatId.endsWith('@g.us'),
+    isStatus: chatId === 'status@broadcast',
+    pushName: message?.pushName || null,
+    timestamp: toNumber(message?.messageTimestamp),
+    ...normalizeContent(message?.message, { chatId }),
+  };
+}
+
+/**
+ * Retorna a versão normalizada já anexada à mensagem ou normaliza na hora
+ */
+function getNormalizedMessage(message) {
+  return message?.normalized || normalizeMessage(message);
+}
+
+module.exports = {
+  unwrapContent,
+  extractInteractiveResponseId,
+  normalizeContent,
+  normalizeMessage,
+  getNormalizedMessage,
+};
@@ -0,0 +1,259 @@
+/**
+ * Interpretação de horários para agendamentos: expressões cron de 5 campos e horários em linguagem simples
+ * Todos os cálculos usam o fuso horário local do processo (variável TZ)
+ */
+
+const CRON_FIELDS = [
+  { name: 'minuto', min: 0, max: 59 },
+  { name: 'hora', min: 0, max: 23 },
+  { name: 'dia', min: 1, max: 31 },
+  { name: 'mês', min: 1, max: 12 },
+  { name: 'dia da semana', min: 0, max: 7 },
+];
+
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+};
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const DEFAULT_TIME = { hours: 9, minutes: 0 };
+
+function parseCronField(value, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of value.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Campo ${name} inválido: ${part}`);
+    }
+
+    const start = match[1] === '*' ? min : Number(match[2]);
+    const end = match[1] === '*' ? max : match[3] !== undefined ? Number(match[3]) : match[4] ? max : start;
+    const step = match[4] ? Number(match[4]) : 1;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Campo ${name} fora do intervalo ${min}-${max}: ${part}`);
+    }
+
+    for (let current = start; current <= end; current += step) {
+      values.add(current);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Interpreta uma expressão cron (minuto hora dia mês dia-da-semana)
+ * Aceita *, listas (1,15), intervalos (1-5), passos (*\/10) e os atalhos @hourly, @daily, @weekly, @monthly e @yearly
+ * @param {string} expression Expressão cron
+ * @returns {object} Campos interpretados
+ * @throws {Error} Se a expressão for inválida
+ */
+function parseCron(expression) {
+  const source = CRON_ALIASES[String(expression).trim().toLowerCase()] || String(expression).trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('A expressão cron deve ter 5 campos: minuto hora dia mês dia-da-semana');
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+  if (weekdays.delete(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    dayRestricted: parts[2] !== '*',
+    weekdayRestricted: parts[4] !== '*',
+  };
+}
+
+function matchesDay(cron, date) {
+  const dayMatch = cron.days.has(date.getDate());
+  const weekdayMatch = cron.weekdays.has(date.getDay());
+
+  // Como no cron tradicional, dia do mês e dia da semana restritos ao mesmo tempo valem como "ou"
+  if (cron.dayRestricted && cron.weekdayRestricted) {
+    return dayMatch || weekdayMatch;
+  }
+  return dayMatch && weekdayMatch;
+}
+
+/**
+ * Calcula a próxima execução de uma expressão cron após uma data
+ * @param {string|object} expression Expressão cron ou resultado de parseCron
+ * @param {Date|number} [after] Data de referência (a execução é estritamente posterior)
+ * @returns {Date|null} Próxima execução ou null se não houver nos próximos 5 anos
+ */
+function getNextCronRun(expression, after = Date.now()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = date.getTime() + 5 * 366 * DAY;
+
+  while (date.getTime() < limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Calcula o menor intervalo possível entre duas execuções consecutivas de uma expressão cron
+ * Considera todos os horários do dia e a virada para o dia seguinte, independentemente do dia, mês e dia da semana
+ * @param {string|object} expression Expressão cron ou resultado de parseCron
+ * @returns {number} Menor intervalo em ms
+ */
+function getMinCronInterval(expression) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const sorted = (values) => [...values].sort((a, b) => a - b);
+  const times = sorted(cron.hours).flatMap((hour) => sorted(cron.minutes).map((minute) => hour * 60 + minute));
+
+  const gaps = times.slice(1).map((time, index) => time - times[index]);
+  gaps.push(times[0] + 24 * 60 - times[times.length - 1]);
+
+  return Math.min(...gaps) * MINUTE;
+}
+
+/**
+ * Interpreta durações como 10m, 2h, 1d ou 1h30m
+ * @returns {number|null} Duração em ms
+ */
+function parseDuration(value) {
+  const match = String(value)
+    .toLowerCase()
+    .match(/^(?:(\d+)d)?(?:(\d+)h)?(?:(\d+)(?:m|min))?$/);
+  if (!match || (!match[1] && !match[2] && !match[3])) {
+    return null;
+  }
+
+  return (Number(match[1] || 0) * 24 * 60 + Number(match[2] || 0) * 60 + Number(match[3] || 0)) * MINUTE;
+}
+
+function parseTime(value) {
+  const match = String(value || '').match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  return hours <= 23 && minutes <= 59 ? { hours, minutes } : null;
+}
+
+function atTime(date, { hours, minutes }) {
+  const result = new Date(date);
+  result.setHours(hours, minutes, 0, 0);
+  return result;
+}
+
+/**
+ * Interpreta quando um agendamento deve ocorrer a partir dos primeiros tokens do texto
+ *
+ * Formatos aceitos:
+ * - Duração: `10m`, `2h`, `1d`, `1h30m`
+ * - Horário: `14:30` (hoje, ou amanhã se já passou)
+ * - `amanha [14:30]` e data `25/12[/2026] [14:30]` (sem horário, às 09:00)
+ * - Recorrente: `diario 08:00` ou `cron "0 9 * * 1"`
+ *
+ * @param {string[]} tokens Argumentos do comando
+ * @param {Date|number} [now] Data de referência
+ * @returns {{runAt: number, cron: string|null, consumed: number}|null} Primeira execução, expressão cron (recorrente) e tokens usados
+ * @throws {Error} Se a expressão cron for inválida
+ */
+function parseWhen(tokens, now = Date.now()) {
+  const [first = '', second] = tokens;
+  const keyword = first
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+  const reference = new Date(now);
+
+  if (keyword === 'cron' && second) {
+    const next = getNextCronRun(second, now);
+    return next ? { runAt: next.getTime(), cron: second, consumed: 2 } : null;
+  }
+
+  if (['diario', 'diariamente', 'daily'].includes(keyword)) {
+    const time = parseTime(second);
+    if (!time) return null;
+    const cron = `${time.minutes} ${time.hours} * * *`;
+    return { runAt: getNextCronRun(cron, now).getTime(), cron, consumed: 2 };
+  }
+
+  const duration = parseDuration(first);
+  if (duration) {
+    return { runAt: reference.getTime() + duration, cron: null, consumed: 1 };
+  }
+
+  const time = parseTime(first);
+  if (time) {
+    let runAt = atTime(reference, time);
+    if (runAt.getTime() <= reference.getTime()) {
+      runAt = new Date(runAt.getTime() + DAY);
+    }
+    return { runAt: runAt.getTime(), cron: null, consumed: 1 };
+  }
+
+  if (['amanha', 'tomorrow'].includes(keyword)) {
+    const secondTime = parseTime(second);
+    const tomorrow = new Date(reference.getTime() + DAY);
+    return { runAt: atTime(tomorrow, secondTime || DEFAULT_TIME).getTime(), cron: null, consumed: secondTime ? 2 : 1 };
+  }
+
+  const dateMatch = first.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?$/);
+  if (dateMatch) {
+    const secondTime = parseTime(second);
+    const year = dateMatch[3] ? Number(dateMatch[3].length === 2 ? `20${dateMatch[3]}` : dateMatch[3]) : reference.getFullYear();
+    const date = new Date(year, Number(dateMatch[2]) - 1, Number(dateMatch[1]));
+    if (date.getDate() !== Number(dateMatch[1])) return null;
+
+    let runAt = atTime(date, secondTime || DEFAULT_TIME);
+    if (!dateMatch[3] && runAt.getTime() <= reference.getTime()) {
+      runAt.setFullYear(runAt.getFullYear() + 1);
+    }
+    return { runAt: runAt.getTime(), cron: null, consumed: secondTime ? 2 : 1 };
+  }
+
+  return null;
+}
+
+/**
+ * Formata uma data para exibição (dd/mm/aaaa hh:mm)
+ */
+function formatDateTime(timestamp) {
+  return new Date(timestamp).toLocaleString('pt-BR', { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+module.exports = {
+  parseCron,
+  getNextCronRun,
+  getMinCronInterval,
+  parseDuration,
+  parseWhen,
+  formatDateTime,
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fsPromises = require('fs').promises;
+const { spawn } = require('child_process');
+const webp = require('node-webpmux');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const STICKER_SIZE = 512;
+
+/**
+ * Filtros de redimensionamento para 512x512
+ * crop: preenche o quadro cortando as sobras; fit: mantém a imagem inteira com fundo transparente
+ */
+const SCALE_FILTERS = {
+  crop: `scale=${STICKER_SIZE}:${STICKER_SIZE}:force_original_aspect_ratio=increase,crop=${STICKER_SIZE}:${STICKER_SIZE}`,
+  fit: `scale=${STICKER_SIZE}:${STICKER_SIZE}:force_original_aspect_ratio=decrease,format=rgba,pad=${STICKER_SIZE}:${STICKER_SIZE}:(ow-iw)/2:(oh-ih)/2:color=0x00000000`,
+};
+
+/**
+ * Executa o ffmpeg e rejeita com as últimas linhas do stderr em caso de falha
+ * @param {string[]} args Argumentos do ffmpeg
+ * @param {object} [options] Opções
+ * @param {AbortSignal} [options.signal] Interrompe o processo quando abortado
+ */
+function runFfmpeg(args, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(FFMPEG_PATH, ['-hide_banner', '-loglevel', 'error', '-y', ...args], { signal, stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+
+    child.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk.toString()).slice(-2000);
+    });
+    child.on('error', (error) => reject(error.code === 'ENOENT' ? new Error(`ffmpeg não encontrado (${FFMPEG_PATH})`) : error));
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`ffmpeg terminou com código ${code}: ${stderr.trim().split('\n').slice(-3).join(' ')}`));
+      }
+    });
+  });
+}
+
+function createTempPath(extension) {
+  return path.join(os.tmpdir(), `omnizap-${crypto.randomBytes(8).toString('hex')}${extension}`);
+}
+
+/**
+ * Converte um arquivo com o ffmpeg para um arquivo temporário e retorna o conteúdo gerado
+ */
+async function convertToBuffer(args, extension, options) {
+  const outputPath = createTempPath(extension);
+
+  try {
+    await runFfmpeg([...args, outputPath], options);
+    return await fsPromises.readFile(outputPath);
+  } finally {
+    await fsPromises.unlink(outputPath).catch(() => {});
+  }
+}
+
+/**
+ * Converte uma imagem em figurinha WebP estática de 512x512
+ * @param {string} inputPath Caminho da imagem
+ * @param {object} [options] Opções
+ * @param {string} [options.mode] 'fit' (padrão) ou 'crop'
+ * @param {AbortSignal} [options.signal] Sinal de cancelamento
+ * @returns {Promise<Buffer>} WebP gerado
+ */
+function imageToSticker(inputPath, { mode = 'fit', signal } = {}) {
+  return convertToBuffer(['-i', inputPath, '-vf', SCALE_FILTERS[mode] || SCALE_FILTERS.fit, '-frames:v', '1', '-vcodec', 'libwebp', '-lossless', '0', '-q:v', '80'], '.webp', { signal });
+}
+
+/**
+ * Converte um vídeo em figurinha WebP animada, reduzindo a qualidade até caber no limite de tamanho
+ * @param {string} inputPath Caminho do vídeo
+ * @param {object} [options] Opções
+ * @param {string} [options.mode] 'fit' (padrão) ou 'crop'
+ * @param {number} [options.maxDuration] Duração máxima em segundos
+ * @param {number} [options.maxSize] Tamanho máximo do WebP em bytes
+ * @param {AbortSignal} [options.signal] Sinal de cancelamento
+ * @returns {Promise<Buffer>} WebP animado gerado
+ */
+async function videoToSticker(inputPath, { mode = 'fit', maxDuration = 10, maxSize = 1024 * 1024, signal } = {}) {
+  let output = null;
+
+  for (const [quality, fps] of [
+    [60, 15],
+    [40, 12],
+    [20, 10],
+  ]) {
+    output = await convertToBuffer(['-i', inputPath, '-t', String(maxDuration), '-vf', `fps=${fps},${SCALE_FILTERS[mode] || SCALE_FILTERS.fit}`, '-an', '-loop', '0', '-vsync', '0', '-vcodec', 'libwebp', '-lossless', '0', '-preset', 'default', '-q:v', String(quality)], '.webp', { signal });
+
+    if (output.length <= maxSize) {
+      return output;
+    }
+  }
+
+  throw new Error(`Figurinha animada excede ${Math.round(maxSize / 1024)} KB mesmo na menor qualidade`);
+}
+
+/**
+ * Grava nome do pacote e autor nos metadados EXIF da figurinha
+ * @param {Buffer} sticker WebP da figurinha
+ * @param {object} metadata Metadados
+ * @param {string} metadata.packName Nome do pacote
+ * @param {string} metadata.author Autor do pacote
+ * @param {string[]} [metadata.emojis] Emojis associados
+ * @returns {Promise<Buffer>} WebP com os metadados
+ */
+async function addStickerMetadata(sticker, { packName, author, emojis = [] }) {
+  const image = new webp.Image();
+  const json = Buffer.from(
+    JSON.stringify({
+      'sticker-pack-id': crypto.randomBytes(16).toString('hex'),
+      'sticker-pack-name': packName,
+      'sticker-pack-publisher': author,
+      emojis,
+    }),
+    'utf-8',
+  );
+  const header = Buffer.from([0x49, 0x49, 0x2a, 0x00, 0x08, 0x00, 0x00, 0x00, 0x01, 0x00, 0x41, 0x57, 0x07, 0x00, 0x00, 0x00, 0x00, 0x00, 0x16, 0x00, 0x00, 0x00]);
+  const exif = Buffer.concat([header, json]);
+  exif.writeUIntLE(json.length, 14, 4);
+
+  await image.load(sticker);
+  image.exif = exif;
+
+  return image.save(null);
+}
+
+/**
+ * Converte uma figurinha em imagem PNG (figurinhas animadas usam o primeiro quadro)
+ * @param {string} inputPath Caminho do WebP
+ * @param {object} [options] Opções
+ * @param {AbortSignal} [options.signal] Sinal de cancelamento
+ * @returns {Promise<Buffer>} PNG gerado
+ */
+async function stickerToImage(inputPath, { signal } = {}) {
+  const image = new webp.Image();
+  await image.load(inputPath);
+
+  if (!image.hasAnim) {
+    return convertToBuffer(['-i', inputPath, '-frames:v', '1'], '.png', { signal });
+  }
+
+  const [firstFrame] = await image.demux({ frame: 0, buffers: true });
+  const framePath = createTempPath('.webp');
+
+  try {
+    await fsPromises.writeFile(framePath, firstFrame);
+    return await convertToBuffer(['-i', framePath, '-frames:v', '1'], '.png', { signal });
+  } finally {
+    await fsPromises.unlink(framePath).catch(() => {});
+  }
+}
+
+module.exports = {
+  runFfmpeg,
+  imageToSticker,
+  videoToSticker,
+  addStickerMetadata,
+  stickerToImage,
+};
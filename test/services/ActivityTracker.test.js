@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MemoryCache = require('../../src/services/MemoryCache');
+const ActivityTracker = require('../../src/services/ActivityTracker');
+
+const GROUP = 'grupo@g.us';
+// Quarta-feira, 07/01/2026 15:00 no fuso do processo
+const NOW = new Date(2026, 0, 7, 15, 0).getTime();
+const DAY = 24 * 60 * 60 * 1000;
+
+function createTracker(t, options = {}) {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: NOW });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'omnizap-activity-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const cache = new MemoryCache();
+  const tracker = new ActivityTracker({ cache, filePath: path.join(dir, 'activity.json'), ...options });
+  t.after(() => {
+    cache.clear();
+    tracker.store.flush();
+  });
+  return tracker;
+}
+
+let nextId = 0;
+function message({ sender = 'a@s.whatsapp.net', type = 'text', at = NOW, chatId = GROUP, ...extra } = {}) {
+  return { id: `msg${nextId++}`, chatId, sender, type, isGroup: true, fromMe: false, timestamp: Math.floor(at / 1000), ...extra };
+}
+
+test('conta mensagens por participante, tipo, hora e dia, sem repetir a mesma mensagem', (t) => {
+  const tracker = createTracker(t);
+  const repeated = message();
+
+  assert.equal(tracker.record(repeated), true);
+  assert.equal(tracker.record(repeated), false);
+  tracker.record(message({ type: 'image' }));
+  tracker.record(message({ sender: 'b@s.whatsapp.net', at: NOW - DAY }));
+
+  const report = tracker.getReport(GROUP);
+  assert.equal(report.total, 3);
+  assert.equal(report.activeDays, 2);
+  assert.deepEqual(report.members, [
+    { jid: 'a@s.whatsapp.net', count: 2 },
+    { jid: 'b@s.whatsapp.net', count: 1 },
+  ]);
+  assert.deepEqual(report.types, [
+    { type: 'text', count: 2 },
+    { type: 'image', count: 1 },
+  ]);
+  assert.equal(report.hours[15], 3);
+  assert.equal(report.weekdays[3], 2);
+  assert.equal(report.weekdays[2], 1);
+});
+
+test('ignora mensagens privadas, do próprio bot e tipos que não são atividade', (t) => {
+  const tracker = createTracker(t);
+
+  for (const type of ActivityTracker.IGNORED_TYPES) {
+    assert.equal(tracker.record(message({ type })), false);
+  }
+  assert.equal(tracker.record(message({ isGroup: false })), false);
+  assert.equal(tracker.record(message({ fromMe: true })), false);
+  assert.equal(tracker.getReport(GROUP).total, 0);
+});
+
+test('limita o relatório ao período e descarta dias além da retenção', (t) => {
+  const tracker = createTracker(t, { retentionDays: 5 });
+
+  assert.equal(tracker.record(message({ at: NOW - 10 * DAY })), false);
+  tracker.record(message({ at: NOW - 3 * DAY }));
+  tracker.record(message());
+
+  assert.equal(tracker.getReport(GROUP, { days: 1 }).total, 1);
+  assert.equal(tracker.getReport(GROUP, { days: 30 }).days, 5);
+  assert.equal(tracker.getReport(GROUP, { days: 30 }).total, 2);
+  assert.equal(tracker.getReport(GROUP).firstDay, ActivityTracker.dayKey(NOW - 3 * DAY));
+});
+
+test('usa as mensagens em memória quando têm mais dados que o disco no dia', (t) => {
+  const tracker = createTracker(t);
+  tracker.record(message());
+
+  const stored = [message(), message(), message({ sender: 'b@s.whatsapp.net' })].map((normalized) => ({ normalized }));
+  const report = tracker.getReport(GROUP, { messages: stored });
+
+  assert.equal(report.source, 'memory');
+  assert.equal(report.total, 3);
+  assert.equal(tracker.getReport(GROUP, { messages: stored.slice(0, 1) }).source, 'store');
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MemoryCache = require('../../src/services/MemoryCache');
+const AutoResponder = require('../../src/services/AutoResponder');
+
+const CHAT = 'grupo@g.us';
+
+function createResponder(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'omnizap-autoresponder-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const cache = new MemoryCache();
+  const responder = new AutoResponder({ cache, filePath: path.join(dir, 'auto-responses.json'), cooldown: 1000, ...options });
+  t.after(() => {
+    cache.clear();
+    responder.store.flush();
+  });
+  return responder;
+}
+
+const add = (responder, trigger, match, scope = CHAT) => responder.add(scope, { trigger, match, response: { text: trigger } });
+
+test('compara sem diferenciar maiúsculas, acentos e espaços', (t) => {
+  const responder = createResponder(t);
+  const exact = add(responder, 'Horário', 'exact');
+  const contains = add(responder, 'pix', 'contains');
+
+  assert.equal(responder.find(CHAT, '  HORARIO ').id, exact.id);
+  assert.equal(responder.find(CHAT, 'qual o horário de hoje?'), null);
+  assert.equal(responder.find(CHAT, 'Qual a chave PIX?').id, contains.id);
+});
+
+test('usa expressões regulares e prioriza as regras do chat sobre as globais', (t) => {
+  const responder = createResponder(t);
+  const global = add(responder, 'regras', 'exact', 'global');
+  const regex = add(responder, '^regras?$', 'regex');
+
+  assert.equal(responder.find(CHAT, 'Regras').id, regex.id);
+  assert.equal(responder.find('outro@g.us', 'regras').id, global.id);
+  assert.equal(responder.find('outro@g.us', 'regras', { includeGlobal: false }), null);
+});
+
+test('respeita o cooldown de cada regra no chat', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+  const responder = createResponder(t);
+  add(responder, 'oi', 'exact');
+
+  assert.ok(responder.find(CHAT, 'oi'));
+  assert.equal(responder.find(CHAT, 'oi'), null);
+
+  t.mock.timers.tick(1000);
+  assert.ok(responder.find(CHAT, 'oi'));
+});
+
+test('recusa expressões com quantificadores aninhados, alternativas repetidas ou referências a grupos', (t) => {
+  const responder = createResponder(t);
+
+  for (const pattern of ['(a+)+$', '(\\w*)*x', '((ab)+c)*', '(a{2,})+', '(a)\\1', '(?<x>a)\\k<x>', '(a|a)*x', '(a|ab)*c', '((a|b)c)+']) {
+    assert.throws(() => add(responder, pattern, 'regex'), /não permitida/, pattern);
+  }
+  for (const pattern of ['^regras?$', '(bom dia|boa tarde)!*', '[(+]+', '\\(a+\\)+', 'pre(ç|c)o', '(sim|não)?']) {
+    assert.equal(AutoResponder.findUnsafeConstruct(pattern), null, pattern);
+  }
+  assert.throws(() => add(responder, '(abc', 'regex'), SyntaxError);
+});
+
+test('ignora regras perigosas salvas antes da validação e limita o texto testado', (t) => {
+  const responder = createResponder(t, { maxRegexTextLength: 10 });
+  responder.store.set(CHAT, [{ id: 'abc123', trigger: '(a+)+$', match: 'regex', response: { text: 'x' } }]);
+  assert.equal(responder.find(CHAT, `${'a'.repeat(40)}!`), null);
+
+  add(responder, 'fim$', 'regex');
+  assert.equal(responder.find(CHAT, 'curto fim')?.trigger, 'fim$');
+  assert.equal(responder.find(CHAT, 'uma mensagem longa no fim'), null);
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BroadcastManager = require('../../src/services/BroadcastManager');
+
+const OWNER = 'dono@s.whatsapp.net';
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+function createClient({ failFor = [] } = {}) {
+  const sent = [];
+  let next = 0;
+  return {
+    sent,
+    sendMessage: async (chatId, content) => {
+      if (failFor.includes(chatId)) throw new Error('not-acceptable');
+      sent.push({ chatId, text: content.text });
+      return { key: { id: `msg${next++}` } };
+    },
+  };
+}
+
+function createManager(t, { filePath, client = createClient(), ...options } = {}) {
+  if (!filePath) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'omnizap-broadcast-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    filePath = path.join(dir, 'broadcasts.json');
+  }
+
+  const manager = new BroadcastManager({
+    settingsManager: { get: () => ({ language: 'pt' }) },
+    filePath,
+    getClient: () => client,
+    delay: 1000,
+    jitter: 0,
+    reportDelay: 60000,
+    ...options,
+  });
+  t.after(() => manager.stop());
+  return { manager, client, filePath };
+}
+
+async function advance(t, ms) {
+  t.mock.timers.tick(ms);
+  await settle();
+}
+
+const targetsOf = (client) => client.sent.filter(({ chatId }) => chatId !== OWNER).map(({ chatId }) => chatId);
+
+test('envia um destino por vez, com pausa entre os envios, e conclui a transmissão', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+  const { manager, client } = createManager(t);
+  manager.start();
+
+  const job = manager.enqueue({ targets: ['a', 'b', 'a', 'c'], content: { text: 'oi' }, reportTo: OWNER });
+  assert.deepEqual(job.targets, ['a', 'b', 'c']);
+
+  await advance(t, 0);
+  assert.deepEqual(targetsOf(client), ['a']);
+  await advance(t, 999);
+  assert.deepEqual(targetsOf(client), ['a']);
+  await advance(t, 1);
+  await advance(t, 1000);
+
+  assert.deepEqual(targetsOf(client), ['a', 'b', 'c']);
+  assert.equal(manager.get(job.id).status, 'completed');
+  assert.deepEqual(manager.getReport(manager.get(job.id)), { id: job.id, status: 'completed', total: 3, done: 3, sent: 3, delivered: 0, read: 0, failed: 0 });
+});
+
+test('registra falhas de envio e recibos de entrega e leitura', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+  const { manager } = createManager(t, { client: createClient({ failFor: ['b'] }), delay: 0 });
+  manager.start();
+
+  const job = manager.enqueue({ targets: ['a', 'b', 'c'], content: { text: 'oi' } });
+  for (let step = 0; step < 3; step++) {
+    await advance(t, 0);
+  }
+
+  const [first, , third] = ['a', 'b', 'c'].map((chatId) => manager.get(job.id).results[chatId]);
+  assert.equal(manager.handleMessageUpdate({ key: { id: first.messageId }, update: { status: 3 } }), true);
+  assert.equal(manager.handleReceipt({ key: { id: third.messageId }, status: 'read' }), true);
+  // Um recibo de entrega depois da leitura não rebaixa o status
+  manager.handleMessageUpdate({ key: { id: third.messageId }, update: { status: 3 } });
+  assert.equal(manager.handleMessageUpdate({ key: { id: 'desconhecida' }, update: { status: 4 } }), false);
+
+  assert.deepEqual(manager.getReport(manager.get(job.id)), { id: job.id, status: 'completed', total: 3, done: 3, sent: 2, delivered: 2, read: 1, failed: 1 });
+});
+
+test('aguarda a conexão e retoma do ponto onde parou após reinício', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+  let ready = false;
+  const first = createManager(t, { isReady: () => ready, retryDelay: 5000 });
+  first.manager.start();
+
+  const job = first.manager.enqueue({ targets: ['a', 'b', 'c'], content: { text: 'oi' } });
+  await advance(t, 0);
+  assert.deepEqual(targetsOf(first.client), []);
+
+  ready = true;
+  await advance(t, 5000);
+  assert.deepEqual(targetsOf(first.client), ['a']);
+  first.manager.stop();
+
+  const second = createManager(t, { filePath: first.filePath });
+  second.manager.start();
+  await advance(t, 0);
+  await advance(t, 1000);
+
+  assert.deepEqual(targetsOf(second.client), ['b', 'c']);
+  assert.equal(second.manager.get(job.id).status, 'completed');
+});
+
+test('cancela a transmissão e envia o relatório após reportDelay', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+  const { manager, client } = createManager(t);
+  manager.start();
+
+  const cancelled = manager.enqueue({ targets: ['a', 'b'], content: { text: 'oi' } });
+  await advance(t, 0);
+  assert.equal(manager.cancel(cancelled.id).status, 'cancelled');
+  assert.equal(manager.cancel(cancelled.id), null);
+  await advance(t, 1000);
+  assert.deepEqual(targetsOf(client), ['a']);
+
+  const job = manager.enqueue({ targets: ['c'], content: { text: 'oi' }, reportTo: OWNER });
+  await advance(t, 0);
+  const notices = () => client.sent.filter(({ chatId }) => chatId === OWNER).length;
+  const beforeReport = notices();
+
+  await advance(t, 59999);
+  assert.equal(notices(), beforeReport);
+  await advance(t, 1);
+  assert.equal(notices(), beforeReport + 1);
+  assert.ok(manager.get(job.id).reportedAt);
+});
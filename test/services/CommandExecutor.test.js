@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CommandExecutor = require('../../src/services/CommandExecutor');
+
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((done) => {
+    resolve = done;
+  });
+  return { promise, resolve };
+}
+
+test('executa as tarefas de um chat em ordem e repassa resultados e erros', async () => {
+  const executor = new CommandExecutor();
+  const order = [];
+  const first = deferred();
+
+  const a = executor.execute('chat', async () => {
+    await first.promise;
+    order.push('a');
+    return 1;
+  });
+  const b = executor.execute('chat', async () => {
+    order.push('b');
+    throw new Error('falhou');
+  });
+
+  first.resolve();
+  assert.equal((await a).result, 1);
+  assert.equal((await b).error.message, 'falhou');
+  assert.deepEqual(order, ['a', 'b']);
+  assert.deepEqual(executor.getStats().executed, 1);
+  assert.deepEqual(executor.getStats().failed, 1);
+});
+
+test('avisa o timeout na hora, mas mantém a vaga e a vez do chat até o handler terminar', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const executor = new CommandExecutor({ maxConcurrent: 1, timeout: 1000 });
+  const slow = deferred();
+  const started = [];
+  let notified = null;
+
+  // Handler que ignora o signal
+  const timedOut = executor.execute('chat', () => slow.promise, { onTimeout: (error) => (notified = error) });
+  const sameChat = executor.execute('chat', async () => started.push('mesmo chat'));
+  const otherChat = executor.execute('outro', async () => started.push('outro chat'));
+
+  await settle();
+  t.mock.timers.tick(1000);
+  const outcome = await timedOut;
+  assert.equal(outcome.status, 'timeout');
+  assert.ok(notified instanceof CommandExecutor.CommandTimeoutError);
+
+  await settle();
+  assert.deepEqual(started, []);
+  assert.equal(executor.getStats().active, 1);
+
+  slow.resolve();
+  await Promise.all([sameChat, otherChat]);
+  assert.deepEqual(started.sort(), ['mesmo chat', 'outro chat']);
+  assert.equal(executor.getStats().active, 0);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FloodDetector = require('../../src/services/FloodDetector');
+
+test('conta apenas as mensagens do remetente dentro da janela', () => {
+  const detector = new FloodDetector();
+
+  assert.equal(detector.record('grupo', 'a', 1000, 5000), 1);
+  assert.equal(detector.record('grupo', 'a', 3000, 5000), 2);
+  assert.equal(detector.record('grupo', 'b', 3000, 5000), 1);
+  assert.equal(detector.record('outro', 'a', 3000, 5000), 1);
+  assert.equal(detector.record('grupo', 'a', 6500, 5000), 2);
+});
+
+test('reset zera a janela do remetente e cleanup descarta janelas antigas', () => {
+  const detector = new FloodDetector({ maxWindow: 10000 });
+
+  detector.record('grupo', 'a', 1000, 5000);
+  detector.record('grupo', 'a', 2000, 5000);
+  assert.equal(detector.reset('grupo', 'a'), true);
+  assert.equal(detector.record('grupo', 'a', 3000, 5000), 1);
+
+  detector.record('grupo', 'b', 20000, 5000);
+  detector.cleanup(20000);
+  assert.equal(detector.size, 1);
+});
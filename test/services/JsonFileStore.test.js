@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonFileStore = require('../../src/services/JsonFileStore');
+
+function createFilePath(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'omnizap-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'store.json');
+}
+
+test('agrupa as gravações e recarrega os dados do disco', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const filePath = createFilePath(t);
+  const store = new JsonFileStore(filePath, { saveDelay: 1000 });
+
+  store.set('a', { value: 1 });
+  store.set('b', [1, 2]);
+  assert.equal(fs.existsSync(filePath), false);
+
+  t.mock.timers.tick(1000);
+  store.delete('b');
+  store.flush();
+
+  const reloaded = new JsonFileStore(filePath);
+  assert.deepEqual(reloaded.entries(), [['a', { value: 1 }]]);
+  assert.equal(reloaded.get('b'), null);
+});
+
+test('usa replacer e reviver para valores que o JSON não representa', (t) => {
+  const filePath = createFilePath(t);
+  const options = {
+    saveDelay: 0,
+    replacer: (key, value) => (value?.type === 'Buffer' ? { type: 'Buffer', data: Buffer.from(value.data).toString('base64') } : value),
+    reviver: (key, value) => (value?.type === 'Buffer' ? Buffer.from(value.data, 'base64') : value),
+  };
+
+  new JsonFileStore(filePath, options).set('secret', { key: Buffer.from([1, 2, 3]) });
+
+  const { key } = new JsonFileStore(filePath, options).get('secret');
+  assert.ok(Buffer.isBuffer(key));
+  assert.deepEqual([...key], [1, 2, 3]);
+});
+
+test('preserva o arquivo ilegível em vez de sobrescrevê-lo', (t) => {
+  const filePath = createFilePath(t);
+  fs.writeFileSync(filePath, '{"chat": {"prefixes": ["!"]');
+
+  const store = new JsonFileStore(filePath, { saveDelay: 0 });
+  assert.deepEqual(store.entries(), []);
+  store.set('chat', { prefixes: ['/'] });
+
+  const backups = fs.readdirSync(path.dirname(filePath)).filter((name) => name.startsWith('store.json.corrupt-'));
+  assert.equal(backups.length, 1);
+  assert.equal(fs.readFileSync(path.join(path.dirname(filePath), backups[0]), 'utf8'), '{"chat": {"prefixes": ["!"]');
+  assert.deepEqual(new JsonFileStore(filePath).get('chat'), { prefixes: ['/'] });
+});
@@ -0,0 +1,195 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MemoryCache = require('../../src/services/MemoryCache');
+const ModerationService = require('../../src/services/ModerationService');
+const SettingsManager = require('../../src/services/SettingsManager');
+const WarningManager = require('../../src/services/WarningManager');
+
+const GROUP = 'grupo@g.us';
+const SENDER = '5511999999999@s.whatsapp.net';
+const CONFIG = { flood: { maxMessages: 5, window: 10000 } };
+
+function createClient({ removeStatus = '200', failSettings = false, failText = false } = {}) {
+  const calls = { messages: [], settings: [], removed: [], deleted: [] };
+  return {
+    calls,
+    sendMessage: async (chatId, content) => {
+      if (content.delete) return calls.deleted.push(content.delete.id);
+      if (failText) throw new Error('rate-overlimit');
+      calls.messages.push({ chatId, text: content.text });
+    },
+    groupSettingUpdate: async (chatId, setting) => {
+      if (failSettings) throw new Error('Connection Closed');
+      calls.settings.push(setting);
+    },
+    groupParticipantsUpdate: async (chatId, users) => {
+      calls.removed.push(...users);
+      return users.map((jid) => ({ jid, status: removeStatus }));
+    },
+  };
+}
+
+function createService(t, { filePath, client = createClient(), getClient = () => client } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'omnizap-moderation-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  filePath = filePath || path.join(dir, 'settings.json');
+
+  const settingsManager = new SettingsManager({ filePath });
+  const warningManager = new WarningManager({ filePath: path.join(dir, 'warnings.json') });
+  const cache = new MemoryCache();
+  const service = new ModerationService({
+    settingsManager,
+    permissionManager: { resolveLevel: async () => 'member', hasLevel: () => false, isBotAdmin: async () => true },
+    warningManager,
+    cache,
+    getBotJids: () => ['5511000000000:3@s.whatsapp.net'],
+    getGroupMetadata: async () => ({ id: GROUP, announce: false }),
+    getClient,
+    defaults: { flood: { muteDuration: 60000 } },
+  });
+
+  t.after(() => {
+    service.stop();
+    cache.clear();
+    settingsManager.store.flush();
+    warningManager.store.flush();
+  });
+  return { service, client, settingsManager, warningManager, filePath };
+}
+
+const flood = (service, client) => service.handleFlood({ chatId: GROUP, sender: SENDER, id: 'msg' }, CONFIG, client);
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+test('escala o flood de aviso para grupo fechado e remoção', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+  const { service, client } = createService(t);
+
+  assert.equal((await flood(service, client)).action, 'warn');
+  assert.equal((await flood(service, client)).action, 'mute');
+  assert.deepEqual(client.calls.settings, ['announcement']);
+
+  const outcome = await flood(service, client);
+  assert.equal(outcome.action, 'kick');
+  assert.deepEqual(client.calls.removed, [SENDER]);
+  assert.equal(service.getStats().kicked, 1);
+
+  // A remoção zera os incidentes do remetente
+  assert.equal((await flood(service, client)).incident, 1);
+});
+
+test('avisa em vez de anunciar a remoção quando o WhatsApp recusa o kick', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+  const { service, client } = createService(t, { client: createClient({ removeStatus: '403' }) });
+
+  await flood(service, client);
+  await flood(service, client);
+  const outcome = await flood(service, client);
+
+  assert.equal(outcome.action, 'warn');
+  assert.equal(service.getStats().kicked, 0);
+  assert.equal((await flood(service, client)).incident, 4);
+});
+
+test('avisa o flood quando o grupo não pode ser fechado ou o aviso falha', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+  const { service, client, settingsManager } = createService(t, { client: createClient({ failSettings: true, failText: true }) });
+
+  assert.equal((await flood(service, client)).action, 'warn');
+  assert.deepEqual(await flood(service, client), { rule: 'flood', action: 'warn', incident: 2 });
+  assert.ok(!settingsManager.getModeration(GROUP).mutedUntil);
+  assert.equal(service.getStats().mutedGroups, 0);
+});
+
+test('salva a reabertura do grupo e a reagenda após reinício', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+  const first = createService(t);
+
+  await first.service.muteGroup(GROUP, first.client);
+  assert.equal(first.settingsManager.getModeration(GROUP).mutedUntil, Date.now() + 60000);
+  first.service.stop();
+  first.settingsManager.store.flush();
+
+  const client = createClient();
+  const { service, settingsManager } = createService(t, { filePath: first.filePath, client });
+  service.restoreMutes();
+  assert.equal(service.getStats().mutedGroups, 1);
+
+  t.mock.timers.tick(60000);
+  await settle();
+
+  assert.deepEqual(client.calls.settings, ['not_announcement']);
+  assert.equal(client.calls.messages.length, 1);
+  assert.equal(settingsManager.getModeration(GROUP).mutedUntil, null);
+  assert.equal(service.getStats().mutedGroups, 0);
+});
+
+test('repete a reabertura quando o cliente falha', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+  let client = createClient({ failSettings: true });
+  const { service, settingsManager } = createService(t, { getClient: () => client });
+
+  await service.muteGroup(GROUP, createClient());
+  t.mock.timers.tick(60000);
+  await settle();
+  assert.ok(settingsManager.getModeration(GROUP).mutedUntil);
+
+  client = createClient();
+  t.mock.timers.tick(service.retryDelay);
+  await settle();
+  assert.deepEqual(client.calls.settings, ['not_announcement']);
+  assert.equal(settingsManager.getModeration(GROUP).mutedUntil, null);
+});
+
+test('não reabre o grupo alterado por um administrador durante o fechamento', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+  const { service, client, settingsManager } = createService(t);
+
+  await service.muteGroup(GROUP, client);
+  assert.equal(service.handleGroupUpdate({ jid: GROUP, metadata: { id: GROUP, announce: true, author: '5511000000000@s.whatsapp.net' }, context: 'groups.update' }), false);
+  assert.equal(service.handleGroupUpdate({ jid: GROUP, metadata: { id: GROUP, announce: true, author: '5511888888888@s.whatsapp.net' }, context: 'groups.update' }), true);
+
+  t.mock.timers.tick(60000);
+  await settle();
+  assert.deepEqual(client.calls.settings, ['announcement']);
+  assert.equal(settingsManager.getModeration(GROUP).mutedUntil, null);
+});
+
+test('remove o participante ao atingir o limite de advertências', async (t) => {
+  const { service, client, warningManager } = createService(t);
+  service.settingsManager.setModeration(GROUP, { maxWarnings: 2 });
+
+  assert.equal((await service.issueWarning(GROUP, SENDER, { reason: 'spam' }, client)).removed, false);
+  const result = await service.issueWarning(GROUP, SENDER, { reason: 'spam' }, client);
+
+  assert.equal(result.removed, true);
+  assert.deepEqual(client.calls.removed, [SENDER]);
+  assert.deepEqual(warningManager.list(GROUP, SENDER), []);
+});
+
+test('mantém as advertências e informa o motivo quando a remoção falha', async (t) => {
+  const { service, client, warningManager } = createService(t, { client: createClient({ removeStatus: '403' }) });
+  service.settingsManager.setModeration(GROUP, { maxWarnings: 1 });
+
+  const result = await service.issueWarning(GROUP, SENDER, { reason: 'spam' }, client);
+
+  assert.equal(result.removed, false);
+  assert.equal(result.removalError, 'status 403');
+  assert.equal(warningManager.list(GROUP, SENDER).length, 1);
+  assert.equal(service.getStats().kicked, 0);
+});
+
+test('trata a mensagem como moderada mesmo quando o aviso falha', async (t) => {
+  const { service, client } = createService(t, { client: createClient({ failText: true }) });
+  service.settingsManager.setModeration(GROUP, { rules: { links: true }, action: 'warn', maxWarnings: 2 });
+  const message = (id) => ({ id, chatId: GROUP, sender: SENDER, isGroup: true, fromMe: false, type: 'text', text: 'veja https://spam.example.com', mentions: [] });
+
+  assert.deepEqual(await service.moderate(message('m1'), client), { rule: 'links', action: 'warn', warnings: 1 });
+  assert.deepEqual(await service.moderate(message('m2'), client), { rule: 'links', action: 'kick', warnings: 2 });
+
+  service.settingsManager.setModeration(GROUP, { action: 'kick' });
+  assert.deepEqual(await service.moderate(message('m3'), client), { rule: 'links', action: 'kick', removed: true });
+  assert.deepEqual(client.calls.deleted, ['m1', 'm2', 'm3']);
+});
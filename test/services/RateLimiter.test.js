@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MemoryCache = require('../../src/services/MemoryCache');
+const RateLimiter = require('../../src/services/RateLimiter');
+
+function createLimiter(t, options = {}) {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+  const cache = new MemoryCache();
+  t.after(() => cache.clear());
+  return new RateLimiter(cache, { defaultCooldown: 0, user: { capacity: 2, refillInterval: 1000 }, group: { capacity: 3, refillInterval: 3000 }, ...options });
+}
+
+const use = (limiter, sender, chatId = 'chat@s.whatsapp.net', extra = {}) => limiter.consume({ command: 'ping', sender, chatId, ...extra });
+
+test('bloqueia o usuário ao esgotar os tokens e libera após a reposição', (t) => {
+  const limiter = createLimiter(t);
+
+  assert.equal(use(limiter, 'a').allowed, true);
+  assert.equal(use(limiter, 'a').allowed, true);
+
+  const denied = use(limiter, 'a');
+  assert.equal(denied.allowed, false);
+  assert.equal(denied.scope, 'user');
+  assert.equal(denied.retryAfter, 1000);
+
+  t.mock.timers.tick(500);
+  assert.equal(use(limiter, 'a').allowed, true);
+  assert.equal(use(limiter, 'b').allowed, true);
+});
+
+test('aplica o cooldown do comando por usuário e chat', (t) => {
+  const limiter = createLimiter(t, { user: { capacity: 10, refillInterval: 1000 } });
+
+  assert.equal(use(limiter, 'a', 'chat', { cooldown: 2000 }).allowed, true);
+
+  const denied = use(limiter, 'a', 'chat', { cooldown: 2000 });
+  assert.equal(denied.scope, 'command');
+  assert.equal(use(limiter, 'a', 'outro', { cooldown: 2000 }).allowed, true);
+
+  t.mock.timers.tick(2000);
+  assert.equal(use(limiter, 'a', 'chat', { cooldown: 2000 }).allowed, true);
+});
+
+test('limita o grupo inteiro além de cada usuário', (t) => {
+  const limiter = createLimiter(t);
+  const group = '123@g.us';
+
+  for (const sender of ['a', 'b', 'c']) {
+    assert.equal(use(limiter, sender, group).allowed, true);
+  }
+
+  const denied = use(limiter, 'd', group);
+  assert.equal(denied.allowed, false);
+  assert.equal(denied.scope, 'group');
+  assert.equal(use(limiter, 'd').allowed, true);
+});
+
+test('avisa sobre o bloqueio apenas uma vez por janela', (t) => {
+  const limiter = createLimiter(t, { user: { capacity: 1, refillInterval: 5000 } });
+
+  use(limiter, 'a');
+  assert.equal(use(limiter, 'a').notify, true);
+  assert.equal(use(limiter, 'a').notify, false);
+
+  t.mock.timers.tick(5000);
+  assert.equal(use(limiter, 'a').allowed, true);
+  assert.equal(use(limiter, 'a').notify, true);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Scheduler = require('../../src/services/Scheduler');
+
+const CHAT = 'grupo@g.us';
+
+function createScheduler(t, client, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'omnizap-scheduler-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const scheduler = new Scheduler({ filePath: path.join(dir, 'schedules.json'), getClient: () => client, ...options });
+  t.after(() => scheduler.stop());
+  return scheduler;
+}
+
+test('não reagenda o recorrente cancelado durante o envio', async (t) => {
+  let scheduler;
+  const client = {
+    sendMessage: async () => {
+      scheduler.cancel(job.id);
+    },
+  };
+  scheduler = createScheduler(t, client);
+  const job = scheduler.schedule({ chatId: CHAT, content: { text: 'bom dia' }, cron: '0 8 * * *' });
+
+  await scheduler.execute(job, job.runAt);
+
+  assert.equal(scheduler.get(job.id), null);
+  assert.equal(scheduler.getStats().jobs, 0);
+});
+
+test('não reagenda a nova tentativa do agendamento cancelado durante o envio', async (t) => {
+  let scheduler;
+  const client = {
+    sendMessage: async () => {
+      scheduler.cancel(job.id);
+      throw new Error('Connection Closed');
+    },
+  };
+  scheduler = createScheduler(t, client);
+  const job = scheduler.schedule({ chatId: CHAT, content: { text: 'lembrete' }, runAt: Date.now() });
+
+  await scheduler.execute(job, job.runAt);
+
+  assert.equal(scheduler.get(job.id), null);
+});
+
+test('gera outro id quando o sorteado já está em uso', (t) => {
+  const scheduler = createScheduler(t, null);
+  const ids = ['aaaaaa', 'aaaaaa', 'bbbbbb'];
+  t.mock.method(crypto, 'randomBytes', () => Buffer.from(ids.shift(), 'hex'));
+
+  const first = scheduler.schedule({ chatId: CHAT, content: { text: 'a' }, runAt: Date.now() + 60000 });
+  const second = scheduler.schedule({ chatId: CHAT, content: { text: 'b' }, runAt: Date.now() + 60000 });
+
+  assert.equal(first.id, 'aaaaaa');
+  assert.equal(second.id, 'bbbbbb');
+  assert.equal(scheduler.get('aaaaaa').content.text, 'a');
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SettingsManager = require('../../src/services/SettingsManager');
+
+function createFilePath(t, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'omnizap-settings-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const filePath = path.join(dir, 'settings.json');
+  if (content) {
+    fs.writeFileSync(filePath, JSON.stringify(content));
+  }
+  return filePath;
+}
+
+test('usa os prefixos padrão quando o chat não tem configuração', (t) => {
+  const settings = new SettingsManager({ filePath: createFilePath(t), defaultPrefixes: ['/', '!'] });
+
+  assert.deepEqual(settings.get('chat').prefixes, ['/', '!']);
+  assert.equal(settings.get('chat').prefix, '/');
+});
+
+test('mantém o prefixo salvo no formato antigo (prefix)', (t) => {
+  const settings = new SettingsManager({ filePath: createFilePath(t, { chat: { prefix: '#' } }) });
+
+  assert.deepEqual(settings.get('chat').prefixes, ['#']);
+  assert.equal(settings.get('chat').prefix, '#');
+});
+
+test('setPrefixes substitui o prefixo antigo e vazio restaura o padrão', (t) => {
+  const filePath = createFilePath(t, { chat: { prefix: '#' } });
+  const settings = new SettingsManager({ filePath });
+
+  assert.deepEqual(settings.setPrefixes('chat', ['.', '.', '$']).prefixes, ['.', '$']);
+  assert.deepEqual(settings.setPrefixes('chat', []).prefixes, ['/']);
+
+  settings.store.flush();
+  assert.deepEqual(new SettingsManager({ filePath }).get('chat').prefixes, ['/']);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WarningManager = require('../../src/services/WarningManager');
+
+const GROUP = 'grupo@g.us';
+
+function createManager(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'omnizap-warnings-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const manager = new WarningManager({ filePath: path.join(dir, 'warnings.json'), ...options });
+  t.after(() => manager.store.flush());
+  return manager;
+}
+
+test('conta as advertências por participante e grupo', (t) => {
+  const manager = createManager(t);
+
+  assert.equal(manager.add(GROUP, 'a', { reason: 'spam', issuer: 'admin' }).count, 1);
+  assert.equal(manager.add(GROUP, 'a').count, 2);
+  assert.equal(manager.add(GROUP, 'b').count, 1);
+  assert.equal(manager.add('outro@g.us', 'a').count, 1);
+
+  assert.equal(manager.list(GROUP, 'a')[0].reason, 'spam');
+  assert.deepEqual(
+    manager.listGroup(GROUP).map(({ user, warnings }) => [user, warnings.length]),
+    [
+      ['a', 2],
+      ['b', 1],
+    ],
+  );
+});
+
+test('remove a advertência mais recente, uma pelo id ou todas', (t) => {
+  const manager = createManager(t);
+  const first = manager.add(GROUP, 'a').warning;
+  manager.add(GROUP, 'a');
+  const last = manager.add(GROUP, 'a').warning;
+
+  assert.equal(manager.remove(GROUP, 'a').id, last.id);
+  assert.equal(manager.remove(GROUP, 'a', first.id).id, first.id);
+  assert.equal(manager.remove(GROUP, 'a', 'inexistente'), null);
+  assert.equal(manager.clear(GROUP, 'a'), 1);
+  assert.deepEqual(manager.listGroup(GROUP), []);
+});
+
+test('descarta advertências expiradas', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+  const manager = createManager(t, { expiry: 1000 });
+
+  manager.add(GROUP, 'a');
+  t.mock.timers.tick(600);
+  assert.equal(manager.add(GROUP, 'a').count, 2);
+
+  t.mock.timers.tick(600);
+  assert.equal(manager.list(GROUP, 'a').length, 1);
+  t.mock.timers.tick(600);
+  assert.deepEqual(manager.getGroup(GROUP), {});
+});
+
+test('não repete o id de uma advertência ativa do participante', (t) => {
+  const manager = createManager(t);
+  const ids = ['aaaaaa', 'aaaaaa', 'bbbbbb'];
+  t.mock.method(crypto, 'randomBytes', () => Buffer.from(ids.shift(), 'hex'));
+
+  manager.add(GROUP, 'a');
+  manager.add(GROUP, 'a');
+
+  assert.deepEqual(
+    manager.list(GROUP, 'a').map(({ id }) => id),
+    ['aaaaaa', 'bbbbbb'],
+  );
+});
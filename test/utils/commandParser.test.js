@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, parseArgs, parseCommand, parseToggle } = require('../../src/utils/commandParser');
+
+test('tokenize separa por espaços e respeita aspas e escapes', () => {
+  assert.deepEqual(tokenize('a  b\tc'), ['a', 'b', 'c']);
+  assert.deepEqual(tokenize('"um dois" \'três quatro\' “cinco seis”'), ['um dois', 'três quatro', 'cinco seis']);
+  assert.deepEqual(tokenize('a\\ b \\"c'), ['a b', '"c']);
+  assert.deepEqual(tokenize('""'), ['']);
+  assert.deepEqual(tokenize(null), []);
+});
+
+test('parseArgs separa flags, valores de flags e argumentos', () => {
+  const args = parseArgs(['x', '--Force', '--limite=5', '--', '--literal', 'y']);
+
+  assert.deepEqual(args.list, ['x', '--literal', 'y']);
+  assert.deepEqual(args.flags, { force: true, limite: '5' });
+  assert.deepEqual(args.mentions, []);
+  assert.equal(args.quoted, null);
+});
+
+test('parseCommand normaliza o nome e preserva o texto bruto', () => {
+  const { name, args } = parseCommand('  PING  olá\nmundo --rapido ');
+
+  assert.equal(name, 'ping');
+  assert.equal(args.raw, 'olá\nmundo --rapido');
+  assert.deepEqual(args.list, ['olá', 'mundo']);
+  assert.deepEqual(args.flags, { rapido: true });
+});
+
+test('parseCommand sem conteúdo retorna nome vazio', () => {
+  const { name, args } = parseCommand('   ');
+
+  assert.equal(name, '');
+  assert.equal(args.raw, '');
+  assert.deepEqual(args.list, []);
+});
+
+test('parseToggle reconhece valores de liga e desliga', () => {
+  assert.equal(parseToggle('ON'), true);
+  assert.equal(parseToggle(' sim '), true);
+  assert.equal(parseToggle('desligar'), false);
+  assert.equal(parseToggle(false), false);
+  assert.equal(parseToggle('talvez'), null);
+  assert.equal(parseToggle(undefined), null);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeMessage } = require('../../src/utils/messageNormalizer');
+
+const message = (content, key = {}) => ({ key: { id: 'ABC', remoteJid: '123@g.us', participant: '555@s.whatsapp.net', ...key }, message: content });
+
+test('extrai o texto de mensagens simples e com legenda', () => {
+  assert.equal(normalizeMessage(message({ conversation: '/ping' })).text, '/ping');
+  assert.equal(normalizeMessage(message({ extendedTextMessage: { text: '/help' } })).text, '/help');
+  assert.equal(normalizeMessage(message({ imageMessage: { caption: '/sticker', mimetype: 'image/jpeg' } })).type, 'image');
+});
+
+test('extrai a legenda da imagem de cabeçalho de mensagens com botões', () => {
+  const normalized = normalizeMessage(message({ buttonsMessage: { imageMessage: { caption: '/menu' }, buttons: [] } }));
+
+  assert.equal(normalized.type, 'text');
+  assert.equal(normalized.text, '/menu');
+});
+
+test('remove envelopes de visualização única e mensagens efêmeras', () => {
+  const normalized = normalizeMessage(message({ ephemeralMessage: { message: { viewOnceMessageV2: { message: { videoMessage: { caption: 'oi' } } } } } }));
+
+  assert.equal(normalized.text, 'oi');
+  assert.equal(normalized.isViewOnce, true);
+  assert.equal(normalized.isEphemeral, true);
+});
+
+test('identifica o autor em grupos e em conversas privadas', () => {
+  assert.equal(normalizeMessage(message({ conversation: 'x' })).sender, '555@s.whatsapp.net');
+  assert.equal(normalizeMessage(message({ conversation: 'x' }, { remoteJid: '777@s.whatsapp.net', participant: undefined })).sender, '777@s.whatsapp.net');
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, getNextCronRun, getMinCronInterval, parseDuration, parseWhen } = require('../../src/utils/schedule');
+
+const HOUR = 60 * 60 * 1000;
+// Segunda-feira, 05/01/2026 08:00 no fuso do processo
+const NOW = new Date(2026, 0, 5, 8, 0).getTime();
+
+test('interpreta listas, intervalos, passos e atalhos do cron', () => {
+  const cron = parseCron('*/15 9-11 1,15 * 7');
+
+  assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hours], [9, 10, 11]);
+  assert.deepEqual([...cron.weekdays], [0]);
+  assert.deepEqual([...parseCron('@daily').hours], [0]);
+  assert.throws(() => parseCron('0 9 * *'), /5 campos/);
+  assert.throws(() => parseCron('60 9 * * *'), /minuto/);
+});
+
+test('calcula a próxima execução estritamente após a referência', () => {
+  assert.equal(getNextCronRun('0 9 * * 1', NOW).getTime(), new Date(2026, 0, 5, 9, 0).getTime());
+  assert.equal(getNextCronRun('0 8 * * 1', NOW).getTime(), new Date(2026, 0, 12, 8, 0).getTime());
+  assert.equal(getNextCronRun('30 10 1 * *', NOW).getTime(), new Date(2026, 1, 1, 10, 30).getTime());
+  // Dia do mês e da semana restritos valem como "ou"
+  assert.equal(getNextCronRun('0 9 20 * 3', NOW).getTime(), new Date(2026, 0, 7, 9, 0).getTime());
+  assert.equal(getNextCronRun('0 9 31 2 *', NOW), null);
+});
+
+test('calcula o menor intervalo entre execuções, incluindo a virada do dia', () => {
+  assert.equal(getMinCronInterval('0 9 * * 1'), 24 * HOUR);
+  assert.equal(getMinCronInterval('*/30 * * * *'), HOUR / 2);
+  assert.equal(getMinCronInterval('0 9,17 * * *'), 8 * HOUR);
+  assert.equal(getMinCronInterval('30 0,23 * * *'), HOUR);
+  assert.equal(getMinCronInterval('@hourly'), HOUR);
+});
+
+test('interpreta durações', () => {
+  assert.equal(parseDuration('10m'), 10 * 60 * 1000);
+  assert.equal(parseDuration('1h30m'), 1.5 * HOUR);
+  assert.equal(parseDuration('2d'), 48 * HOUR);
+  assert.equal(parseDuration('abc'), null);
+});
+
+test('interpreta quando agendar a partir dos argumentos', () => {
+  assert.deepEqual(parseWhen(['30m', 'bolo'], NOW), { runAt: NOW + HOUR / 2, cron: null, consumed: 1 });
+  assert.equal(parseWhen(['14:30'], NOW).runAt, new Date(2026, 0, 5, 14, 30).getTime());
+  assert.equal(parseWhen(['07:00'], NOW).runAt, new Date(2026, 0, 6, 7, 0).getTime());
+  assert.deepEqual(parseWhen(['amanhã', '10:00', 'x'], NOW), { runAt: new Date(2026, 0, 6, 10, 0).getTime(), cron: null, consumed: 2 });
+  assert.equal(parseWhen(['25/12'], NOW).runAt, new Date(2026, 11, 25, 9, 0).getTime());
+  assert.equal(parseWhen(['31/02'], NOW), null);
+  assert.deepEqual(parseWhen(['diario', '07:00'], NOW), { runAt: new Date(2026, 0, 6, 7, 0).getTime(), cron: '0 7 * * *', consumed: 2 });
+  assert.equal(parseWhen(['cron', '0 9 * * 1'], NOW).runAt, new Date(2026, 0, 5, 9, 0).getTime());
+  assert.throws(() => parseWhen(['cron', '0 25 * * *'], NOW), /hora/);
+  assert.equal(parseWhen(['depois'], NOW), null);
+});